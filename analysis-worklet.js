@@ -0,0 +1,212 @@
+// AudioWorklet feature extractor
+// Runs on the audio rendering thread and posts one feature frame every hopSize samples (more
+// for FFT sizes over 4096), so analysis keeps a fixed rate when the tab is throttled or the
+// renderer is busy.
+// onset-detector.js and pitch-detector.js must be added to the worklet before this file.
+// Nothing is allocated per frame: the output arrays are reused and copied by postMessage,
+// so the audio thread never waits on the garbage collector
+class FeatureExtractorProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const settings = options.processorOptions || {};
+        this.hopSize = settings.hopSize || 512;
+
+        // Same dB range as an AnalyserNode, so byte data matches what the main thread expects
+        this.minDecibels = settings.minDecibels || -100;
+        this.maxDecibels = settings.maxDecibels || -30;
+
+        this.configure(settings);
+
+        this.port.onmessage = (event) => {
+            if (event.data && event.data.type === 'config') {
+                this.configure(event.data);
+            }
+        };
+    }
+
+    configure({ fftSize, smoothing, bands, onsetSettings }) {
+        if (fftSize && fftSize !== this.fftSize) {
+            this.fftSize = fftSize;
+            this.binCount = fftSize / 2;
+
+            // Ring buffer of the latest fftSize input samples
+            this.ring = new Float32Array(fftSize);
+            this.writeIndex = 0;
+            this.samplesSinceHop = 0;
+
+            // Large FFTs are analysed less often - at most 8 frames per window - so one
+            // frame's work always fits in the time between frames
+            this.frameHop = Math.max(this.hopSize, fftSize / 8);
+
+            // Blackman window and FFT scratch space, as used by AnalyserNode
+            this.window = new Float32Array(fftSize);
+            for (let i = 0; i < fftSize; i++) {
+                this.window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / fftSize) + 0.08 * Math.cos(4 * Math.PI * i / fftSize);
+            }
+            this.real = new Float32Array(fftSize);
+            this.imag = new Float32Array(fftSize);
+            this.frame = new Float32Array(fftSize);
+            this.smoothedMagnitude = new Float32Array(this.binCount);
+
+            // FFT twiddle factors: cos/sin of -2πk/fftSize
+            this.cosTable = new Float32Array(fftSize / 2);
+            this.sinTable = new Float32Array(fftSize / 2);
+            for (let k = 0; k < fftSize / 2; k++) {
+                this.cosTable[k] = Math.cos(-2 * Math.PI * k / fftSize);
+                this.sinTable[k] = Math.sin(-2 * Math.PI * k / fftSize);
+            }
+
+            // Output arrays, reused every frame
+            this.byteFrequencyData = new Uint8Array(this.binCount);
+            this.floatFrequencyData = new Float32Array(this.binCount);
+        }
+
+        if (smoothing !== undefined) {
+            this.smoothing = smoothing;
+        }
+
+        if (bands) {
+            this.bands = bands;
+            this.onsetDetector = new OnsetDetector(bands, onsetSettings || {});
+        } else if (onsetSettings && this.onsetDetector) {
+            this.onsetDetector.updateSettings(onsetSettings);
+        }
+
+        if (!this.pitchDetector) {
+            this.pitchDetector = new PitchDetector();
+        }
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+
+        // Nothing connected (yet) - keep the node alive
+        if (!input || input.length === 0) return true;
+
+        const blockLength = input[0].length;
+        for (let i = 0; i < blockLength; i++) {
+            // Mix down to mono
+            let sample = 0;
+            for (let channel = 0; channel < input.length; channel++) {
+                sample += input[channel][i];
+            }
+            this.ring[this.writeIndex] = sample / input.length;
+            this.writeIndex = (this.writeIndex + 1) % this.fftSize;
+        }
+
+        this.samplesSinceHop += blockLength;
+        if (this.samplesSinceHop >= this.frameHop) {
+            this.samplesSinceHop -= this.frameHop;
+            this.analyze((currentFrame + blockLength) / sampleRate * 1000);
+        }
+
+        return true;
+    }
+
+    analyze(time) {
+        const size = this.fftSize;
+
+        // Unroll the ring buffer, oldest sample first
+        for (let i = 0; i < size; i++) {
+            this.frame[i] = this.ring[(this.writeIndex + i) % size];
+        }
+
+        // Windowed FFT
+        for (let i = 0; i < size; i++) {
+            this.real[i] = this.frame[i] * this.window[i];
+            this.imag[i] = 0;
+        }
+        this.fft(this.real, this.imag);
+
+        // Smoothed magnitudes to dB and bytes, the same way AnalyserNode does it
+        const byteFrequencyData = this.byteFrequencyData;
+        const floatFrequencyData = this.floatFrequencyData;
+        const range = this.maxDecibels - this.minDecibels;
+        let byteSum = 0;
+
+        for (let k = 0; k < this.binCount; k++) {
+            const magnitude = Math.sqrt(this.real[k] * this.real[k] + this.imag[k] * this.imag[k]) / size;
+            this.smoothedMagnitude[k] = this.smoothing * this.smoothedMagnitude[k] + (1 - this.smoothing) * magnitude;
+
+            const decibels = 20 * Math.log10(this.smoothedMagnitude[k]);
+            floatFrequencyData[k] = decibels;
+
+            const byte = Math.floor(255 * (decibels - this.minDecibels) / range);
+            byteFrequencyData[k] = Math.max(0, Math.min(255, isFinite(byte) ? byte : 0));
+            byteSum += byteFrequencyData[k];
+        }
+
+        // Band levels (0-1) over the same bins AudioProcessor uses
+        const binWidth = sampleRate / size;
+        const rawBands = {};
+        Object.entries(this.bands).forEach(([name, band]) => {
+            const startBin = Math.floor(band.min / binWidth);
+            const endBin = Math.floor(band.max / binWidth);
+            let sum = 0;
+            let count = 0;
+            for (let i = startBin; i <= endBin && i < this.binCount; i++) {
+                sum += byteFrequencyData[i];
+                count++;
+            }
+            rawBands[name] = count > 0 ? (sum / count) / 255 : 0;
+        });
+
+        const onsets = this.onsetDetector.process(time, byteFrequencyData, binWidth);
+        const timeDomainData = this.frame;
+
+        // Not transferred - the copies go to the main thread and these arrays are kept
+        this.port.postMessage({
+            time: time,
+            rawVolume: byteSum / this.binCount / 255,
+            rawBands: rawBands,
+            onsets: onsets,
+            onsetFlux: this.onsetDetector.getFlux(),
+            combinedFlux: this.onsetDetector.combinedFlux,
+            pitch: this.pitchDetector.detect(timeDomainData, sampleRate),
+            byteFrequencyData: byteFrequencyData,
+            floatFrequencyData: floatFrequencyData,
+            timeDomainData: timeDomainData
+        });
+    }
+
+    // In-place iterative radix-2 FFT, with the twiddle factors from configure()
+    fft(real, imag) {
+        const n = real.length;
+        const cosTable = this.cosTable;
+        const sinTable = this.sinTable;
+
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let length = 2; length <= n; length <<= 1) {
+            const half = length >> 1;
+            const step = n / length;
+            for (let start = 0; start < n; start += length) {
+                for (let k = 0; k < half; k++) {
+                    const cos = cosTable[k * step];
+                    const sin = sinTable[k * step];
+                    const evenIndex = start + k;
+                    const oddIndex = evenIndex + half;
+                    const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+                    const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+                    real[oddIndex] = real[evenIndex] - oddReal;
+                    imag[oddIndex] = imag[evenIndex] - oddImag;
+                    real[evenIndex] += oddReal;
+                    imag[evenIndex] += oddImag;
+                }
+            }
+        }
+    }
+}
+
+registerProcessor('feature-extractor', FeatureExtractorProcessor);
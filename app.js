@@ -11,6 +11,99 @@ class LiveMusicArtwork {
         this.sensitivitySlider = null;
         this.sensitivityValue = null;
         this.visualModeSelect = null;
+        
+        // Audio file input and transport controls
+        this.inputSourceSelect = null;
+        this.mediaInput = null;
+        this.isSeeking = false;
+        this.audioFile = null;
+        
+        // Pre-computed feature track for the loaded file (see offline-analyzer.js)
+        this.featureTrack = null;
+        this.offlineAnalyzer = null;
+        
+        // Recorded audioData sessions for reproducing a moment exactly
+        this.sessionRecorder = new SessionRecorder();
+        this.recordSessionCallback = (audioData) => this.sessionRecorder.record(audioData);
+        this.session = null;
+        this.sessionPlayer = null;
+        this.isScrubbing = false;
+        
+        // Video clips of the visualization with the live audio (see video-recorder.js)
+        this.videoRecorder = new VideoRecorder();
+        this.videoRecorder.onStateChange = (state) => this.handleVideoStateChange(state);
+        this.videoRecorder.onCountdown = (seconds) => {
+            this.videoCountdownDisplay.textContent = seconds;
+        };
+        this.videoRecorder.onComplete = (blob, seconds) => this.saveVideo(blob, seconds);
+        this.videoIndicatorTimer = null;
+        
+        // Synthetic test signals for checking the analysis without a microphone
+        this.signalGenerator = new SignalGenerator();
+        this.signalGenerator.addCallback(() => this.syncHistoryPause());
+        
+        // Seconds shown in the Audio Test history graph (kept here so it survives stop/start)
+        this.historyWindow = 10;
+        this.diagnosticPanel = 'overview'; // Audio Test panel (see diagnostic-panels.js)
+        
+        // Transitions between visualization modes (kept here so they survive stop/start)
+        this.transitionSettings = { style: 'crossfade', duration: 1.5 };
+        this.autoTransitionSeconds = 0; // 0 = only change mode by hand
+        this.autoTransitionTimer = null;
+        
+        // Colours and the scene setlist for the night (see setlist.js, remembered between visits)
+        this.colorScheme = 'celtic';
+        this.setlist = null;
+        this.activeScene = null;
+        
+        // Settings of each visualization by mode, kept across stop/start, and named presets
+        this.visualizationSettings = {};
+        this.presetManager = null;
+        
+        // Clean output for the audience on a second screen (see audience-output.js)
+        this.audienceOutput = new AudienceOutput(() => this.getAudienceState());
+        this.audienceOutput.onClose = () => this.updateAudienceControls();
+        
+        // MIDI controllers (mappings remembered between visits) and beats/onsets from pads
+        this.midiController = new MidiController();
+        this.midiController.onControl = (target, message) => this.handleMidiControl(target, message);
+        this.midiController.onLearned = (target, key) => this.handleMidiLearned(target, key);
+        this.midiController.onDevicesChange = () => this.updateMidiStatus();
+        this.midiLearnMode = false;
+        this.injectedBeat = null;
+        this.injectedOnsets = [];
+        
+        // Audio features streamed over a WebSocket, and the commands it may send back
+        this.featureStream = new FeatureStream();
+        this.featureStream.onCommand = (command, args) => this.runRemoteCommand(command, args);
+        this.featureStream.onStatusChange = () => this.updateStreamControls();
+        this.remoteCommands = [
+            'start', 'stop', 'setVisualizationMode', 'setSensitivity', 'setColorScheme',
+            'setBalloonSettings', 'setBalloonBeatResponse', 'setBalloonColors', 'toggleBalloonBeatResponse', 'resetBalloons',
+            'setSpikeSettings', 'toggleSpikeDetection', 'nextVisualization', 'nextScene', 'previousScene', 'goToScene',
+            'loadPreset', 'injectBeat', 'injectOnset', 'toggleDebugInfo', 'popAllBalloons'
+        ];
+        
+        // Phones paired through the local remote server (see remote-link.js)
+        this.remoteLink = new RemoteLink(() => this.getRemoteState());
+        this.remoteLink.onCommand = (command, args) => this.runRemoteCommand(command, args);
+        this.remoteLink.onStatusChange = () => this.updateRemoteControls();
+        
+        // Input device selection (remembered between visits)
+        this.inputDeviceSelect = null;
+        this.preferredDeviceId = null;
+        
+        // Tempo tracking range (kept here so it survives stop/start)
+        this.tempoRange = {};
+        this.channelCount = 2; // Input channels to ask the microphone/interface for
+        
+        // Analyser settings: FFT size, smoothing, bands (remembered between visits)
+        this.analyserConfig = null;
+        
+        // Level calibration for the venue (remembered between visits)
+        this.calibration = null;
+        this.autoGain = false;
+        this.isCalibrating = false;
 
         this.micStatus = null;
         this.audioLevel = null;
@@ -39,6 +132,34 @@ class LiveMusicArtwork {
             // Create error notification container
             this.createErrorNotifications();
             
+            // List microphones (names only appear once permission is granted)
+            this.preferredDeviceId = this.loadStoredDeviceId();
+            await this.refreshInputDevices();
+            
+            // Restore analyser settings
+            this.analyserConfig = this.loadStoredAnalyserConfig() || AudioProcessor.getDefaultAnalyserConfig();
+            this.updateAnalyserSettingsPanel();
+            
+            // Restore the last venue calibration
+            this.calibration = this.loadStoredCalibration();
+            this.autoGain = this.loadStoredAutoGain();
+            this.autoGainToggle.checked = this.autoGain;
+            
+            // Restore the scenes and setlist
+            this.setlist = this.loadStoredSetlist() || new Setlist();
+            this.silenceAdvanceToggle.checked = this.setlist.options.advanceOnSilence;
+            this.updateSetlistControls();
+            
+            // Reconnect MIDI straight away if controls were mapped last time
+            if (Object.keys(this.midiController.getMappings()).length > 0 && MidiController.isSupported()) {
+                this.enableMidi();
+            }
+            
+            // Presets, and one shared in the link (#preset=...)
+            this.presetManager = new PresetManager();
+            this.updatePresetControls();
+            this.loadPresetFromUrl();
+            
             console.log('Live Music Artwork initialized successfully');
         } catch (error) {
             console.error('Failed to initialize application:', error);
@@ -55,10 +176,97 @@ class LiveMusicArtwork {
         this.sensitivitySlider = document.getElementById('sensitivity');
         this.sensitivityValue = document.getElementById('sensitivityValue');
         this.visualModeSelect = document.getElementById('visualMode');
+        this.populateVisualModes();
+        this.colorSchemeSelect = document.getElementById('colorScheme');
+        this.populateColorSchemes();
+        this.diagnosticControls = document.getElementById('diagnosticControls');
+        this.diagnosticPanelSelect = document.getElementById('diagnosticPanel');
+        this.transitionStyleSelect = document.getElementById('transitionStyle');
+        this.transitionDurationInput = document.getElementById('transitionDuration');
+        this.nextVisualBtn = document.getElementById('nextVisualBtn');
+        this.autoTransitionInput = document.getElementById('autoTransition');
+        this.setlistSelect = document.getElementById('setlistSelect');
+        this.prevSceneBtn = document.getElementById('prevSceneBtn');
+        this.nextSceneBtn = document.getElementById('nextSceneBtn');
+        this.sceneNameInput = document.getElementById('sceneName');
+        this.saveSceneBtn = document.getElementById('saveSceneBtn');
+        this.removeSceneBtn = document.getElementById('removeSceneBtn');
+        this.silenceAdvanceToggle = document.getElementById('silenceAdvanceToggle');
+        this.presetSelect = document.getElementById('presetSelect');
+        this.presetNameInput = document.getElementById('presetName');
+        this.savePresetBtn = document.getElementById('savePresetBtn');
+        this.deletePresetBtn = document.getElementById('deletePresetBtn');
+        this.exportPresetBtn = document.getElementById('exportPresetBtn');
+        this.presetFileInput = document.getElementById('presetFileInput');
+        this.sharePresetBtn = document.getElementById('sharePresetBtn');
+        this.midiEnableBtn = document.getElementById('midiEnableBtn');
+        this.midiLearnBtn = document.getElementById('midiLearnBtn');
+        this.beatPadBtn = document.getElementById('beatPadBtn');
+        this.resetBalloonsBtn = document.getElementById('resetBalloonsBtn');
+        this.spikeThresholdSlider = document.getElementById('spikeThreshold');
+        this.midiStatus = document.getElementById('midiStatus');
+        this.streamUrlInput = document.getElementById('streamUrl');
+        this.streamRawToggle = document.getElementById('streamRawToggle');
+        this.streamConnectBtn = document.getElementById('streamConnectBtn');
+        this.streamStatus = document.getElementById('streamStatus');
+        this.remoteUrlInput = document.getElementById('remoteUrl');
+        this.remoteConnectBtn = document.getElementById('remoteConnectBtn');
+        this.remoteStatus = document.getElementById('remoteStatus');
+        this.inputSourceSelect = document.getElementById('inputSource');
+        this.deviceControls = document.getElementById('deviceControls');
+        this.inputDeviceSelect = document.getElementById('inputDevice');
+        this.fileControls = document.getElementById('fileControls');
+        this.audioFileInput = document.getElementById('audioFileInput');
+        this.fileNameDisplay = document.getElementById('fileName');
+        this.audioUrlInput = document.getElementById('audioUrl');
+        this.loadUrlBtn = document.getElementById('loadUrlBtn');
+        this.playPauseBtn = document.getElementById('playPauseBtn');
+        this.seekSlider = document.getElementById('seekSlider');
+        this.playbackTimeDisplay = document.getElementById('playbackTime');
+        this.loopToggle = document.getElementById('loopToggle');
+        this.analyseSetBtn = document.getElementById('analyseSetBtn');
+        this.saveTrackBtn = document.getElementById('saveTrackBtn');
+        this.trackFileInput = document.getElementById('trackFileInput');
+        this.trackStatus = document.getElementById('trackStatus');
+        this.sessionControls = document.getElementById('sessionControls');
+        this.sessionFileInput = document.getElementById('sessionFileInput');
+        this.sessionNameDisplay = document.getElementById('sessionName');
+        this.sessionPlayPauseBtn = document.getElementById('sessionPlayPauseBtn');
+        this.sessionSeekSlider = document.getElementById('sessionSeekSlider');
+        this.sessionTimeDisplay = document.getElementById('sessionTime');
+        this.sessionLoopToggle = document.getElementById('sessionLoopToggle');
+        this.recordSessionBtn = document.getElementById('recordSessionBtn');
+        this.exportSessionBtn = document.getElementById('exportSessionBtn');
+        this.videoResolutionSelect = document.getElementById('videoResolution');
+        this.populateVideoResolutions();
+        this.videoFrameRateSelect = document.getElementById('videoFrameRate');
+        this.videoCountdownSelect = document.getElementById('videoCountdown');
+        this.videoOverlayToggle = document.getElementById('videoOverlayToggle');
+        this.recordVideoBtn = document.getElementById('recordVideoBtn');
+        this.recordingIndicator = document.getElementById('recordingIndicator');
+        this.videoCountdownDisplay = document.getElementById('videoCountdownDisplay');
+        this.generatorControls = document.getElementById('generatorControls');
+        this.signalTypeSelect = document.getElementById('signalType');
+        this.signalNoteInput = document.getElementById('signalNote');
+        this.signalBpmInput = document.getElementById('signalBpm');
+        this.signalMonitorToggle = document.getElementById('signalMonitorToggle');
+        this.displayContainer = document.querySelector('.display-container');
+        this.fftSizeSelect = document.getElementById('fftSize');
+        this.smoothingSlider = document.getElementById('smoothing');
+        this.smoothingValue = document.getElementById('smoothingValue');
+        this.bandList = document.getElementById('bandList');
+        this.bandNameInput = document.getElementById('bandName');
+        this.bandMinInput = document.getElementById('bandMin');
+        this.bandMaxInput = document.getElementById('bandMax');
+        this.addBandBtn = document.getElementById('addBandBtn');
+        this.resetAnalyserBtn = document.getElementById('resetAnalyserBtn');
+        this.calibrateBtn = document.getElementById('calibrateBtn');
+        this.autoGainToggle = document.getElementById('autoGainToggle');
 
         this.troubleshootBtn = document.getElementById('troubleshootBtn');
         this.debugToggleBtn = document.getElementById('debugToggleBtn');
         this.fullscreenBtn = document.getElementById('fullscreenBtn');
+        this.audienceBtn = document.getElementById('audienceBtn');
         this.fullscreenExitBtn = document.getElementById('fullscreenExitBtn');
         this.micStatus = document.getElementById('micStatus');
         this.audioLevel = document.getElementById('audioLevel');
@@ -75,8 +283,26 @@ class LiveMusicArtwork {
         
         // Verify all elements exist
         if (!this.startBtn || !this.stopBtn || !this.canvas || !this.sensitivitySlider || 
-            !this.visualModeSelect || !this.debugToggleBtn ||
-            !this.micStatus || !this.audioLevel || !this.fullscreenBtn || !this.fullscreenExitBtn ||
+            !this.visualModeSelect || !this.debugToggleBtn || !this.diagnosticControls || !this.diagnosticPanelSelect ||
+            !this.transitionStyleSelect || !this.transitionDurationInput || !this.nextVisualBtn || !this.autoTransitionInput ||
+            !this.colorSchemeSelect || !this.setlistSelect || !this.prevSceneBtn || !this.nextSceneBtn || !this.sceneNameInput ||
+            !this.saveSceneBtn || !this.removeSceneBtn || !this.silenceAdvanceToggle ||
+            !this.presetSelect || !this.presetNameInput || !this.savePresetBtn || !this.deletePresetBtn ||
+            !this.exportPresetBtn || !this.presetFileInput || !this.sharePresetBtn ||
+            !this.midiEnableBtn || !this.midiLearnBtn || !this.beatPadBtn || !this.resetBalloonsBtn || !this.spikeThresholdSlider || !this.midiStatus ||
+            !this.streamUrlInput || !this.streamRawToggle || !this.streamConnectBtn || !this.streamStatus ||
+            !this.remoteUrlInput || !this.remoteConnectBtn || !this.remoteStatus ||
+            !this.inputSourceSelect || !this.inputDeviceSelect ||
+            !this.fileControls || !this.audioFileInput || !this.audioUrlInput || !this.loadUrlBtn || !this.playPauseBtn || !this.seekSlider ||
+            !this.analyseSetBtn || !this.saveTrackBtn || !this.trackFileInput || !this.trackStatus ||
+            !this.sessionControls || !this.sessionFileInput || !this.sessionPlayPauseBtn || !this.sessionSeekSlider ||
+            !this.recordSessionBtn || !this.exportSessionBtn ||
+            !this.videoResolutionSelect || !this.videoFrameRateSelect || !this.videoCountdownSelect || !this.videoOverlayToggle ||
+            !this.recordVideoBtn || !this.recordingIndicator || !this.videoCountdownDisplay ||
+            !this.generatorControls || !this.signalTypeSelect || !this.signalNoteInput || !this.signalBpmInput || !this.signalMonitorToggle ||
+            !this.fftSizeSelect || !this.smoothingSlider || !this.bandList || !this.addBandBtn ||
+            !this.calibrateBtn || !this.autoGainToggle ||
+            !this.micStatus || !this.audioLevel || !this.fullscreenBtn || !this.fullscreenExitBtn || !this.audienceBtn ||
             !this.frequencyDisplay || !this.volumeDisplay) {
             console.error('❌ Some DOM elements are missing');
             return;
@@ -102,19 +328,254 @@ class LiveMusicArtwork {
             const mode = e.target.value;
             
             this.updateVisualizationMode(mode);
+        });
+        
+        this.diagnosticPanelSelect.addEventListener('change', (e) => {
+            this.setDiagnosticPanel(e.target.value);
+        });
+        
+        // Transitions between modes
+        this.transitionStyleSelect.addEventListener('change', (e) => {
+            this.setTransition({ style: e.target.value });
+        });
+        this.transitionDurationInput.addEventListener('change', (e) => {
+            this.setTransition({ duration: parseFloat(e.target.value) });
+        });
+        this.nextVisualBtn.addEventListener('click', () => this.nextVisualization());
+        this.autoTransitionInput.addEventListener('change', (e) => {
+            this.setAutoTransition(parseFloat(e.target.value) || 0);
+        });
+        
+        // Automatic changes skip diagnostic modes, so they need two others to switch between
+        if (!this.canAutoTransition()) {
+            this.autoTransitionInput.disabled = true;
+            this.autoTransitionInput.title = 'Needs at least two visualizations besides the Audio Test - add one with visualization-template.js';
+        }
+        
+        this.colorSchemeSelect.addEventListener('change', (e) => {
+            this.setColorScheme(e.target.value);
+        });
+        
+        // Scenes and setlist
+        this.setlistSelect.addEventListener('change', (e) => {
+            this.goToScene(parseInt(e.target.value));
+        });
+        this.prevSceneBtn.addEventListener('click', () => this.previousScene());
+        this.nextSceneBtn.addEventListener('click', () => this.nextScene());
+        this.saveSceneBtn.addEventListener('click', () => this.saveScene(this.sceneNameInput.value));
+        this.removeSceneBtn.addEventListener('click', () => this.removeFromSetlist(parseInt(this.setlistSelect.value)));
+        this.silenceAdvanceToggle.addEventListener('change', (e) => {
+            this.setSetlistOptions({ advanceOnSilence: e.target.checked });
+        });
+        
+        // Presets
+        this.presetSelect.addEventListener('change', (e) => {
+            this.loadPreset(e.target.value);
+        });
+        this.savePresetBtn.addEventListener('click', () => this.savePreset(this.presetNameInput.value || this.presetSelect.value));
+        this.deletePresetBtn.addEventListener('click', () => this.deletePreset(this.presetSelect.value));
+        this.exportPresetBtn.addEventListener('click', () => this.exportPreset());
+        this.presetFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importPreset(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.sharePresetBtn.addEventListener('click', () => this.sharePreset());
+        
+        // A preset link pasted into the address bar while the app is open
+        window.addEventListener('hashchange', () => this.loadPresetFromUrl());
+        
+        // MIDI
+        this.midiEnableBtn.addEventListener('click', () => this.enableMidi());
+        this.midiLearnBtn.addEventListener('click', () => this.toggleMidiLearn());
+        this.beatPadBtn.addEventListener('click', () => this.injectBeat());
+        this.resetBalloonsBtn.addEventListener('click', () => {
+            if (this.visualizationEngine) {
+                this.visualizationEngine.resetBalloons();
+            }
+        });
+        this.spikeThresholdSlider.addEventListener('input', (e) => {
+            this.setSpikeThreshold(parseFloat(e.target.value));
+        });
+        
+        // In learn mode a click picks the control to map instead of using it
+        document.addEventListener('pointerdown', (e) => {
+            if (!this.midiLearnMode) return;
             
-
+            const control = e.target.closest('[data-midi-target]');
+            if (control) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.midiLearn(control.dataset.midiTarget);
+            }
+        }, true);
+        
+        // Feature stream
+        this.streamUrlInput.value = this.featureStream.url;
+        this.streamConnectBtn.addEventListener('click', () => this.toggleFeatureStream());
+        this.streamRawToggle.addEventListener('change', (e) => {
+            this.featureStream.includeRaw = e.target.checked;
         });
         
+        // Phone remote
+        this.remoteUrlInput.value = this.remoteLink.url;
+        this.remoteConnectBtn.addEventListener('click', () => this.toggleRemoteLink());
+        
 
         
 
         
+        // Input source
+        this.inputSourceSelect.addEventListener('change', (e) => {
+            this.updateInputSource(e.target.value);
+        });
+        
+        // Input device selection
+        this.inputDeviceSelect.addEventListener('change', (e) => {
+            this.selectInputDevice(e.target.value);
+        });
+        
+        // React to interfaces being plugged in or pulled mid-gig
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                this.handleDeviceChange();
+            });
+        }
+        
+        // Audio file selection
+        this.audioFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadAudioFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        // Audio from an address (Enter in the box works too)
+        this.loadUrlBtn.addEventListener('click', () => this.loadAudioUrl(this.audioUrlInput.value.trim()));
+        this.audioUrlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.loadAudioUrl(this.audioUrlInput.value.trim());
+            }
+        });
+        
+        // Drag and drop audio files onto the canvas
+        this.displayContainer.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.displayContainer.classList.add('drag-over');
+        });
+        this.displayContainer.addEventListener('dragleave', () => {
+            this.displayContainer.classList.remove('drag-over');
+        });
+        this.displayContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.displayContainer.classList.remove('drag-over');
+            if (e.dataTransfer.files.length > 0) {
+                this.loadAudioFile(e.dataTransfer.files[0]);
+            }
+        });
+        
+        // Transport controls
+        this.playPauseBtn.addEventListener('click', () => this.togglePlayback());
+        this.seekSlider.addEventListener('input', (e) => {
+            this.isSeeking = true;
+            this.playbackTimeDisplay.textContent = this.formatPlaybackTime(parseFloat(e.target.value), this.mediaInput ? this.mediaInput.getDuration() : 0);
+        });
+        this.seekSlider.addEventListener('change', (e) => {
+            this.isSeeking = false;
+            if (this.mediaInput) {
+                this.mediaInput.seek(parseFloat(e.target.value));
+            }
+        });
+        this.loopToggle.addEventListener('change', (e) => {
+            if (this.mediaInput) {
+                this.mediaInput.setLoop(e.target.checked);
+            }
+        });
+        
+        // Offline analysis and feature tracks
+        this.analyseSetBtn.addEventListener('click', () => this.analyseSet());
+        this.saveTrackBtn.addEventListener('click', () => this.saveFeatureTrack());
+        this.trackFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadFeatureTrack(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        // Session recording and replay
+        this.recordSessionBtn.addEventListener('click', () => this.toggleSessionRecording());
+        this.recordVideoBtn.addEventListener('click', () => this.toggleVideoRecording());
+        this.exportSessionBtn.addEventListener('click', () => this.exportSession());
+        this.sessionFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadSession(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.sessionPlayPauseBtn.addEventListener('click', () => this.toggleSessionPlayback());
+        this.sessionSeekSlider.addEventListener('input', (e) => {
+            // Scrub: every position shows its frame straight away
+            this.isScrubbing = true;
+            if (this.sessionPlayer) {
+                this.sessionPlayer.seek(parseFloat(e.target.value));
+            }
+            this.sessionTimeDisplay.textContent = this.formatPlaybackTime(parseFloat(e.target.value), parseFloat(e.target.max));
+        });
+        this.sessionSeekSlider.addEventListener('change', () => {
+            this.isScrubbing = false;
+        });
+        this.sessionLoopToggle.addEventListener('change', (e) => {
+            if (this.sessionPlayer) {
+                this.sessionPlayer.setLoop(e.target.checked);
+            }
+        });
+        
+        // Test signal generator
+        [this.signalTypeSelect, this.signalNoteInput, this.signalBpmInput].forEach(control => {
+            control.addEventListener('change', () => this.updateTestSignal());
+        });
+        this.signalMonitorToggle.addEventListener('change', (e) => {
+            this.signalGenerator.setMonitor(e.target.checked);
+        });
+        
+        // Level calibration
+        this.calibrateBtn.addEventListener('click', () => this.calibrate());
+        this.autoGainToggle.addEventListener('change', (e) => {
+            this.setAutoGain(e.target.checked);
+        });
+        
+        // Analyser settings
+        this.fftSizeSelect.addEventListener('change', (e) => {
+            this.setAnalyserConfig({ fftSize: parseInt(e.target.value) });
+        });
+        this.smoothingSlider.addEventListener('input', (e) => {
+            this.smoothingValue.textContent = e.target.value;
+        });
+        this.smoothingSlider.addEventListener('change', (e) => {
+            this.setAnalyserConfig({ smoothing: parseFloat(e.target.value) });
+        });
+        this.addBandBtn.addEventListener('click', () => {
+            this.addBandFromInputs();
+        });
+        this.bandList.addEventListener('click', (e) => {
+            if (e.target.dataset.band) {
+                this.setAnalyserConfig({ bands: { [e.target.dataset.band]: null } });
+            }
+        });
+        this.resetAnalyserBtn.addEventListener('click', () => {
+            this.resetAnalyserConfig();
+        });
+        
         // Fullscreen
         this.fullscreenBtn.addEventListener('click', () => {
             this.toggleFullscreen();
         });
         
+        this.audienceBtn.addEventListener('click', () => {
+            this.toggleAudienceWindow();
+        });
+        
         // Fullscreen exit button
         this.fullscreenExitBtn.addEventListener('click', () => {
             this.exitFullscreen();
@@ -161,6 +622,9 @@ class LiveMusicArtwork {
 
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
+            // Leave typing in the note/number/band fields alone
+            if (e.target.matches && e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+            
             switch(e.code) {
                 case 'Space':
                     e.preventDefault();
@@ -184,19 +648,54 @@ class LiveMusicArtwork {
                         this.toggleFullscreen();
                     }
                     break;
+                case 'KeyN':
+                    if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+                        e.preventDefault();
+                        this.nextVisualization();
+                    }
+                    break;
+                // Presentation clickers send Page Down / Page Up
+                case 'PageDown':
+                    e.preventDefault();
+                    this.nextScene();
+                    break;
+                case 'PageUp':
+                    e.preventDefault();
+                    this.previousScene();
+                    break;
             }
         });
     }
 
     async start() {
         try {
+            // Replays drive the visuals without any audio
+            if (this.inputSourceSelect.value === 'session') {
+                this.startSessionReplay();
+                return;
+            }
+            
             // Initialize audio processor
+            const inputSource = this.getSelectedInputSource();
             this.audioProcessor = new AudioProcessor();
-            await this.audioProcessor.initialize();
+            await this.audioProcessor.setInputDevice(this.preferredDeviceId);
+            this.audioProcessor.setTempoRange(this.tempoRange);
+            await this.audioProcessor.setPreferredChannelCount(this.channelCount);
+            this.audioProcessor.applyAnalyserConfig(this.analyserConfig);
+            this.audioProcessor.setCalibration(this.calibration);
+            this.audioProcessor.setAutoGain(this.autoGain);
+            await this.audioProcessor.initialize(inputSource);
+            this.audioProcessor.setFeatureTrack(this.featureTrack, this.mediaInput);
             
             // Initialize visualization engine
             this.visualizationEngine = new VisualizationEngine(this.canvas);
+            this.visualizationEngine.setTransition(this.transitionSettings);
+            this.visualizationEngine.setColorScheme(this.colorScheme);
             this.visualizationEngine.setMode(this.visualModeSelect.value);
+            this.applyVisualizationSettings();
+            this.applySceneSettings();
+            this.visualizationEngine.setHistoryWindow(this.historyWindow);
+            this.visualizationEngine.setDiagnosticPanel(this.diagnosticPanel);
             this.visualizationEngine.start();
             
             // Start audio processing with callback
@@ -207,11 +706,21 @@ class LiveMusicArtwork {
             
             this.isRunning = true;
             this.updateUIState();
+            this.audienceOutput.syncState();
             
             // Update debug button text and visibility for current visualization
             this.updateDebugButtonText();
             this.updateDebugButtonVisibility(this.visualModeSelect.value);
             
+            // Recorded audio starts playing straight away
+            if (inputSource) {
+                await inputSource.play();
+            }
+            this.syncHistoryPause();
+            
+            // Device names become available once microphone permission is granted
+            await this.refreshInputDevices();
+            
             this.showMessage('Visualization started! 🎵');
             
         } catch (error) {
@@ -222,12 +731,34 @@ class LiveMusicArtwork {
     }
 
     stop() {
+        if (this.sessionRecorder.isRecording) {
+            this.stopSessionRecording();
+        }
+        
+        // The clip so far is still saved
+        if (this.videoRecorder.state !== 'idle') {
+            this.videoRecorder.stop();
+        }
+        
+        if (this.sessionPlayer) {
+            this.sessionPlayer.stop();
+            this.sessionPlayer = null;
+            this.updateSessionControls();
+        }
+        
         if (this.audioProcessor) {
+            // Keep what the AGC learned tonight for the next start
+            if (this.autoGain && this.calibration) {
+                this.calibration = this.audioProcessor.getCalibration();
+                this.saveStoredCalibration(this.calibration);
+            }
             this.audioProcessor.stop();
             this.audioProcessor = null;
         }
         
         if (this.visualizationEngine) {
+            // Visualizations are recreated on start, so keep their settings
+            this.visualizationSettings = this.collectVisualizationSettings();
             this.visualizationEngine.stop();
             this.visualizationEngine = null;
         }
@@ -235,6 +766,7 @@ class LiveMusicArtwork {
         this.isRunning = false;
         this.isPaused = false;
         this.updateUIState();
+        this.audienceOutput.syncState();
         this.resetAudioDisplays();
         
         this.showMessage('Visualization stopped');
@@ -258,10 +790,31 @@ class LiveMusicArtwork {
         // Add sensitivity to audio data
         audioData.sensitivity = parseInt(this.sensitivitySlider.value);
         
+        // Beats and onsets from MIDI pads join this frame
+        if (this.injectedBeat) {
+            audioData.beatDetected = true;
+            audioData.injectedBeat = this.injectedBeat;
+            this.injectedBeat = null;
+        }
+        if (this.injectedOnsets.length > 0) {
+            audioData.onsets = { ...audioData.onsets };
+            this.injectedOnsets.forEach(band => {
+                audioData.onsets[band] = true;
+            });
+            this.injectedOnsets = [];
+        }
+        
         // Update visualization
         if (this.visualizationEngine) {
             this.visualizationEngine.updateAudioData(audioData);
         }
+        this.audienceOutput.sendAudioData(audioData);
+        this.featureStream.send(audioData);
+        
+        // The setlist moves on by itself on a scene's timer or in the gap between tunes
+        if (this.setlist && this.setlist.update(audioData)) {
+            this.nextScene();
+        }
         
         // Update UI displays
         this.updateAudioDisplays(audioData);
@@ -285,103 +838,1408 @@ class LiveMusicArtwork {
                 audioData.dominantFrequency.toFixed(1) : '0';
         }
         
-        if (volumeElement) {
-            volumeElement.textContent = audioData.volume ? 
-                audioData.volume.toFixed(1) : '0';
+        if (volumeElement) {
+            volumeElement.textContent = audioData.volume ? 
+                audioData.volume.toFixed(1) : '0';
+        }
+    }
+
+    updateAudioLevel(volume) {
+        if (!this.audioLevel) return;
+        
+        const levelBar = this.audioLevel.querySelector('.level-bar');
+        if (levelBar) {
+            const percentage = Math.min(100, Math.max(0, volume));
+            levelBar.style.width = `${percentage}%`;
+            
+            // Color coding based on level
+            if (percentage < 20) {
+                levelBar.className = 'level-bar level-low';
+            } else if (percentage < 60) {
+                levelBar.className = 'level-bar level-medium';
+            } else {
+                levelBar.className = 'level-bar level-high';
+            }
+        }
+    }
+
+    updateMicrophoneStatus(connected) {
+        if (!this.micStatus) return;
+        
+        const statusDot = this.micStatus.querySelector('.status-dot');
+        const statusText = this.micStatus.querySelector('span:last-child');
+        
+        if (statusDot && statusText) {
+            const inputLabels = { file: 'Audio File', session: 'Recorded Session', generator: 'Test Signal' };
+            const inputLabel = (this.inputSourceSelect && inputLabels[this.inputSourceSelect.value]) || 'Microphone';
+            
+            if (connected) {
+                statusDot.className = 'status-dot status-connected';
+                statusText.textContent = `${inputLabel}: Connected`;
+            } else {
+                statusDot.className = 'status-dot status-disconnected';
+                statusText.textContent = `${inputLabel}: Disconnected`;
+            }
+        }
+    }
+
+    updateUIState() {
+        if (this.isRunning) {
+            this.startBtn.disabled = true;
+            this.stopBtn.disabled = false;
+            this.startBtn.textContent = 'Running...';
+            this.calibrateBtn.disabled = this.isCalibrating || !this.audioProcessor;
+            this.recordSessionBtn.disabled = !this.audioProcessor;
+            this.recordVideoBtn.disabled = !VideoRecorder.isSupported();
+        } else {
+            this.startBtn.disabled = false;
+            this.stopBtn.disabled = true;
+            this.startBtn.textContent = 'Start Visualization';
+            this.calibrateBtn.disabled = true;
+            this.recordSessionBtn.disabled = true;
+            this.recordVideoBtn.disabled = true;
+        }
+        this.exportSessionBtn.disabled = this.sessionRecorder.isRecording || !this.sessionRecorder.hasFrames();
+    }
+
+    resetAudioDisplays() {
+        this.updateAudioLevel(0);
+        this.updateMicrophoneStatus(false);
+        
+        // Reset frequency and volume displays
+        const freqElement = document.getElementById('frequency');
+        const volumeElement = document.getElementById('volume');
+        
+        if (freqElement) freqElement.textContent = '0';
+        if (volumeElement) volumeElement.textContent = '0';
+    }
+
+    handleResize() {
+        if (this.isFullscreen) {
+            // Update canvas size in fullscreen mode
+            this.canvas.width = window.innerWidth;
+            this.canvas.height = window.innerHeight;
+            
+            // Update visualization engine bounds if it exists
+            if (this.visualizationEngine) {
+                this.visualizationEngine.updateBounds(this.canvas.width, this.canvas.height);
+            }
+        }
+    }
+
+
+
+    getSelectedInputSource() {
+        if (this.inputSourceSelect.value === 'generator') {
+            return this.signalGenerator;
+        }
+        
+        if (this.inputSourceSelect.value !== 'file') {
+            return null;
+        }
+        
+        if (!this.mediaInput || !this.mediaInput.hasMedia()) {
+            throw new Error('Choose or drop an audio file before starting file playback.');
+        }
+        
+        return this.mediaInput;
+    }
+
+    async updateInputSource(source) {
+        this.fileControls.style.display = source === 'file' ? 'flex' : 'none';
+        this.sessionControls.style.display = source === 'session' ? 'flex' : 'none';
+        this.generatorControls.style.display = source === 'generator' ? 'flex' : 'none';
+        this.deviceControls.style.display = source === 'microphone' ? 'flex' : 'none';
+        this.updateMicrophoneStatus(false);
+        
+        // A replay has no audio processor to hot-swap, so going to or from one restarts
+        if (this.isRunning && (source === 'session' || this.sessionPlayer)) {
+            this.stop();
+            if (source !== 'session' || this.session) {
+                await this.start();
+            }
+            return;
+        }
+        
+        if (!this.audioProcessor || !this.isRunning) return;
+        
+        // Wait for a file before leaving the microphone
+        if (source === 'file' && (!this.mediaInput || !this.mediaInput.hasMedia())) {
+            this.showMessage('Choose or drop an audio file to play');
+            return;
+        }
+        
+        try {
+            const inputSource = this.getSelectedInputSource();
+            await this.audioProcessor.setInputSource(inputSource);
+            
+            if (inputSource) {
+                await inputSource.play();
+            }
+            this.syncHistoryPause();
+            
+            this.showMessage(`Input switched to ${this.audioProcessor.getInputDescription()}`);
+        } catch (error) {
+            console.error('Failed to switch input source:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async refreshInputDevices() {
+        let devices = [];
+        try {
+            devices = await AudioProcessor.listInputDevices();
+        } catch (error) {
+            console.warn('⚠️ Could not list input devices:', error);
+        }
+        
+        // Rebuild the list, keeping the remembered device even if it is unplugged right now
+        this.inputDeviceSelect.innerHTML = '<option value="">System Default</option>';
+        devices
+            .filter(device => device.deviceId && device.deviceId !== 'default')
+            .forEach((device, index) => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `Microphone ${index + 1}`;
+                this.inputDeviceSelect.appendChild(option);
+            });
+        
+        if (this.preferredDeviceId && !devices.some(device => device.deviceId === this.preferredDeviceId)) {
+            const option = document.createElement('option');
+            option.value = this.preferredDeviceId;
+            option.textContent = 'Last used device (not connected)';
+            this.inputDeviceSelect.appendChild(option);
+        }
+        
+        this.inputDeviceSelect.value = this.preferredDeviceId || '';
+        return devices;
+    }
+
+    async selectInputDevice(deviceId) {
+        this.preferredDeviceId = deviceId || null;
+        this.saveStoredDeviceId(this.preferredDeviceId);
+        
+        if (!this.audioProcessor || !this.isRunning) return;
+        
+        try {
+            await this.audioProcessor.setInputDevice(this.preferredDeviceId);
+            this.showMessage(`Input switched to ${this.audioProcessor.getInputDescription()}`);
+        } catch (error) {
+            console.error('Failed to switch input device:', error);
+            this.showError(`Could not switch input device: ${error.message}`);
+        }
+    }
+
+    async handleDeviceChange() {
+        console.log('🔌 Audio devices changed');
+        const devices = await this.refreshInputDevices();
+        
+        if (!this.audioProcessor || !this.isRunning || this.inputSourceSelect.value !== 'microphone') return;
+        
+        const isAvailable = (deviceId) => devices.some(device => device.deviceId === deviceId);
+        const activeDeviceId = this.audioProcessor.getActiveDeviceId();
+        
+        try {
+            if (this.preferredDeviceId && isAvailable(this.preferredDeviceId) && activeDeviceId !== this.preferredDeviceId) {
+                // Our interface came back - switch back to it
+                await this.audioProcessor.setInputDevice(this.preferredDeviceId);
+                this.clearAudioWarning();
+                this.showMessage(`Reconnected to ${this.audioProcessor.getInputDescription()}`);
+            } else if (activeDeviceId && !isAvailable(activeDeviceId)) {
+                // Our interface was pulled - keep going on the default device
+                await this.audioProcessor.setInputDevice(null);
+                this.showAudioWarning('Input device disconnected - using the default microphone until it is plugged back in');
+            }
+        } catch (error) {
+            console.error('Failed to follow device change:', error);
+            this.showAudioError(`Could not reconnect audio input: ${error.message}`);
+        }
+    }
+
+    loadStoredDeviceId() {
+        try {
+            return localStorage.getItem('liveMusicArtwork.inputDeviceId') || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveStoredDeviceId(deviceId) {
+        try {
+            if (deviceId) {
+                localStorage.setItem('liveMusicArtwork.inputDeviceId', deviceId);
+            } else {
+                localStorage.removeItem('liveMusicArtwork.inputDeviceId');
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not remember input device:', error);
+        }
+    }
+
+    async calibrate() {
+        if (!this.audioProcessor || !this.isRunning) {
+            this.showError('Start the visualization before calibrating');
+            return null;
+        }
+        
+        this.isCalibrating = true;
+        this.updateUIState();
+        
+        try {
+            const calibration = await this.audioProcessor.calibrate((phase) => {
+                if (phase === 'noise') {
+                    this.showMessage('Calibrating: stay quiet while the room tone is measured...');
+                } else if (phase === 'soundcheck') {
+                    this.showMessage('Sound check: play a tune at full volume...');
+                }
+            });
+            
+            this.calibration = calibration;
+            this.saveStoredCalibration(calibration);
+            this.showMessage('Calibration complete');
+            return calibration;
+        } catch (error) {
+            console.error('Calibration failed:', error);
+            if (this.isRunning) {
+                this.showError(error.message);
+            }
+            return null;
+        } finally {
+            this.isCalibrating = false;
+            this.updateUIState();
+        }
+    }
+
+    setAutoGain(enabled) {
+        this.autoGain = !!enabled;
+        this.autoGainToggle.checked = this.autoGain;
+        this.saveStoredAutoGain(this.autoGain);
+        
+        if (this.audioProcessor) {
+            this.audioProcessor.setAutoGain(this.autoGain);
+        }
+        
+        if (this.autoGain && !this.calibration) {
+            this.showMessage('Auto Gain starts once the room has been calibrated');
+        }
+    }
+
+    clearCalibration() {
+        this.calibration = null;
+        this.saveStoredCalibration(null);
+        if (this.audioProcessor) {
+            this.audioProcessor.clearCalibration();
+        }
+        this.showMessage('Calibration cleared - using the sensitivity slider only');
+    }
+
+    loadStoredCalibration() {
+        try {
+            const stored = localStorage.getItem('liveMusicArtwork.calibration');
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveStoredCalibration(calibration) {
+        try {
+            if (calibration) {
+                localStorage.setItem('liveMusicArtwork.calibration', JSON.stringify(calibration));
+            } else {
+                localStorage.removeItem('liveMusicArtwork.calibration');
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not remember calibration:', error);
+        }
+    }
+
+    loadStoredAutoGain() {
+        try {
+            return localStorage.getItem('liveMusicArtwork.autoGain') === 'true';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    saveStoredAutoGain(enabled) {
+        try {
+            localStorage.setItem('liveMusicArtwork.autoGain', enabled ? 'true' : 'false');
+        } catch (error) {
+            console.warn('⚠️ Could not remember auto gain setting:', error);
+        }
+    }
+
+    setAnalyserConfig(changes) {
+        try {
+            this.analyserConfig = AudioProcessor.mergeAnalyserConfig(this.analyserConfig, changes);
+            if (this.audioProcessor) {
+                this.audioProcessor.applyAnalyserConfig(this.analyserConfig);
+            }
+            this.saveStoredAnalyserConfig(this.analyserConfig);
+        } catch (error) {
+            console.error('Invalid analyser settings:', error);
+            this.showError(error.message);
+        }
+        
+        this.updateAnalyserSettingsPanel();
+        return this.analyserConfig;
+    }
+
+    resetAnalyserConfig() {
+        this.analyserConfig = AudioProcessor.getDefaultAnalyserConfig();
+        if (this.audioProcessor) {
+            this.audioProcessor.applyAnalyserConfig(this.analyserConfig);
+        }
+        this.saveStoredAnalyserConfig(null);
+        this.updateAnalyserSettingsPanel();
+        this.showMessage('Analyser settings reset');
+    }
+
+    addBandFromInputs() {
+        const name = this.bandNameInput.value.trim();
+        if (!name) {
+            this.showError('Give the band a name first');
+            return;
+        }
+        
+        this.setAnalyserConfig({
+            bands: {
+                [name]: {
+                    min: parseFloat(this.bandMinInput.value),
+                    max: parseFloat(this.bandMaxInput.value)
+                }
+            }
+        });
+        
+        if (this.analyserConfig.bands[name]) {
+            this.bandNameInput.value = '';
+            this.bandMinInput.value = '';
+            this.bandMaxInput.value = '';
+        }
+    }
+
+    updateAnalyserSettingsPanel() {
+        const config = this.analyserConfig;
+        if (!config) return;
+        
+        this.fftSizeSelect.value = config.fftSize;
+        this.smoothingSlider.value = config.smoothing;
+        this.smoothingValue.textContent = config.smoothing;
+        
+        this.bandList.innerHTML = '';
+        Object.entries(config.bands).forEach(([name, range]) => {
+            const item = document.createElement('li');
+            item.textContent = `${name}: ${range.min}-${range.max} Hz`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '×';
+            removeBtn.title = `Remove ${name}`;
+            removeBtn.dataset.band = name;
+            item.appendChild(removeBtn);
+            
+            this.bandList.appendChild(item);
+        });
+    }
+
+    loadStoredAnalyserConfig() {
+        try {
+            const stored = localStorage.getItem('liveMusicArtwork.analyserConfig');
+            if (!stored) return null;
+            
+            // Run it through validation in case it was edited or saved by an older version
+            const defaults = AudioProcessor.getDefaultAnalyserConfig();
+            const config = JSON.parse(stored);
+            return AudioProcessor.mergeAnalyserConfig({ ...defaults, bands: config.bands ? {} : defaults.bands }, config);
+        } catch (error) {
+            console.warn('⚠️ Ignoring stored analyser settings:', error);
+            return null;
+        }
+    }
+
+    saveStoredAnalyserConfig(config) {
+        try {
+            if (config) {
+                localStorage.setItem('liveMusicArtwork.analyserConfig', JSON.stringify(config));
+            } else {
+                localStorage.removeItem('liveMusicArtwork.analyserConfig');
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not remember analyser settings:', error);
+        }
+    }
+
+    // Everything a preset holds (see preset-manager.js)
+    getState() {
+        return {
+            sensitivity: parseInt(this.sensitivitySlider.value),
+            mode: this.visualModeSelect.value,
+            colorScheme: this.colorScheme,
+            transition: { ...this.transitionSettings },
+            analyserConfig: JSON.parse(JSON.stringify(this.analyserConfig)),
+            tempoRange: { ...this.tempoRange },
+            historyWindow: this.historyWindow,
+            diagnosticPanel: this.diagnosticPanel,
+            visualizations: this.collectVisualizationSettings()
+        };
+    }
+
+    // Apply a preset's state; it is checked first, so nothing changes if any of it is invalid
+    applyState(state) {
+        const checked = PresetManager.validateState(state);
+        
+        if (checked.sensitivity !== undefined) this.setSensitivity(checked.sensitivity);
+        if (checked.colorScheme) this.setColorScheme(checked.colorScheme);
+        if (checked.transition) this.setTransition(checked.transition);
+        if (checked.tempoRange) this.setTempoRange(checked.tempoRange);
+        if (checked.historyWindow) this.setHistoryWindow(checked.historyWindow);
+        if (checked.diagnosticPanel) this.setDiagnosticPanel(checked.diagnosticPanel);
+        
+        if (checked.analyserConfig) {
+            this.analyserConfig = checked.analyserConfig;
+            if (this.audioProcessor) {
+                this.audioProcessor.applyAnalyserConfig(this.analyserConfig);
+            }
+            this.saveStoredAnalyserConfig(this.analyserConfig);
+            this.updateAnalyserSettingsPanel();
+        }
+        
+        if (checked.visualizations) {
+            this.visualizationSettings = { ...this.visualizationSettings, ...checked.visualizations };
+            this.applyVisualizationSettings();
+        }
+        
+        if (checked.mode) this.setVisualizationMode(checked.mode);
+    }
+
+    // Settings of every visualization: live ones from the engine, the rest as last known
+    collectVisualizationSettings() {
+        const settings = JSON.parse(JSON.stringify(this.visualizationSettings));
+        if (this.visualizationEngine) {
+            this.visualizationEngine.visualizations.forEach((visualization, mode) => {
+                if (visualization.getSettings) {
+                    settings[mode] = visualization.getSettings();
+                }
+            });
+        }
+        return settings;
+    }
+
+    applyVisualizationSettings() {
+        if (this.visualizationEngine) {
+            Object.entries(this.visualizationSettings).forEach(([mode, settings]) => {
+                const visualization = VisualizationEngine.getModeInfo(mode) ? this.visualizationEngine.getVisualization(mode) : null;
+                if (visualization && visualization.setSettings) {
+                    visualization.setSettings(settings);
+                }
+            });
+        }
+        this.updateSpikeThresholdSlider();
+    }
+
+    savePreset(name) {
+        try {
+            const preset = this.presetManager.save(name, this.getState());
+            this.presetNameInput.value = '';
+            this.updatePresetControls(preset.name);
+            this.showMessage(`Preset "${preset.name}" saved 💾`);
+            return preset;
+        } catch (error) {
+            this.showError(error.message);
+            return null;
+        }
+    }
+
+    loadPreset(name) {
+        const preset = this.presetManager.get(name);
+        if (!preset) {
+            this.showError(`No preset called "${name}"`);
+            return;
+        }
+        this.applyPreset(preset);
+    }
+
+    applyPreset(preset) {
+        try {
+            this.applyState(preset.state);
+            this.updatePresetControls(this.presetManager.get(preset.name) === preset ? preset.name : '');
+            this.showMessage(`Preset "${preset.name}" loaded`);
+        } catch (error) {
+            console.error('Failed to apply preset:', error);
+            this.showError(error.message);
+        }
+    }
+
+    deletePreset(name) {
+        if (!this.presetManager.get(name)) return;
+        
+        this.presetManager.remove(name);
+        this.updatePresetControls();
+    }
+
+    // The selected preset, or the current settings if none is selected
+    exportPreset() {
+        const name = this.presetSelect.value;
+        try {
+            const preset = this.presetManager.get(name) || PresetManager.createPreset('Live Music Artwork', this.getState());
+            const fileName = preset.name.replace(/[^a-z0-9_-]+/gi, '-').toLowerCase();
+            this.downloadBlob(PresetManager.exportPreset(preset), `${fileName}.preset.json`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Imported presets are saved under their own name and applied
+    async importPreset(file) {
+        try {
+            const preset = await PresetManager.importPreset(file);
+            this.presetManager.save(preset.name, preset.state);
+            this.applyPreset(this.presetManager.get(preset.name));
+        } catch (error) {
+            console.error('Failed to import preset:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // A link that opens the app with the current settings
+    async sharePreset() {
+        const preset = PresetManager.createPreset(this.presetSelect.value || 'Shared preset', this.getState());
+        const url = `${location.href.split('#')[0]}#${PresetManager.toFragment(preset)}`;
+        console.log('🔗 Preset link:', url);
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showMessage('Preset link copied 🔗');
+        } catch (error) {
+            this.showAudioWarning('Could not copy the link - it is in the console');
+        }
+        return url;
+    }
+
+    // Apply a preset shared in the address (#preset=...)
+    loadPresetFromUrl() {
+        try {
+            const preset = PresetManager.fromFragment(location.hash);
+            if (preset) {
+                this.applyPreset(preset);
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    updatePresetControls(selected = this.presetSelect.value) {
+        const names = this.presetManager.getNames();
+        
+        this.presetSelect.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = names.length > 0 ? 'Choose a preset' : 'No presets yet';
+        placeholder.disabled = true;
+        this.presetSelect.appendChild(placeholder);
+        
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.presetSelect.appendChild(option);
+        });
+        
+        this.presetSelect.value = names.includes(selected) ? selected : '';
+        this.deletePresetBtn.disabled = !this.presetSelect.value;
+    }
+
+    // The player behind the Audio File input; element is an <audio>/<video> on the page, or
+    // null for one of our own
+    createMediaInput(element = null) {
+        const mediaInput = new MediaElementInput(element);
+        mediaInput.addCallback(() => this.updateTransportControls());
+        mediaInput.addCallback(() => this.syncHistoryPause());
+        mediaInput.addCallback((eventName) => {
+            if (eventName === 'error') {
+                this.showError('Could not load the audio. Use a format the browser can play; other sites must allow cross-origin (CORS) access.');
+            }
+        });
+        return mediaInput;
+    }
+
+    loadAudioFile(file) {
+        try {
+            if (!this.mediaInput) {
+                this.mediaInput = this.createMediaInput();
+            }
+            
+            this.mediaInput.loadFile(file);
+            this.audioFile = file;
+            this.useLoadedMedia(file.name);
+        } catch (error) {
+            console.error('Failed to load audio file:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Play audio from an address instead of the microphone (the server must allow CORS)
+    loadAudioUrl(url) {
+        try {
+            if (!this.mediaInput) {
+                this.mediaInput = this.createMediaInput();
+            }
+            
+            this.mediaInput.loadUrl(url);
+            this.audioUrlInput.value = url;
+            this.audioFile = null;
+            this.useLoadedMedia(this.mediaInput.sourceName);
+        } catch (error) {
+            console.error('Failed to load audio URL:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Analyse an <audio> or <video> element already on the page (e.g. an embedded player)
+    async useAudioElement(element) {
+        if (!(element instanceof HTMLMediaElement)) {
+            this.showError('useAudioElement needs an <audio> or <video> element.');
+            return;
+        }
+        
+        const previous = this.mediaInput;
+        this.mediaInput = this.createMediaInput(element);
+        this.audioFile = null;
+        await this.useLoadedMedia(this.mediaInput.sourceName);
+        
+        // Released after the swap, so the running input is never left without a source
+        if (previous) {
+            previous.dispose();
+        }
+    }
+
+    // Show what was loaded and switch the input over to it (hot-swaps if already running)
+    async useLoadedMedia(name) {
+        this.mediaInput.setLoop(this.loopToggle.checked);
+        this.fileNameDisplay.textContent = name;
+        this.updateTransportControls();
+        
+        // A track for the previous file would be out of sync with this one; a matching track
+        // is handed over to the new player
+        if (this.featureTrack) {
+            this.setFeatureTrack(this.featureTrack.source === name ? this.featureTrack : null);
+        }
+        this.updateFeatureTrackStatus();
+        
+        this.inputSourceSelect.value = 'file';
+        await this.updateInputSource('file');
+    }
+
+    // Analyse the loaded file faster than real time; clicking again cancels
+    async analyseSet() {
+        if (this.offlineAnalyzer) {
+            this.offlineAnalyzer.cancel();
+            return;
+        }
+        
+        if (!this.audioFile) {
+            this.showError('Choose an audio file to analyse first.');
+            return;
+        }
+        
+        // The whole recording is decoded into memory - make sure a long one is wanted
+        const duration = this.mediaInput ? this.mediaInput.getDuration() : 0;
+        if (duration > OfflineAnalyzer.LONG_SET_SECONDS) {
+            const gigabytes = OfflineAnalyzer.estimateMemory(duration) / 1024 ** 3;
+            if (!confirm(`This recording is ${Math.round(duration / 60)} minutes long. Analysing it needs about ${gigabytes.toFixed(1)} GB of memory and may slow the browser down. Analyse it anyway?`)) {
+                return;
+            }
+        }
+        
+        this.offlineAnalyzer = new OfflineAnalyzer({ analyserConfig: this.analyserConfig });
+        this.analyseSetBtn.textContent = 'Cancel Analysis';
+        this.trackStatus.textContent = 'Analysing... 0%';
+        
+        try {
+            const track = await this.offlineAnalyzer.analyzeFile(this.audioFile, (progress) => {
+                this.trackStatus.textContent = `Analysing... ${Math.round(progress * 100)}%`;
+            });
+            this.offlineAnalyzer = null;
+            this.setFeatureTrack(track);
+            this.showMessage(`Set analysed: ${track.sections.length} sections, ${track.beats.length} beats`);
+        } catch (error) {
+            console.error('Offline analysis failed:', error);
+            this.offlineAnalyzer = null;
+            this.showError(error.message);
+        }
+        
+        this.analyseSetBtn.textContent = 'Analyse Set';
+        this.updateFeatureTrackStatus();
+    }
+
+    setFeatureTrack(track) {
+        this.featureTrack = track;
+        if (this.audioProcessor) {
+            this.audioProcessor.setFeatureTrack(track, this.mediaInput);
+        }
+        this.updateFeatureTrackStatus();
+    }
+
+    updateFeatureTrackStatus() {
+        this.analyseSetBtn.disabled = !this.audioFile;
+        this.saveTrackBtn.disabled = !this.featureTrack;
+        
+        if (this.offlineAnalyzer) return;
+        
+        this.trackStatus.textContent = this.featureTrack
+            ? `Feature track: ${this.featureTrack.sections.length} sections, ${this.featureTrack.beats.length} beats`
+            : 'No feature track';
+    }
+
+    saveFeatureTrack() {
+        if (!this.featureTrack) return;
+        
+        const blob = new Blob([JSON.stringify(this.featureTrack)], { type: 'application/json' });
+        this.downloadBlob(blob, `${this.featureTrack.source.replace(/\.[^.]+$/, '') || 'set'}.features.json`);
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Record every audioData frame from the running audio processor
+    toggleSessionRecording() {
+        if (this.sessionRecorder.isRecording) {
+            this.stopSessionRecording();
+            return;
+        }
+        
+        if (!this.audioProcessor) return;
+        
+        this.sessionRecorder.onLimitReached = () => {
+            this.stopSessionRecording();
+            this.showAudioWarning('Session recording stopped at the 30 minute limit');
+        };
+        this.sessionRecorder.start();
+        this.audioProcessor.addCallback(this.recordSessionCallback);
+        
+        this.recordSessionBtn.textContent = 'Stop Recording';
+        this.recordSessionBtn.classList.add('recording');
+        this.updateUIState();
+    }
+
+    stopSessionRecording() {
+        this.sessionRecorder.stop();
+        if (this.audioProcessor) {
+            this.audioProcessor.removeCallback(this.recordSessionCallback);
+        }
+        
+        this.recordSessionBtn.textContent = 'Record Session';
+        this.recordSessionBtn.classList.remove('recording');
+        this.updateUIState();
+        
+        if (this.sessionRecorder.hasFrames()) {
+            this.showMessage(`Session recorded (${(this.sessionRecorder.getDuration() / 1000).toFixed(0)}s) - click Export Session to save it`);
+        }
+    }
+
+    populateVideoResolutions() {
+        if (!this.videoResolutionSelect) return;
+        
+        this.videoResolutionSelect.innerHTML = '';
+        Object.entries(VideoRecorder.RESOLUTIONS).forEach(([id, resolution]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = resolution.name;
+            this.videoResolutionSelect.appendChild(option);
+        });
+    }
+
+    toggleVideoRecording() {
+        if (this.videoRecorder.state !== 'idle') {
+            this.videoRecorder.stop();
+            return;
+        }
+        
+        this.startVideoRecording();
+    }
+
+    // options override the controls: { resolution, frameRate, countdown, includeOverlay }
+    startVideoRecording(options = {}) {
+        if (!this.isRunning || !this.visualizationEngine) {
+            this.showError('Start the visualization before recording video.');
+            return;
+        }
+        
+        // Replayed sessions have no sound to record
+        let audioStream = null;
+        if (this.audioProcessor) {
+            try {
+                audioStream = this.audioProcessor.getRecordingStream();
+            } catch (error) {
+                console.warn('⚠️ Recording video without audio:', error);
+            }
+        }
+        
+        try {
+            this.videoRecorder.start({
+                resolution: this.videoResolutionSelect.value,
+                frameRate: parseInt(this.videoFrameRateSelect.value),
+                countdown: parseInt(this.videoCountdownSelect.value),
+                includeOverlay: this.videoOverlayToggle.checked,
+                ...options,
+                sourceWidth: this.canvas.width,
+                sourceHeight: this.canvas.height,
+                audioStream
+            });
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        
+        if (!audioStream) {
+            this.showAudioWarning('Recording video without sound - there is no live audio to record');
+        }
+    }
+
+    handleVideoStateChange(state) {
+        const recording = state === 'recording';
+        
+        this.recordVideoBtn.textContent = { idle: 'Record Video', countdown: 'Cancel', recording: 'Stop Video' }[state];
+        this.recordVideoBtn.classList.toggle('recording', state !== 'idle');
+        [this.videoResolutionSelect, this.videoFrameRateSelect, this.videoCountdownSelect, this.videoOverlayToggle].forEach(control => {
+            control.disabled = state !== 'idle';
+        });
+        
+        if (this.visualizationEngine) {
+            this.visualizationEngine.setFrameCapture(recording ? this.videoRecorder : null);
+        }
+        
+        // Page elements over the canvas, so they never end up in the video
+        this.videoCountdownDisplay.hidden = state !== 'countdown';
+        this.recordingIndicator.hidden = !recording;
+        clearInterval(this.videoIndicatorTimer);
+        this.videoIndicatorTimer = null;
+        if (recording) {
+            this.updateRecordingIndicator();
+            this.videoIndicatorTimer = setInterval(() => this.updateRecordingIndicator(), 500);
+        }
+    }
+
+    updateRecordingIndicator() {
+        const elapsed = this.videoRecorder.getElapsed();
+        const minutes = Math.floor(elapsed / 60);
+        const seconds = Math.floor(elapsed % 60);
+        this.recordingIndicator.textContent = `● REC ${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    saveVideo(blob, seconds) {
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        this.downloadBlob(blob, `live-music-artwork-${stamp}.webm`);
+        this.showMessage(`Video saved (${seconds.toFixed(0)}s, ${(blob.size / 1024 / 1024).toFixed(1)} MB) 🎥`);
+    }
+
+    async exportSession() {
+        if (!this.sessionRecorder.hasFrames()) return;
+        
+        try {
+            const blob = await SessionRecorder.exportSession(this.sessionRecorder.getSession());
+            const stamp = this.sessionRecorder.createdAt.slice(0, 16).replace(/[:T]/g, '-');
+            const extension = blob.type === 'application/gzip' ? 'json.gz' : 'json';
+            this.downloadBlob(blob, `session-${stamp}.${extension}`);
+        } catch (error) {
+            console.error('Failed to export session:', error);
+            this.showError('Could not export the session. ' + (error.message || ''));
+        }
+    }
+
+    async loadSession(file) {
+        try {
+            this.session = await SessionRecorder.importSession(file);
+            this.sessionNameDisplay.textContent = file.name;
+            this.updateSessionControls();
+            
+            // Switch over to the replay (restarts if already running)
+            this.inputSourceSelect.value = 'session';
+            await this.updateInputSource('session');
+            
+            this.showMessage(`Session loaded: ${(this.session.duration / 1000).toFixed(0)}s, ${this.session.frames.length} frames`);
+        } catch (error) {
+            console.error('Failed to load session:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Drive the visuals from a recorded session instead of live audio
+    startSessionReplay() {
+        if (!this.session) {
+            throw new Error('Choose a recorded session before starting the replay.');
+        }
+        
+        this.visualizationEngine = new VisualizationEngine(this.canvas);
+        this.visualizationEngine.setTransition(this.transitionSettings);
+        this.visualizationEngine.setColorScheme(this.colorScheme);
+        this.visualizationEngine.setMode(this.visualModeSelect.value);
+        this.applyVisualizationSettings();
+        this.applySceneSettings();
+        this.visualizationEngine.setHistoryWindow(this.historyWindow);
+        this.visualizationEngine.setDiagnosticPanel(this.diagnosticPanel);
+        this.visualizationEngine.start();
+        
+        this.sessionPlayer = new SessionPlayer(this.session);
+        this.sessionPlayer.setLoop(this.sessionLoopToggle.checked);
+        this.sessionPlayer.addFrameCallback((audioData) => this.handleAudioData(audioData));
+        this.sessionPlayer.addCallback(() => this.updateSessionControls());
+        this.sessionPlayer.addCallback(() => this.syncHistoryPause());
+        
+        this.isRunning = true;
+        this.updateUIState();
+        this.audienceOutput.syncState();
+        this.updateDebugButtonText();
+        this.updateDebugButtonVisibility(this.visualModeSelect.value);
+        
+        this.sessionPlayer.play();
+        this.showMessage('Replaying recorded session ⏯️');
+    }
+
+    async toggleSessionPlayback() {
+        if (!this.session) return;
+        
+        // Playing a session before starting means "start the show with this session"
+        if (!this.sessionPlayer) {
+            this.inputSourceSelect.value = 'session';
+            if (this.isRunning) {
+                await this.updateInputSource('session');
+            } else {
+                this.sessionControls.style.display = 'flex';
+                this.deviceControls.style.display = 'none';
+                await this.start();
+            }
+            return;
+        }
+        
+        this.sessionPlayer.togglePlayback();
+    }
+
+    updateSessionControls() {
+        const player = this.sessionPlayer;
+        const duration = player ? player.getDuration() : (this.session ? this.session.duration / 1000 : 0);
+        const currentTime = player ? player.getCurrentTime() : 0;
+        
+        this.sessionPlayPauseBtn.disabled = !this.session;
+        this.sessionPlayPauseBtn.textContent = player && player.isPlaying() ? 'Pause' : 'Play';
+        this.sessionSeekSlider.disabled = !player;
+        this.sessionSeekSlider.max = duration;
+        
+        if (!this.isScrubbing) {
+            this.sessionSeekSlider.value = currentTime;
+            this.sessionTimeDisplay.textContent = this.formatPlaybackTime(currentTime, duration);
+        }
+    }
+
+    // Apply the generator controls (the signal restarts straight away if it is playing)
+    updateTestSignal() {
+        try {
+            this.signalGenerator.setSignal(this.signalTypeSelect.value, {
+                note: this.signalNoteInput.value.trim(),
+                bpm: parseFloat(this.signalBpmInput.value)
+            });
+            
+            if (this.isRunning && this.audioProcessor) {
+                this.showMessage(this.signalGenerator.getDescription());
+            }
+        } catch (error) {
+            console.error('Failed to change test signal:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async loadFeatureTrack(file) {
+        try {
+            const track = FeatureTrack.fromJSON(await file.text());
+            
+            const duration = this.mediaInput ? this.mediaInput.getDuration() : 0;
+            if (duration && !track.matches(duration)) {
+                this.showAudioWarning(`Feature track is for "${track.source}" - it may not line up with the loaded file`);
+            }
+            
+            this.setFeatureTrack(track);
+            this.showMessage(`Feature track loaded for ${track.source}`);
+        } catch (error) {
+            console.error('Failed to load feature track:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async togglePlayback() {
+        if (!this.mediaInput) return;
+        
+        // Playing a file before starting means "start the show with this file"
+        if (!this.isRunning) {
+            this.inputSourceSelect.value = 'file';
+            this.fileControls.style.display = 'flex';
+            await this.start();
+            return;
+        }
+        
+        try {
+            await this.mediaInput.togglePlayback();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // The history graph holds still while the file, test signal or replay is paused
+    syncHistoryPause() {
+        if (!this.visualizationEngine) return;
+        
+        const source = this.sessionPlayer || (this.audioProcessor ? this.audioProcessor.inputSource : null);
+        this.visualizationEngine.setHistoryPaused(!!source && !source.isPlaying());
+    }
+
+    updateTransportControls() {
+        if (!this.mediaInput) return;
+        
+        const hasMedia = this.mediaInput.hasMedia();
+        const duration = this.mediaInput.getDuration();
+        const currentTime = this.mediaInput.getCurrentTime();
+        
+        this.playPauseBtn.disabled = !hasMedia;
+        this.playPauseBtn.textContent = this.mediaInput.isPlaying() ? 'Pause' : 'Play';
+        this.seekSlider.disabled = !duration;
+        this.seekSlider.max = duration;
+        
+        // Don't fight the user while they are dragging the slider
+        if (!this.isSeeking) {
+            this.seekSlider.value = currentTime;
+            this.playbackTimeDisplay.textContent = this.formatPlaybackTime(currentTime, duration);
+        }
+    }
+
+    formatPlaybackTime(currentTime, duration) {
+        const format = (seconds) => {
+            const minutes = Math.floor(seconds / 60);
+            const remainder = Math.floor(seconds % 60);
+            return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+        };
+        
+        return `${format(currentTime || 0)} / ${format(duration || 0)}`;
+    }
+
+    // The mode menu lists every registered visualization
+    populateVisualModes() {
+        if (!this.visualModeSelect) return;
+        
+        this.visualModeSelect.innerHTML = '';
+        VisualizationEngine.getRegisteredModes().forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.name;
+            option.title = mode.description;
+            this.visualModeSelect.appendChild(option);
+        });
+    }
+
+    updateVisualizationMode(mode) {
+        // Update visualization mode if engine is running
+        if (this.visualizationEngine) {
+            this.visualizationEngine.setMode(mode);
+            // Update debug button text for the new visualization
+            this.updateDebugButtonText();
+        }
+        
+        // Update debug button visibility
+        this.updateDebugButtonVisibility(mode);
+        
+        // Diagnostic panels belong to the Audio Test
+        this.diagnosticControls.style.display = mode === 'audiotest' ? 'flex' : 'none';
+        
+        this.audienceOutput.syncState();
+    }
+
+    setDiagnosticPanel(panel) {
+        if (!DiagnosticPanels.PANELS[panel]) {
+            this.showError(`Unknown Audio Test panel "${panel}" - use ${Object.keys(DiagnosticPanels.PANELS).join(', ')}`);
+            return;
+        }
+        
+        this.diagnosticPanel = panel;
+        this.diagnosticPanelSelect.value = panel;
+        if (this.visualizationEngine) {
+            this.visualizationEngine.setDiagnosticPanel(panel);
+        }
+    }
+
+    // { style: 'crossfade'|'wipe'|'beat-cut'|'none', duration: seconds }
+    setTransition(settings) {
+        const next = { ...this.transitionSettings, ...settings };
+        
+        if (!VisualizationEngine.TRANSITIONS[next.style] || !(next.duration > 0 && next.duration <= 10)) {
+            this.showError(`Transitions need a style (${Object.keys(VisualizationEngine.TRANSITIONS).join(', ')}) and 0-10 seconds`);
+            this.transitionStyleSelect.value = this.transitionSettings.style;
+            this.transitionDurationInput.value = this.transitionSettings.duration;
+            return;
+        }
+        
+        this.transitionSettings = next;
+        if (this.visualizationEngine) {
+            this.visualizationEngine.setTransition(next);
+        }
+        this.audienceOutput.syncState();
+        this.transitionStyleSelect.value = next.style;
+        this.transitionDurationInput.value = next.duration;
+        console.log('🎬 Transition:', this.transitionSettings);
+    }
+
+    // Move to the next mode in the menu. Automatic changes skip diagnostic modes (Audio Test)
+    nextVisualization(includeDiagnostic = true) {
+        const modes = VisualizationEngine.getRegisteredModes()
+            .filter(mode => includeDiagnostic || !mode.diagnostic || mode.id === this.visualModeSelect.value);
+        if (modes.length < 2) return;
+        
+        const index = modes.findIndex(mode => mode.id === this.visualModeSelect.value);
+        this.setVisualizationMode(modes[(index + 1) % modes.length].id);
+    }
+
+    canAutoTransition() {
+        return VisualizationEngine.getRegisteredModes().filter(mode => !mode.diagnostic).length >= 2;
+    }
+
+    // Change mode every so many seconds while running (0 = off)
+    setAutoTransition(seconds) {
+        if (this.autoTransitionTimer) {
+            clearInterval(this.autoTransitionTimer);
+            this.autoTransitionTimer = null;
+        }
+        
+        if (seconds > 0 && !this.canAutoTransition()) {
+            console.warn('⚠️ Automatic changes need at least two visualizations besides the Audio Test');
+            seconds = 0;
+        }
+        
+        this.autoTransitionSeconds = Math.max(0, seconds);
+        this.autoTransitionInput.value = this.autoTransitionSeconds;
+        
+        if (this.autoTransitionSeconds > 0) {
+            this.autoTransitionTimer = setInterval(() => {
+                if (this.isRunning) {
+                    this.nextVisualization(false);
+                }
+            }, this.autoTransitionSeconds * 1000);
+            console.log(`🎬 Changing visualization every ${this.autoTransitionSeconds}s`);
+        }
+    }
+
+    populateColorSchemes() {
+        if (!this.colorSchemeSelect) return;
+        
+        this.colorSchemeSelect.innerHTML = '';
+        Object.keys(VisualizationEngine.COLOR_SCHEMES).forEach(scheme => {
+            const option = document.createElement('option');
+            option.value = scheme;
+            option.textContent = scheme.charAt(0).toUpperCase() + scheme.slice(1);
+            this.colorSchemeSelect.appendChild(option);
+        });
+        this.colorSchemeSelect.value = this.colorScheme;
+    }
+
+    setColorScheme(scheme) {
+        if (!VisualizationEngine.COLOR_SCHEMES[scheme]) {
+            this.showError(`Unknown color scheme "${scheme}" - use ${Object.keys(VisualizationEngine.COLOR_SCHEMES).join(', ')}`);
+            this.colorSchemeSelect.value = this.colorScheme;
+            return;
+        }
+        
+        this.colorScheme = scheme;
+        this.colorSchemeSelect.value = scheme;
+        if (this.visualizationEngine) {
+            this.visualizationEngine.setColorScheme(scheme);
         }
+        this.audienceOutput.syncState();
     }
 
-    updateAudioLevel(volume) {
-        if (!this.audioLevel) return;
+    // Save the current look as a scene; a new scene goes on the end of the setlist.
+    // options add or override scene fields, e.g. { duration: 240 } to move on after 4 minutes
+    saveScene(name, options = {}) {
+        const mode = this.visualModeSelect.value;
+        let settings = {};
+        if (this.visualizationEngine) {
+            const visualization = this.visualizationEngine.getVisualization(mode);
+            settings = visualization && visualization.getSettings ? visualization.getSettings() : {};
+        } else if (this.activeScene && this.activeScene.mode === mode) {
+            settings = this.activeScene.settings;
+        }
         
-        const levelBar = this.audioLevel.querySelector('.level-bar');
-        if (levelBar) {
-            const percentage = Math.min(100, Math.max(0, volume));
-            levelBar.style.width = `${percentage}%`;
-            
-            // Color coding based on level
-            if (percentage < 20) {
-                levelBar.className = 'level-bar level-low';
-            } else if (percentage < 60) {
-                levelBar.className = 'level-bar level-medium';
-            } else {
-                levelBar.className = 'level-bar level-high';
+        try {
+            const isNew = !this.setlist.getScene((name || '').trim());
+            const scene = this.setlist.addScene({
+                name: name,
+                mode: mode,
+                colorScheme: this.colorScheme,
+                sensitivity: parseInt(this.sensitivitySlider.value),
+                settings: settings,
+                ...options
+            });
+            if (isNew) {
+                this.setlist.append(scene.name);
             }
+        
+            this.activeScene = scene;
+            this.sceneNameInput.value = '';
+            this.saveStoredSetlist();
+            this.updateSetlistControls();
+            this.showMessage(`Scene "${scene.name}" saved 🎬`);
+            return scene;
+        } catch (error) {
+            this.showError(error.message);
+            return null;
         }
     }
 
-    updateMicrophoneStatus(connected) {
-        if (!this.micStatus) return;
-        
-        const statusDot = this.micStatus.querySelector('.status-dot');
-        const statusText = this.micStatus.querySelector('span:last-child');
-        
-        if (statusDot && statusText) {
-            if (connected) {
-                statusDot.className = 'status-dot status-connected';
-                statusText.textContent = 'Microphone: Connected';
-            } else {
-                statusDot.className = 'status-dot status-disconnected';
-                statusText.textContent = 'Microphone: Disconnected';
-            }
+    // Add or replace a scene from the console without changing the running order
+    addScene(scene) {
+        try {
+            this.setlist.addScene(scene);
+            this.saveStoredSetlist();
+            this.updateSetlistControls();
+        } catch (error) {
+            this.showError(error.message);
         }
     }
 
-    updateUIState() {
-        if (this.isRunning) {
-            this.startBtn.disabled = true;
-            this.stopBtn.disabled = false;
-            this.startBtn.textContent = 'Running...';
-        } else {
-            this.startBtn.disabled = false;
-            this.stopBtn.disabled = true;
-            this.startBtn.textContent = 'Start Visualization';
+    removeScene(name) {
+        if (this.activeScene && this.activeScene.name === name) {
+            this.activeScene = null;
         }
+        this.setlist.removeScene(name);
+        this.saveStoredSetlist();
+        this.updateSetlistControls();
     }
 
-    resetAudioDisplays() {
-        this.updateAudioLevel(0);
-        this.updateMicrophoneStatus(false);
-        
-        // Reset frequency and volume displays
-        const freqElement = document.getElementById('frequency');
-        const volumeElement = document.getElementById('volume');
+    // The running order by scene name; a scene can appear more than once
+    setSetlist(names) {
+        try {
+            this.setlist.setOrder(names);
+            this.saveStoredSetlist();
+            this.updateSetlistControls();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    removeFromSetlist(index) {
+        if (isNaN(index) || index < 0) return;
         
-        if (freqElement) freqElement.textContent = '0';
-        if (volumeElement) volumeElement.textContent = '0';
+        this.setlist.removeAt(index);
+        this.saveStoredSetlist();
+        this.updateSetlistControls();
     }
 
-    handleResize() {
-        if (this.isFullscreen) {
-            // Update canvas size in fullscreen mode
-            this.canvas.width = window.innerWidth;
-            this.canvas.height = window.innerHeight;
-            
-            // Update visualization engine bounds if it exists
-            if (this.visualizationEngine) {
-                this.visualizationEngine.updateBounds(this.canvas.width, this.canvas.height);
-            }
+    // { advanceOnSilence, silenceLevel (volume 0-100), silenceSeconds }
+    setSetlistOptions(options) {
+        try {
+            this.setlist.setOptions(options);
+        } catch (error) {
+            this.showError(error.message);
         }
+        this.silenceAdvanceToggle.checked = this.setlist.options.advanceOnSilence;
+        this.saveStoredSetlist();
     }
 
+    nextScene() {
+        this.applyScene(this.setlist.next());
+    }
 
+    previousScene() {
+        this.applyScene(this.setlist.previous());
+    }
 
-    updateVisualizationMode(mode) {
-        // Update visualization mode if engine is running
-        if (this.visualizationEngine) {
-            this.visualizationEngine.setMode(mode);
-            // Update debug button text for the new visualization
-            this.updateDebugButtonText();
+    // Jump to a position in the setlist, or to the first entry of a scene by name
+    goToScene(target) {
+        const index = typeof target === 'string' ? this.setlist.order.indexOf(target) : target;
+        if (isNaN(index) || index < 0) {
+            this.showError(`"${target}" is not in the setlist`);
+            return;
+        }
+        this.applyScene(this.setlist.goTo(index));
+    }
+
+    applyScene(scene) {
+        if (!scene) return;
+        
+        this.activeScene = scene;
+        if (scene.colorScheme) {
+            this.setColorScheme(scene.colorScheme);
         }
+        if (scene.sensitivity) {
+            this.setSensitivity(scene.sensitivity);
+        }
+        this.setVisualizationMode(scene.mode);
+        this.applySceneSettings();
         
-        // Update debug button visibility
-        this.updateDebugButtonVisibility(mode);
+        this.updateSetlistControls();
+        console.log(`🎬 Scene: ${scene.name}`);
+    }
+
+    // Scene settings go to the scene's visualization (again whenever the engine is recreated)
+    applySceneSettings() {
+        const scene = this.activeScene;
+        if (!scene || !this.visualizationEngine || Object.keys(scene.settings).length === 0) return;
+        
+        const visualization = this.visualizationEngine.getVisualization(scene.mode);
+        if (visualization && visualization.setSettings) {
+            visualization.setSettings(scene.settings);
+        }
+        this.updateSpikeThresholdSlider();
+    }
+
+    updateSetlistControls() {
+        if (!this.setlist) return;
+        
+        this.setlistSelect.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '-1';
+        placeholder.textContent = this.setlist.isEmpty() ? 'No scenes yet' : 'Choose a scene';
+        placeholder.disabled = true;
+        this.setlistSelect.appendChild(placeholder);
+        
+        this.setlist.order.forEach((name, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${index + 1}. ${name}`;
+            this.setlistSelect.appendChild(option);
+        });
+        
+        this.setlistSelect.value = this.setlist.position;
+        const empty = this.setlist.isEmpty();
+        this.prevSceneBtn.disabled = empty;
+        this.nextSceneBtn.disabled = empty;
+        this.removeSceneBtn.disabled = this.setlist.position < 0;
+    }
+
+    loadStoredSetlist() {
+        try {
+            const stored = localStorage.getItem('liveMusicArtwork.setlist');
+            return stored ? Setlist.fromJSON(JSON.parse(stored)) : null;
+        } catch (error) {
+            console.warn('⚠️ Ignoring stored setlist:', error);
+            return null;
+        }
     }
 
+    saveStoredSetlist() {
+        try {
+            localStorage.setItem('liveMusicArtwork.setlist', JSON.stringify(this.setlist));
+        } catch (error) {
+            console.warn('⚠️ Could not remember the setlist:', error);
+        }
+    }
+        
     updateDebugButtonVisibility(mode) {
         // Show/hide debug button based on visualization support
         if (this.debugToggleBtn) {
-            if (mode === 'balloon-float') {
+            const modeInfo = VisualizationEngine.getModeInfo(mode);
+            if (modeInfo && modeInfo.debugInfo) {
                 this.debugToggleBtn.style.display = 'inline-block';
             } else {
                 this.debugToggleBtn.style.display = 'none';
@@ -461,6 +2319,11 @@ class LiveMusicArtwork {
     }
 
     setVisualizationMode(mode) {
+        if (!VisualizationEngine.getModeInfo(mode)) {
+            this.showError(`Unknown visualization mode "${mode}"`);
+            return;
+        }
+        
         if (this.visualModeSelect) {
             this.visualModeSelect.value = mode;
             this.visualModeSelect.dispatchEvent(new Event('change'));
@@ -469,6 +2332,30 @@ class LiveMusicArtwork {
 
 
 
+    setTempoRange(options) {
+        this.tempoRange = AudioProcessor.mergeTempoRange(this.tempoRange, options);
+        if (this.audioProcessor) {
+            this.audioProcessor.setTempoRange(this.tempoRange);
+        }
+        console.log('🥁 Tempo range:', this.tempoRange);
+    }
+
+    setHistoryWindow(seconds) {
+        this.historyWindow = seconds;
+        if (this.visualizationEngine) {
+            this.visualizationEngine.setHistoryWindow(seconds);
+        }
+    }
+
+    // Ask for more channels from a multi-channel interface (or 1 for a mono microphone)
+    async setChannelCount(count) {
+        this.channelCount = count;
+        if (this.audioProcessor) {
+            await this.audioProcessor.setPreferredChannelCount(count);
+        }
+        console.log('🎚️ Input channels requested:', this.channelCount);
+    }
+
     setSensitivity(value) {
         if (this.sensitivitySlider) {
             this.sensitivitySlider.value = value;
@@ -476,6 +2363,279 @@ class LiveMusicArtwork {
         }
     }
 
+    async enableMidi() {
+        try {
+            await this.midiController.enable();
+            this.midiLearnBtn.disabled = false;
+            this.midiEnableBtn.disabled = true;
+            this.updateMidiStatus();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Learn mode: click a control marked data-midi-target, then move a knob or hit a pad
+    toggleMidiLearn() {
+        this.midiLearnMode = !this.midiLearnMode;
+        if (!this.midiLearnMode) {
+            this.midiController.cancelLearn();
+            this.clearMidiLearnHighlight();
+        }
+        this.midiLearnBtn.textContent = this.midiLearnMode ? 'Click a Control...' : 'MIDI Learn';
+        this.updateMidiStatus();
+    }
+
+    // Also for targets without a control, e.g. midiLearn('onset:bass')
+    midiLearn(target) {
+        if (!this.getMidiTargets().includes(target)) {
+            this.showError(`Unknown MIDI target "${target}" - use ${this.getMidiTargets().join(', ')}`);
+            return;
+        }
+        if (!this.midiController.access) {
+            this.showError('Enable MIDI first');
+            return;
+        }
+        
+        this.clearMidiLearnHighlight();
+        const control = document.querySelector(`[data-midi-target="${target}"]`);
+        if (control) {
+            control.classList.add('midi-learning');
+        }
+        this.midiController.learn(target);
+        this.midiStatus.textContent = `Move a knob or hit a pad for ${target}...`;
+    }
+
+    clearMidiLearnHighlight() {
+        document.querySelectorAll('.midi-learning').forEach(element => element.classList.remove('midi-learning'));
+    }
+
+    handleMidiLearned(target, key) {
+        this.clearMidiLearnHighlight();
+        if (this.midiLearnMode) {
+            this.toggleMidiLearn();
+        }
+        this.showMessage(`MIDI ${key} now controls ${target} 🎹`);
+        this.updateMidiStatus();
+    }
+
+    getMidiTargets() {
+        const targets = ['sensitivity', 'visualMode', 'nextVisualization', 'nextScene', 'previousScene', 'resetBalloons', 'spikeThreshold', 'beat'];
+        return targets.concat(Object.keys(this.analyserConfig ? this.analyserConfig.bands : {}).map(band => `onset:${band}`));
+    }
+
+    // Knobs and faders set values (value is 0-1); buttons and pads fire once per press
+    handleMidiControl(target, message) {
+        switch (target) {
+            case 'sensitivity':
+                this.setSensitivity(1 + Math.round(message.value * 9));
+                return;
+            case 'spikeThreshold':
+                this.setSpikeThreshold(Math.round((1.1 + message.value * 1.8) * 10) / 10);
+                return;
+            case 'visualMode': {
+                // A knob picks a mode along its travel; a pad steps to the next one
+                if (message.type === 'note') {
+                    this.nextVisualization();
+                    return;
+                }
+                const modes = VisualizationEngine.getRegisteredModes();
+                const mode = modes[Math.min(modes.length - 1, Math.floor(message.value * modes.length))];
+                if (mode.id !== this.visualModeSelect.value) {
+                    this.setVisualizationMode(mode.id);
+                }
+                return;
+            }
+        }
+        
+        if (!message.pressed) return;
+        
+        if (target.startsWith('onset:')) {
+            this.injectOnset(target.slice('onset:'.length));
+            return;
+        }
+        
+        switch (target) {
+            case 'nextVisualization':
+                this.nextVisualization();
+                break;
+            case 'nextScene':
+                this.nextScene();
+                break;
+            case 'previousScene':
+                this.previousScene();
+                break;
+            case 'resetBalloons':
+                if (this.visualizationEngine) {
+                    this.visualizationEngine.resetBalloons();
+                }
+                break;
+            case 'beat':
+                this.injectBeat(message.value);
+                break;
+        }
+    }
+
+    // A beat from outside the audio (a drum pad); the next frame carries it as beatDetected,
+    // so it reaches handleBeatResponse() like a detected beat, even in a quiet room
+    injectBeat(velocity = 1) {
+        this.injectedBeat = { velocity: velocity };
+    }
+
+    injectOnset(band) {
+        if (!this.injectedOnsets.includes(band)) {
+            this.injectedOnsets.push(band);
+        }
+    }
+
+    setSpikeThreshold(threshold) {
+        this.spikeThresholdSlider.value = threshold;
+        if (this.visualizationEngine) {
+            this.visualizationEngine.setSpikeSettings({ minSpikeThreshold: threshold });
+            return;
+        }
+        
+        // Not running: keep it for when the balloons are created
+        const settings = this.visualizationSettings['balloon-float'] || {};
+        this.visualizationSettings['balloon-float'] = {
+            ...settings,
+            spikeSettings: { ...settings.spikeSettings, minSpikeThreshold: threshold }
+        };
+    }
+
+    // Show the balloons' spike threshold after settings arrive from a preset, scene or command
+    updateSpikeThresholdSlider() {
+        const stored = this.visualizationSettings['balloon-float'];
+        const spikeSettings = this.visualizationEngine ? this.visualizationEngine.getSpikeSettings() : stored && stored.spikeSettings;
+        if (spikeSettings && spikeSettings.minSpikeThreshold !== undefined) {
+            this.spikeThresholdSlider.value = spikeSettings.minSpikeThreshold;
+        }
+    }
+
+    updateMidiStatus() {
+        if (!this.midiController.access) {
+            this.midiStatus.textContent = 'MIDI off';
+        } else if (this.midiLearnMode && !this.midiController.isLearning()) {
+            this.midiStatus.textContent = 'Click the control to map';
+        } else {
+            const names = this.midiController.getInputNames();
+            const count = Object.keys(this.midiController.getMappings()).length;
+            this.midiStatus.textContent = `${names.length > 0 ? names.join(', ') : 'No controller'} - ${count} mapped`;
+        }
+    }
+
+    toggleFeatureStream() {
+        if (this.featureStream.enabled) {
+            this.featureStream.disconnect();
+            this.updateStreamControls();
+            return;
+        }
+        
+        try {
+            this.featureStream.connect(this.streamUrlInput.value.trim());
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.updateStreamControls();
+    }
+
+    updateStreamControls() {
+        const stream = this.featureStream;
+        this.streamConnectBtn.textContent = stream.enabled ? 'Disconnect' : 'Connect';
+        this.streamUrlInput.disabled = stream.enabled;
+        
+        if (!stream.enabled) {
+            this.streamStatus.textContent = 'Not streaming';
+        } else {
+            this.streamStatus.textContent = stream.isConnected() ? 'Streaming' : 'Waiting for the relay...';
+        }
+    }
+
+    toggleRemoteLink() {
+        if (this.remoteLink.enabled) {
+            this.remoteLink.disconnect();
+            this.updateRemoteControls();
+            return;
+        }
+        
+        try {
+            this.remoteLink.connect(this.remoteUrlInput.value.trim());
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.updateRemoteControls();
+    }
+
+    updateRemoteControls() {
+        const link = this.remoteLink;
+        this.remoteConnectBtn.textContent = link.enabled ? 'Disable' : 'Enable';
+        this.remoteUrlInput.disabled = link.enabled;
+        
+        if (!link.enabled) {
+            this.remoteStatus.textContent = 'Off';
+        } else if (!link.isConnected()) {
+            this.remoteStatus.textContent = 'Waiting for the remote server...';
+        } else {
+            const phones = link.remoteCount === 1 ? '1 phone' : `${link.remoteCount} phones`;
+            this.remoteStatus.textContent = `Code ${RemoteLink.formatCode(link.code)} - ${phones}`;
+        }
+        this.remoteStatus.title = link.enabled && link.links.length > 0 ? `Open on the phone:\n${link.links.join('\n')}` : '';
+    }
+
+    // What the phone remote shows (see remote.js)
+    getRemoteState() {
+        return {
+            running: this.isRunning,
+            mode: this.visualModeSelect.value,
+            modes: VisualizationEngine.getRegisteredModes().map(mode => ({ id: mode.id, name: mode.name })),
+            sensitivity: parseInt(this.sensitivitySlider.value),
+            debugInfo: this.visualizationEngine ? this.visualizationEngine.getDebugInfoState() : false,
+            scene: this.setlist ? this.setlist.getCurrentName() : null,
+            sceneCount: this.setlist ? this.setlist.order.length : 0
+        };
+    }
+
+    // Commands from the feature stream and the phone remote: only the whitelisted methods, with their arguments
+    async runRemoteCommand(command, args = []) {
+        if (!this.remoteCommands.includes(command) || typeof this[command] !== 'function') {
+            throw new Error(`Unknown command "${command}"`);
+        }
+        
+        console.log(`📡 Remote ${command}(${args.map(arg => JSON.stringify(arg)).join(', ')})`);
+        return this[command](...args);
+    }
+
+    toggleAudienceWindow() {
+        if (this.audienceOutput.isOpen()) {
+            this.audienceOutput.close();
+            return;
+        }
+        
+        try {
+            this.audienceOutput.open();
+            this.showMessage('Audience window opened - drag it to the second screen and double-click it for fullscreen 🖥️');
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.updateAudienceControls();
+    }
+
+    // What the audience window needs to draw the same thing (see audience-output.js)
+    getAudienceState() {
+        return {
+            running: this.isRunning,
+            mode: this.visualModeSelect.value,
+            colorScheme: this.colorScheme,
+            transition: { ...this.transitionSettings },
+            visualizations: this.collectVisualizationSettings()
+        };
+    }
+
+    updateAudienceControls() {
+        const open = this.audienceOutput.isOpen();
+        this.audienceBtn.textContent = open ? 'Close Audience Window' : 'Open Audience Window';
+        this.displayContainer.classList.toggle('audience-preview', open);
+    }
+
     toggleFullscreen() {
         if (!this.isFullscreen) {
             this.enterFullscreen();
@@ -620,10 +2780,12 @@ class LiveMusicArtwork {
         notification.innerHTML = `
             <div class="notification-content">
                 <span class="notification-icon">${type === 'error' ? '🚨' : '⚠️'}</span>
-                <span class="notification-message">${message}</span>
+                <span class="notification-message"></span>
                 <button class="notification-close" onclick="this.parentElement.parentElement.remove()">×</button>
             </div>
         `;
+        // Messages can carry file names and other outside text - never markup
+        notification.querySelector('.notification-message').textContent = message;
 
         container.appendChild(notification);
 
@@ -774,21 +2936,57 @@ window.addEventListener('DOMContentLoaded', () => {
         console.log('Available commands:');
         console.log('- liveMusicArtwork.start() - Start visualization');
         console.log('- liveMusicArtwork.stop() - Stop visualization');
-        console.log('- liveMusicArtwork.setVisualizationMode(mode) - Set mode (audiotest, balloon-float)');
+        const modes = VisualizationEngine.getRegisteredModes();
+        console.log(`- liveMusicArtwork.setVisualizationMode(mode) - Set mode (${modes.map(mode => mode.id).join(', ')})`);
+        console.log('- liveMusicArtwork.getVisualizationSettings() / setVisualizationSettings(settings) - Settings of the current visualization');
+        console.log("- liveMusicArtwork.setTransition({style, duration}) - Mode changes: 'crossfade', 'wipe', 'beat-cut' or 'none', duration in seconds");
+        console.log('- liveMusicArtwork.nextVisualization() - Transition to the next mode (or press N)');
+        console.log('- liveMusicArtwork.setAutoTransition(seconds) - Change mode automatically every so often (0 = off)');
+        console.log("- liveMusicArtwork.setColorScheme(scheme) - Colours: 'celtic', 'fire', 'ocean' or 'sunset'");
+        console.log('- liveMusicArtwork.saveScene(name, {duration}) - Save the current look as a scene at the end of the setlist');
+        console.log('- liveMusicArtwork.addScene({name, mode, colorScheme, sensitivity, settings, duration}) / removeScene(name) - Edit scenes');
+        console.log("- liveMusicArtwork.setSetlist(['jigs', 'reels', 'waltz']) - Running order by scene name");
+        console.log('- liveMusicArtwork.nextScene() / previousScene() / goToScene(name or index) - Move through the setlist (Page Down / Page Up)');
+        console.log('- liveMusicArtwork.setSetlistOptions({advanceOnSilence, silenceLevel, silenceSeconds}) - Next scene in the gap between tunes');
+        console.log('- liveMusicArtwork.savePreset(name) / loadPreset(name) / deletePreset(name) - Named presets of every setting');
+        console.log('- liveMusicArtwork.exportPreset() / importPreset(file) / sharePreset() - Presets as JSON files or a link');
+        console.log('- liveMusicArtwork.getState() / applyState(state) - Every setting as a plain object');
+        console.log('- liveMusicArtwork.toggleAudienceWindow() - Open/close the clean visualization window for the second screen');
+        console.log('- liveMusicArtwork.enableMidi() / toggleMidiLearn() - MIDI controllers; in learn mode click a control, then move a knob');
+        console.log("- liveMusicArtwork.midiLearn(target) - Map the next knob or pad to a target, e.g. 'beat' or 'onset:bass' (getMidiTargets() lists them)");
+        console.log('- liveMusicArtwork.midiController.clear() - Forget all MIDI mappings');
+        console.log('- liveMusicArtwork.injectBeat(velocity) / injectOnset(band) - Send a beat or onset as if it was detected');
+        console.log('- liveMusicArtwork.featureStream.connect(\'ws://localhost:8765\') / disconnect() - Stream audio features (see server/osc-relay.js)');
+        console.log('- liveMusicArtwork.featureStream.includeRaw = true - Also stream the raw frequency and waveform arrays');
+        console.log('- liveMusicArtwork.remoteCommands - Commands the stream and the phone remote may send');
+        console.log('- liveMusicArtwork.remoteLink.connect() / disconnect() - Pair phones through server/remote-server.js');
 
         console.log('- liveMusicArtwork.setSensitivity(1-10) - Set audio sensitivity');
+        console.log('- liveMusicArtwork.loadAudioFile(file) - Play an audio file instead of the microphone');
+        console.log('- liveMusicArtwork.loadAudioUrl(url) - Play audio from an address (the server must allow CORS)');
+        console.log('- liveMusicArtwork.useAudioElement(element) - Analyse an <audio> or <video> element on the page');
+        console.log('- liveMusicArtwork.analyseSet() - Pre-compute a feature track for the loaded file (faster than real time)');
+        console.log('- liveMusicArtwork.saveFeatureTrack() / loadFeatureTrack(file) - Save or load a feature track as JSON');
+        console.log('- liveMusicArtwork.setFeatureTrack(null) - Go back to live analysis of the file');
+        console.log('- liveMusicArtwork.toggleSessionRecording() - Record every audioData frame (then exportSession())');
+        console.log('- liveMusicArtwork.startVideoRecording({ resolution: \'square\', frameRate: 30, countdown: 3, includeOverlay: false }) - Record a video clip');
+        console.log('- liveMusicArtwork.videoRecorder.stop() - Stop the video and download it');
+        console.log('- liveMusicArtwork.loadSession(file) - Replay a recorded session with pause/seek/scrub');
+        console.log("- liveMusicArtwork.signalGenerator.setSignal(type, {note, bpm}) - Test signal: 'tone', 'sweep', 'pink-noise' or 'clicks' (choose Test Signal as the input)");
+        console.log('- liveMusicArtwork.selectInputDevice(deviceId) - Switch microphone/interface (hot-swaps while running)');
+        console.log('- liveMusicArtwork.calibrate() - Learn the room noise floor, then the band level from a sound check');
+        console.log('- liveMusicArtwork.setAutoGain(true/false) - Slowly follow the room level through the night');
+        console.log('- liveMusicArtwork.clearCalibration() - Forget the calibration and use the sensitivity slider only');
+        console.log('- liveMusicArtwork.setAnalyserConfig({fftSize, smoothing, bands}) - Change FFT size, smoothing or frequency bands');
+        console.log('- liveMusicArtwork.setTempoRange({minBpm, maxBpm, preferredBpm}) - Tune tempo tracking for the set');
+        console.log('- liveMusicArtwork.setChannelCount(n) - Input channels to analyse separately (2 for a stereo desk feed)');
         console.log('- liveMusicArtwork.debugAudio() - Show audio debug information');
         console.log('- liveMusicArtwork.testMicrophone() - Test microphone access manually');
 
-        console.log('- liveMusicArtwork.setBalloonSettings(options) - Set balloon properties');
-        console.log('- liveMusicArtwork.setBalloonBeatResponse(options) - Set balloon beat response');
-        console.log('- liveMusicArtwork.setBalloonColors(options) - Set balloon color settings');
-        console.log('- liveMusicArtwork.toggleBalloonBeatResponse(enabled) - Enable/disable balloon pop response');
-        console.log('- liveMusicArtwork.resetBalloons() - Reset all balloons');
-        console.log('- liveMusicArtwork.getBalloonMusicSpeed() - Get current music speed multiplier');
-        console.log('- liveMusicArtwork.setSpikeSettings(options) - Set volume spike detection settings');
-        console.log('- liveMusicArtwork.getSpikeSettings() - Get current spike detection settings');
-        console.log('- liveMusicArtwork.toggleSpikeDetection(enabled) - Enable/disable spike detection');
+        // Each visualization's own commands, from the registry
+        modes.forEach(mode => {
+            mode.help.forEach(line => console.log(`- ${line}`));
+        });
 
         console.log('- liveMusicArtwork.toggleDebugInfo(true/false) - Show/hide debug information');
         console.log('- liveMusicArtwork.getDebugInfoState() - Check if debug info is currently shown');
@@ -800,8 +2998,10 @@ window.addEventListener('DOMContentLoaded', () => {
             console.log('- Audio Context:', audioProcessor?.audioContext);
             console.log('- Audio Context State:', audioProcessor?.audioContext?.state);
             console.log('- Is Active:', audioProcessor?.isActive);
+            console.log('- Input:', audioProcessor?.getInputDescription());
             console.log('- Microphone Node:', audioProcessor?.microphone);
             console.log('- Analyser Node:', audioProcessor?.analyser);
+            console.log('- Analysis Mode:', audioProcessor?.analysisMode);
             console.log('- Current Volume:', audioProcessor?.currentVolume);
             console.log('- Dominant Frequency:', audioProcessor?.dominantFrequency);
             console.log('- Stream:', audioProcessor?.stream);
@@ -882,9 +3082,18 @@ window.addEventListener('DOMContentLoaded', () => {
             }
         };
         
+        window.liveMusicArtwork.popAllBalloons = function() {
+            if (this.visualizationEngine) {
+                this.visualizationEngine.popAllBalloons();
+            } else {
+                console.log('⚠️ Visualization engine not initialized. Start the visualization first.');
+            }
+        };
+        
         window.liveMusicArtwork.setSpikeSettings = function(settings) {
             if (this.visualizationEngine) {
                 this.visualizationEngine.setSpikeSettings(settings);
+                this.updateSpikeThresholdSlider();
                 console.log('🔊 Spike detection settings updated:', settings);
             } else {
                 console.log('⚠️ Visualization engine not initialized. Start the visualization first.');
@@ -913,10 +3122,37 @@ window.addEventListener('DOMContentLoaded', () => {
         
 
         
+        // Settings of whichever visualization is showing
+        window.liveMusicArtwork.getVisualizationSettings = function() {
+            if (this.visualizationEngine) {
+                const settings = this.visualizationEngine.getSettings();
+                console.log(`🎨 ${this.visualizationEngine.currentMode} settings:`, settings);
+                return settings;
+            } else {
+                console.log('⚠️ Visualization engine not initialized. Start the visualization first.');
+                return null;
+            }
+        };
+        
+        window.liveMusicArtwork.setVisualizationSettings = function(settings) {
+            if (this.visualizationEngine) {
+                try {
+                    this.visualizationEngine.setSettings(settings);
+                    this.updateSpikeThresholdSlider();
+                    console.log(`🎨 ${this.visualizationEngine.currentMode} settings updated:`, settings);
+                } catch (error) {
+                    console.error('❌', error.message);
+                }
+            } else {
+                console.log('⚠️ Visualization engine not initialized. Start the visualization first.');
+            }
+        };
+        
         // Debug control methods
         window.liveMusicArtwork.toggleDebugInfo = function(show) {
             if (this.visualizationEngine) {
                 this.visualizationEngine.toggleDebugInfo(show);
+                this.updateDebugButtonText();
                 console.log(`🐛 Debug info ${show ? 'enabled' : 'disabled'}`);
             } else {
                 console.log('⚠️ Visualization engine not initialized. Start the visualization first.');
@@ -937,24 +3173,10 @@ window.addEventListener('DOMContentLoaded', () => {
         // Add helpful examples
         console.log('');
 
-        console.log('🎈 Balloon examples:');
-        console.log('- liveMusicArtwork.setBalloonSettings({baseSize: 80, sizeVariance: 30, spawnRate: 0.6}) - Bigger balloons, more frequent spawning');
-        console.log('- liveMusicArtwork.setBalloonBeatResponse({volumeThreshold: 20, cooldownTime: 60}) - Adjust beat response sensitivity');
-        console.log('- liveMusicArtwork.setBalloonColors({volumeInfluence: 0.8, bassInfluence: 0.5}) - Colors more influenced by music');
-        console.log('- liveMusicArtwork.getBalloonMusicSpeed() - Check current music speed multiplier');
-        console.log('- liveMusicArtwork.toggleBalloonBeatResponse(false) - Disable balloon beat response');
-        console.log('- liveMusicArtwork.toggleBalloonBeatResponse(true) - Enable balloon beat response');
-        console.log('- liveMusicArtwork.resetBalloons() - Reset all balloons');
-        console.log('Note: Balloons pop on volume spikes (primary) and beats (secondary), speed responds to music tempo');
-        console.log('');
-        console.log('🔊 Volume Spike Detection examples:');
-        console.log('- liveMusicArtwork.setSpikeSettings({minSpikeThreshold: 2.0}) - Require bigger spikes to pop balloons');
-        console.log('- liveMusicArtwork.setSpikeSettings({maxBalloonsPerSpike: 12}) - Pop up to 12 balloons on huge spikes');
-        console.log('- liveMusicArtwork.setSpikeSettings({cooldownTime: 200}) - Slower spike detection (200ms between spikes)');
-        console.log('- liveMusicArtwork.setSpikeSettings({cooldownTime: 50}) - Faster spike detection (50ms between spikes)');
-        console.log('- liveMusicArtwork.toggleSpikeDetection(false) - Disable spike detection (use beat detection only)');
-        console.log('- liveMusicArtwork.getSpikeSettings() - Check current spike detection settings');
-        console.log('');
+        modes.filter(mode => mode.examples.length > 0).forEach(mode => {
+            mode.examples.forEach(line => console.log(line));
+            console.log('');
+        });
 
         console.log('🐛 Debug Control examples:');
         console.log('- liveMusicArtwork.toggleDebugInfo(false) - Hide all debug information');
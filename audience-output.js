@@ -0,0 +1,117 @@
+// Drives the audience window (audience.html) on a second screen over a BroadcastChannel
+// The operator window keeps its canvas as a preview with the debug overlays and controls;
+// the audience window gets every audioData frame plus the look to draw it with:
+//   operator → audience: { type: 'state', state }, { type: 'audioData', audioData }, { type: 'close' }
+//   audience → operator: { type: 'ready' } (asks for the state, e.g. after a reload)
+class AudienceOutput {
+    // getState() returns { running, mode, colorScheme, transition, visualizations }
+    constructor(getState) {
+        this.getState = getState;
+        this.popup = null;
+        this.channel = null;
+        this.lastState = null;      // JSON of the state last sent, so only changes go out
+        this.syncTimer = null;
+        this.onClose = null;
+    }
+
+    open() {
+        if (typeof BroadcastChannel === 'undefined') {
+            throw new Error('This browser cannot drive an audience window.');
+        }
+        if (this.isOpen()) {
+            this.popup.focus();
+            return;
+        }
+
+        const popup = window.open('audience.html', AudienceOutput.WINDOW_NAME, 'popup,width=1280,height=720');
+        if (!popup) {
+            throw new Error('The audience window was blocked - allow pop-ups for this page and try again.');
+        }
+
+        this.popup = popup;
+        this.lastState = null;
+        if (!this.channel) {
+            this.channel = new BroadcastChannel(AudienceOutput.CHANNEL);
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        }
+
+        // Settings changed from the console don't announce themselves, so look for changes
+        // every second - this also notices the window being closed
+        this.syncTimer = setInterval(() => {
+            if (this.popup.closed) {
+                this.handleClosed();
+            } else {
+                this.syncState();
+            }
+        }, 1000);
+
+        console.log('🖥️ Audience window opened');
+    }
+
+    close() {
+        if (!this.popup) return;
+
+        this.send({ type: 'close' });
+        if (!this.popup.closed) {
+            this.popup.close();
+        }
+        this.handleClosed();
+    }
+
+    isOpen() {
+        return this.popup !== null && !this.popup.closed;
+    }
+
+    handleMessage(message) {
+        if (message && message.type === 'ready') {
+            this.lastState = null;
+            this.syncState();
+        }
+    }
+
+    handleClosed() {
+        clearInterval(this.syncTimer);
+        this.syncTimer = null;
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.popup = null;
+        this.lastState = null;
+
+        console.log('🖥️ Audience window closed');
+        if (this.onClose) this.onClose();
+    }
+
+    // Send the state if it changed since last time
+    syncState() {
+        if (!this.channel) return;
+
+        const state = this.getState();
+        const json = JSON.stringify(state);
+        if (json === this.lastState) return;
+
+        this.lastState = json;
+        this.send({ type: 'state', state });
+    }
+
+    sendAudioData(audioData) {
+        if (this.channel) {
+            this.send({ type: 'audioData', audioData });
+        }
+    }
+
+    send(message) {
+        try {
+            this.channel.postMessage(message);
+        } catch (error) {
+            console.warn('⚠️ Could not send to the audience window:', error);
+        }
+    }
+}
+
+AudienceOutput.CHANNEL = 'liveMusicArtwork.audience';
+AudienceOutput.WINDOW_NAME = 'liveMusicArtworkAudience';
+
+// Export for use in other modules
+window.AudienceOutput = AudienceOutput;
@@ -0,0 +1,123 @@
+// The audience window: only the visualization, full window, for the second screen
+// Everything comes from the operator window over a BroadcastChannel (see audience-output.js).
+// Debug overlays are always off, and diagnostic modes like the Audio Test stay on the
+// operator's screen - the audience keeps the last artistic mode meanwhile
+class AudienceDisplay {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.engine = new VisualizationEngine(canvas);
+
+        this.mode = null;               // Mode showing (never a diagnostic one)
+        this.appliedSettings = {};      // JSON of the settings applied, by mode
+
+        this.channel = new BroadcastChannel(AudienceOutput.CHANNEL);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+        window.addEventListener('resize', () => this.resize());
+        canvas.addEventListener('dblclick', () => this.toggleFullscreen());
+
+        this.resize();
+        this.drawWaiting();
+
+        // Ask for the current look (also after this window is reloaded)
+        this.channel.postMessage({ type: 'ready' });
+    }
+
+    handleMessage(message) {
+        if (!message) return;
+
+        switch (message.type) {
+            case 'state':
+                this.applyState(message.state);
+                break;
+            case 'audioData':
+                if (this.engine.isRunning) {
+                    this.engine.updateAudioData(message.audioData);
+                }
+                break;
+            case 'close':
+                window.close();
+                break;
+        }
+    }
+
+    applyState(state) {
+        if (state.colorScheme !== this.engine.currentColorScheme) {
+            this.engine.setColorScheme(state.colorScheme);
+        }
+        this.engine.setTransition(state.transition);
+
+        const modeInfo = VisualizationEngine.getModeInfo(state.mode);
+        if (modeInfo && !modeInfo.diagnostic) {
+            this.mode = state.mode;
+        }
+
+        if (!state.running) {
+            if (this.engine.isRunning) {
+                this.engine.stop();
+                this.appliedSettings = {};
+            }
+            this.drawWaiting();
+            return;
+        }
+
+        if (!this.engine.isRunning) {
+            if (this.mode) {
+                this.engine.setMode(this.mode);
+            }
+            this.engine.start();
+        } else if (this.mode && this.mode !== this.engine.currentMode) {
+            this.engine.setMode(this.mode);
+        }
+
+        this.applySettings(state.visualizations || {});
+        this.engine.toggleDebugInfo(false);
+    }
+
+    applySettings(visualizations) {
+        Object.entries(visualizations).forEach(([mode, settings]) => {
+            const json = JSON.stringify(settings);
+            if (this.appliedSettings[mode] === json || !VisualizationEngine.getModeInfo(mode)) return;
+
+            const visualization = this.engine.getVisualization(mode);
+            if (visualization && visualization.setSettings) {
+                visualization.setSettings({ ...settings, showDebugInfo: false });
+            }
+            this.appliedSettings[mode] = json;
+        });
+    }
+
+    resize() {
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+        this.engine.updateBounds(this.canvas.width, this.canvas.height);
+
+        if (!this.engine.isRunning) {
+            this.drawWaiting();
+        }
+    }
+
+    drawWaiting() {
+        this.ctx.fillStyle = '#1a1a2e';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        this.ctx.font = '20px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('Waiting for the music to start... (double-click for fullscreen)', this.canvas.width / 2, this.canvas.height / 2);
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else if (document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.warn('⚠️ Fullscreen not available:', error);
+            });
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.audienceDisplay = new AudienceDisplay(document.getElementById('canvas'));
+});
@@ -0,0 +1,100 @@
+// Rolling history of the analysis for the Audio Test graph
+// Fixed-size ring buffers of volume, every band's energy and beats, on a clock that only runs
+// while frames arrive - when the input stops (or is paused) the graph stops instead of
+// scrolling silence past
+class AudioHistory {
+    constructor(options = {}) {
+        // Longest window that can be shown (seconds) and the frame rate to allow for
+        this.maxSeconds = options.maxSeconds || 60;
+        this.capacity = Math.ceil(this.maxSeconds * (options.maxFrameRate || 100));
+
+        // Seconds currently shown
+        this.windowSeconds = options.windowSeconds || 10;
+
+        // Gaps longer than this between frames are closed up (ms)
+        this.maxGap = 100;
+
+        this.paused = false;
+        this.reset();
+    }
+
+    reset() {
+        this.times = new Float64Array(this.capacity);
+        this.volume = new Float32Array(this.capacity);
+        this.beats = new Uint8Array(this.capacity);
+        this.bands = {};
+        this.head = 0;      // Next slot to write
+        this.count = 0;
+        this.clock = 0;     // History time (ms), advances only with frames
+        this.lastInputTime = 0;
+    }
+
+    setWindow(seconds) {
+        this.windowSeconds = Math.max(1, Math.min(this.maxSeconds, seconds));
+    }
+
+    // While paused, frames are ignored and the graph holds still
+    setPaused(paused) {
+        this.paused = paused;
+        if (paused) {
+            this.lastInputTime = 0;
+        }
+    }
+
+    record(audioData, time = Date.now()) {
+        if (this.paused || !audioData) return;
+
+        const delta = this.lastInputTime > 0 ? Math.max(0, Math.min(this.maxGap, time - this.lastInputTime)) : 0;
+        this.lastInputTime = time;
+        this.clock += delta;
+
+        const index = this.head;
+        this.times[index] = this.clock;
+        this.volume[index] = audioData.volume || 0;
+        this.beats[index] = audioData.beatDetected ? 1 : 0;
+
+        // Bands are added as they appear (custom bands included); a band that goes away reads 0
+        const bandEnergies = audioData.bandEnergies || {};
+        Object.keys(bandEnergies).forEach(name => {
+            if (!this.bands[name]) {
+                this.bands[name] = new Float32Array(this.capacity);
+            }
+        });
+        Object.entries(this.bands).forEach(([name, values]) => {
+            values[index] = bandEnergies[name] || 0;
+        });
+
+        this.head = (this.head + 1) % this.capacity;
+        this.count = Math.min(this.count + 1, this.capacity);
+    }
+
+    // Visit the frames inside the window, oldest first: callback(index, age) with age in
+    // seconds before the newest frame (0 = now, windowSeconds = left edge)
+    forEachInWindow(callback) {
+        const windowMs = this.windowSeconds * 1000;
+
+        // Walk back to the oldest frame still in the window
+        let visible = 0;
+        while (visible < this.count) {
+            const index = (this.head - 1 - visible + this.capacity) % this.capacity;
+            if (this.clock - this.times[index] > windowMs) break;
+            visible++;
+        }
+
+        for (let i = visible - 1; i >= 0; i--) {
+            const index = (this.head - 1 - i + this.capacity) % this.capacity;
+            callback(index, (this.clock - this.times[index]) / 1000);
+        }
+    }
+
+    getBandNames() {
+        return Object.keys(this.bands);
+    }
+
+    isEmpty() {
+        return this.count === 0;
+    }
+}
+
+// Export for use in other modules
+window.AudioHistory = AudioHistory;
@@ -0,0 +1,237 @@
+// Media element input source for feeding recorded audio into the AudioProcessor
+// Lets us rehearse against a recorded set or demo the visuals in a quiet venue
+class MediaElementInput {
+    constructor(mediaElement = null) {
+        // The <audio> element doing the playback (created for us if not supplied)
+        this.ownsElement = !mediaElement;
+        this.mediaElement = mediaElement || this.createMediaElement();
+
+        // Audio graph state
+        this.audioContext = null;
+        this.sourceNode = null;
+        this.isBound = false;
+
+        // Loaded media
+        this.objectUrl = null;
+        this.sourceName = mediaElement ? (mediaElement.currentSrc || mediaElement.src || 'Audio element') : '';
+
+        // Callbacks for transport state updates
+        this.callbacks = [];
+
+        this.attachMediaListeners(this.mediaElement);
+
+        console.log('🎧 MediaElementInput initialized');
+    }
+
+    createMediaElement() {
+        const element = new Audio();
+        element.preload = 'auto';
+        element.crossOrigin = 'anonymous';
+        return element;
+    }
+
+    attachMediaListeners(element) {
+        ['play', 'pause', 'ended', 'timeupdate', 'loadedmetadata', 'seeked'].forEach(eventName => {
+            element.addEventListener(eventName, () => this.notifyCallbacks(eventName));
+        });
+
+        element.addEventListener('error', () => {
+            console.error('❌ Audio file could not be loaded:', element.error);
+            this.notifyCallbacks('error');
+        });
+    }
+
+    // Load an uploaded or drag-and-dropped audio file
+    loadFile(file) {
+        if (!file) return;
+
+        if (file.type && !file.type.startsWith('audio/') && !file.type.startsWith('video/')) {
+            throw new Error(`"${file.name}" does not look like an audio file.`);
+        }
+
+        this.revokeObjectUrl();
+        this.objectUrl = URL.createObjectURL(file);
+        this.sourceName = file.name;
+        this.mediaElement.src = this.objectUrl;
+        this.mediaElement.load();
+
+        console.log('📂 Audio file loaded:', file.name);
+    }
+
+    // Load audio from a URL (must allow CORS, otherwise the analyser only sees silence)
+    loadUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url, location.href);
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('The audio address must start with http:// or https://');
+        }
+
+        this.revokeObjectUrl();
+        this.sourceName = url.split('/').pop() || url;
+        this.mediaElement.src = url;
+        this.mediaElement.load();
+
+        console.log('🔗 Audio URL loaded:', url);
+    }
+
+    hasMedia() {
+        return !!(this.mediaElement.currentSrc || this.mediaElement.src);
+    }
+
+    // Create (or reuse) the source node feeding the analyser
+    connect(audioContext) {
+        if (this.sourceNode && this.audioContext === audioContext) {
+            return this.sourceNode;
+        }
+
+        // A media element can only ever be bound to one AudioContext, so a new
+        // session needs a fresh element that carries over the transport state
+        if (this.isBound) {
+            if (!this.ownsElement) {
+                throw new Error('This <audio> element is already bound to a previous audio session. Reload the page to use it again.');
+            }
+            this.replaceMediaElement();
+        }
+
+        this.audioContext = audioContext;
+        this.sourceNode = audioContext.createMediaElementSource(this.mediaElement);
+        this.isBound = true;
+
+        // Route to the speakers as well so the recording can be heard
+        this.sourceNode.connect(audioContext.destination);
+
+        console.log('🔌 Media element connected:', this.sourceName);
+        return this.sourceNode;
+    }
+
+    disconnect() {
+        this.pause();
+
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+
+            // Swap in an unbound element so the file stays playable between sessions
+            if (this.ownsElement) {
+                this.replaceMediaElement();
+            }
+        }
+
+        this.audioContext = null;
+    }
+
+    replaceMediaElement() {
+        const previous = this.mediaElement;
+        const resumeTime = previous.currentTime;
+        const element = this.createMediaElement();
+        element.src = previous.src;
+        element.loop = previous.loop;
+        element.addEventListener('loadedmetadata', () => {
+            element.currentTime = resumeTime;
+        }, { once: true });
+
+        previous.pause();
+        previous.removeAttribute('src');
+
+        this.attachMediaListeners(element);
+        this.mediaElement = element;
+        this.sourceNode = null;
+        this.isBound = false;
+    }
+
+    // Transport controls
+    async play() {
+        try {
+            if (this.audioContext && this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            await this.mediaElement.play();
+        } catch (error) {
+            console.error('❌ Could not start playback:', error);
+            throw new Error('Could not play the audio file. ' + (error.message || ''));
+        }
+    }
+
+    pause() {
+        if (!this.mediaElement.paused) {
+            this.mediaElement.pause();
+        }
+    }
+
+    async togglePlayback() {
+        if (this.isPlaying()) {
+            this.pause();
+        } else {
+            await this.play();
+        }
+    }
+
+    seek(seconds) {
+        const duration = this.getDuration();
+        if (!duration) return;
+
+        this.mediaElement.currentTime = Math.max(0, Math.min(duration, seconds));
+    }
+
+    setLoop(enabled) {
+        this.mediaElement.loop = enabled;
+    }
+
+    isPlaying() {
+        return !this.mediaElement.paused && !this.mediaElement.ended;
+    }
+
+    getCurrentTime() {
+        return this.mediaElement.currentTime || 0;
+    }
+
+    getDuration() {
+        const duration = this.mediaElement.duration;
+        return isFinite(duration) ? duration : 0;
+    }
+
+    getDescription() {
+        return `File: ${this.sourceName || 'none'}`;
+    }
+
+    addCallback(callback) {
+        this.callbacks.push(callback);
+    }
+
+    removeCallback(callback) {
+        const index = this.callbacks.indexOf(callback);
+        if (index > -1) {
+            this.callbacks.splice(index, 1);
+        }
+    }
+
+    notifyCallbacks(eventName) {
+        this.callbacks.forEach(callback => {
+            try {
+                callback(eventName, this);
+            } catch (error) {
+                console.error('Error in media input callback:', error);
+            }
+        });
+    }
+
+    revokeObjectUrl() {
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+
+    dispose() {
+        this.disconnect();
+        this.revokeObjectUrl();
+        this.callbacks = [];
+    }
+}
+
+// Export for use in other modules
+window.MediaElementInput = MediaElementInput;
@@ -5,23 +5,60 @@ class AudioProcessor {
         this.audioContext = null;
         this.microphone = null;
         this.analyser = null;
+        this.harmonyAnalyser = null;
         this.stream = null;
         
+        // Per-channel analysis (stereo desk feed or a multi-channel interface)
+        this.channelInput = null;
+        this.channelSplitter = null;
+        this.channelAnalysers = [];
+        this.channelData = [];
+        this.preferredChannelCount = 2;
+        this.maxChannels = 8;
+        
+        // Non-microphone input (audio file, <audio> element)
+        this.inputSource = null;
+        this.sourceNode = null;
+        
+        // Audio track of whatever is being analysed, for video recording (see getRecordingStream)
+        this.recordingOutput = null;
+        
         // Audio data
         this.bufferLength = 0;
         this.dataArray = null;
         this.frequencyData = null;
         this.timeDomainData = null;
+        this.harmonyData = null;
         
         // Analysis results
         this.currentVolume = 0;
         this.dominantFrequency = 0;
         this.frequencyBins = {};
+        this.rawVolume = 0;
+        this.rawFrequencyBins = {};
         this.beatDetected = false;
         this.lastBeatTime = 0;
         
+        // Tempo tracking from onset history
+        this.tempoTracker = new TempoTracker();
+        this.tempo = this.tempoTracker.getState(0);
+        this.analysisFrameId = null;
+        
+        // Feature extraction runs in an AudioWorklet when the browser allows it,
+        // otherwise on the main thread once per animation frame
+        this.analysisMode = 'animation-frame'; // or 'worklet'
+        this.featureExtractor = null;
+        this.analysisHopSize = 512;            // Samples between worklet feature frames
+        this.clockOffset = null;               // Audio clock (ms) to Date.now()
+        
         // Settings
         this.sensitivity = 5;
+        const defaults = AudioProcessor.getDefaultAnalyserConfig();
+        this.analyserConfig = {
+            fftSize: defaults.fftSize,
+            smoothing: defaults.smoothing
+        };
+        this.deviceId = null; // null = system default input device
         this.isActive = false;
         
         // Callbacks for data updates
@@ -36,17 +73,56 @@ class AudioProcessor {
         this.debugCounter = 0;
         
         // Frequency ranges optimized for ceilidh instruments
-        this.frequencyRanges = {
-            bass: { min: 20, max: 200 },      // Bodhrán, low strings
-            mid: { min: 200, max: 2000 },     // Core instrument range
-            treble: { min: 2000, max: 8000 }, // High strings, flute
-            high: { min: 8000, max: 20000 }   // Harmonics, breath sounds
+        this.frequencyRanges = defaults.bands;
+        
+        // Common ceilidh instrument frequency ranges
+        this.instrumentRanges = {
+            fiddle: { min: 196, max: 2093 },    // G3 to C7
+            accordion: { min: 65, max: 2093 },  // C2 to C7
+            flute: { min: 262, max: 2093 },     // C4 to C7
+            bodhran: { min: 60, max: 200 },     // Low percussion
+            pipes: { min: 466, max: 932 }       // Bb4 to Bb5 (typical chanter range)
         };
         
+        // Per-band spectral-flux onsets (bow attacks, tonguing, drum hits)
+        this.onsetDetector = new OnsetDetector(this.frequencyRanges);
+        this.onsets = this.onsetDetector.onsets;
+        this.onsetStrength = this.onsetDetector.getFlux();
+        
+        // Fundamental pitch from the waveform (the FFT peak is too coarse for note names)
+        this.pitchDetector = new PitchDetector();
+        this.pitch = { frequency: 0, confidence: 0, note: '', octave: 0, cents: 0 };
+        
+        // Chroma, chord and key/mode from the high-resolution spectrum
+        this.harmonyAnalyzer = new HarmonyAnalyzer();
+        this.harmony = this.harmonyAnalyzer.getState();
+        
+        // Pre-computed features for the recording being played (see setFeatureTrack)
+        this.featureTrack = null;
+        this.featureTrackInput = null;  // The media input the track was analysed for
+        this.lastTrackTime = null;
+        
+        // Noise floor / playing level calibration and slow AGC
+        this.levelCalibrator = new LevelCalibrator();
+        
+        // Pan and width of the mix from the per-channel analysers
+        this.stereoAnalyzer = new StereoAnalyzer();
+        this.stereo = this.stereoAnalyzer.getState();
+        this.channelLevels = [];
+        
+        // Which instruments are playing (0-1 each)
+        this.instrumentDetector = new InstrumentDetector(this.instrumentRanges);
+        this.instruments = { ...this.instrumentDetector.likelihoods };
+        
         console.log('🎵 AudioProcessor initialized with callback system');
     }
 
-    async initialize() {
+    async initialize(inputSource = null) {
+        // Recorded audio skips the microphone permission flow entirely
+        if (inputSource) {
+            return this.initializeInputSource(inputSource);
+        }
+        
         try {
             console.log('🎤 Starting audio initialization...');
             
@@ -61,16 +137,7 @@ class AudioProcessor {
             }
             
             // Create audio context
-            console.log('🔊 Creating audio context...');
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            console.log('✅ Audio context created, state:', this.audioContext.state);
-            
-            // Resume audio context if suspended (required by some browsers)
-            if (this.audioContext.state === 'suspended') {
-                console.log('🔄 Resuming suspended audio context...');
-                await this.audioContext.resume();
-                console.log('✅ Audio context resumed, state:', this.audioContext.state);
-            }
+            await this.createAudioContext();
             
             // Try to get list of available audio input devices
             try {
@@ -86,15 +153,7 @@ class AudioProcessor {
             
             // Request microphone access with detailed constraints
             console.log('🎤 Requesting microphone access...');
-            const constraints = {
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                    sampleRate: { ideal: 44100 },
-                    channelCount: { ideal: 1 }
-                }
-            };
+            const constraints = this.getAudioConstraints();
             
             console.log('📋 Audio constraints:', constraints);
             const stream = await navigator.mediaDevices.getUserMedia(constraints);
@@ -132,22 +191,7 @@ class AudioProcessor {
             // Create audio nodes
             console.log('🔗 Creating audio nodes...');
             this.microphone = this.audioContext.createMediaStreamSource(stream);
-            this.analyser = this.audioContext.createAnalyser();
-            
-            // Configure analyser
-            this.analyser.fftSize = 1024;
-            this.analyser.smoothingTimeConstant = 0.8;
-            this.bufferLength = this.analyser.frequencyBinCount;
-            this.dataArray = new Uint8Array(this.bufferLength);
-            
-            // Initialize Float32 arrays for more precise analysis
-            this.frequencyData = new Float32Array(this.bufferLength);
-            this.timeDomainData = new Float32Array(this.analyser.fftSize);
-            
-            console.log('📊 Analyser configured - FFT size:', this.analyser.fftSize, 'Buffer length:', this.bufferLength);
-            
-            // Connect audio nodes
-            this.microphone.connect(this.analyser);
+            this.connectAnalyser(this.microphone, this.getStreamChannelCount(stream));
             console.log('🔌 Audio nodes connected');
             
             // Store stream reference for cleanup
@@ -179,17 +223,7 @@ class AudioProcessor {
                     const basicStream = await navigator.mediaDevices.getUserMedia({ audio: true });
                     
                     this.microphone = this.audioContext.createMediaStreamSource(basicStream);
-                    this.analyser = this.audioContext.createAnalyser();
-                    this.analyser.fftSize = 1024;
-                    this.analyser.smoothingTimeConstant = 0.8;
-                    this.bufferLength = this.analyser.frequencyBinCount;
-                    this.dataArray = new Uint8Array(this.bufferLength);
-                    
-                    // Initialize Float32 arrays for more precise analysis
-                    this.frequencyData = new Float32Array(this.bufferLength);
-                    this.timeDomainData = new Float32Array(this.analyser.fftSize);
-                    
-                    this.microphone.connect(this.analyser);
+                    this.connectAnalyser(this.microphone, this.getStreamChannelCount(basicStream));
                     this.stream = basicStream;
                     this.isActive = true;
                     this.startAnalysis();
@@ -210,6 +244,458 @@ class AudioProcessor {
         }
     }
 
+    async initializeInputSource(inputSource) {
+        try {
+            console.log('🎧 Starting audio initialization from input source...');
+            
+            await this.createAudioContext();
+            this.connectInputSource(inputSource);
+            this.startAnalysis();
+            
+            console.log('🎉 Audio initialization complete!', inputSource.getDescription());
+            return true;
+        } catch (error) {
+            console.error('❌ Error initializing input source:', error);
+            throw new Error('Could not play the selected audio source. ' + (error.message || 'Unknown error occurred.'));
+        }
+    }
+
+    async createAudioContext() {
+        console.log('🔊 Creating audio context...');
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        console.log('✅ Audio context created, state:', this.audioContext.state);
+        
+        // Resume audio context if suspended (required by some browsers)
+        if (this.audioContext.state === 'suspended') {
+            console.log('🔄 Resuming suspended audio context...');
+            await this.audioContext.resume();
+            console.log('✅ Audio context resumed, state:', this.audioContext.state);
+        }
+        
+        await this.loadAnalysisWorklet();
+    }
+
+    // Load the feature extractor onto the audio thread. AudioWorklet needs a secure context
+    // and a served page (not file://), so analysis falls back to the main thread without it
+    async loadAnalysisWorklet() {
+        this.analysisMode = 'animation-frame';
+        
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+            console.warn('⚠️ AudioWorklet not supported - analysing audio on the main thread');
+            return;
+        }
+        
+        try {
+            // The detectors are shared with the main-thread fallback, so load them first
+            for (const module of ['onset-detector.js', 'pitch-detector.js', 'analysis-worklet.js']) {
+                await this.audioContext.audioWorklet.addModule(module);
+            }
+            this.analysisMode = 'worklet';
+            console.log('🧵 Analysis worklet loaded - one feature frame every', this.analysisHopSize, 'samples');
+        } catch (error) {
+            console.warn('⚠️ Could not load analysis worklet - analysing audio on the main thread:', error);
+        }
+    }
+
+    // channelCount: how many channels the source delivers (recordings are treated as stereo)
+    connectAnalyser(sourceNode, channelCount = 2) {
+        this.analyser = this.audioContext.createAnalyser();
+        
+        // Configure analyser
+        this.analyser.fftSize = this.analyserConfig.fftSize;
+        this.analyser.smoothingTimeConstant = this.analyserConfig.smoothing;
+        this.allocateAnalysisBuffers();
+        
+        console.log('📊 Analyser configured - FFT size:', this.analyser.fftSize, 'Buffer length:', this.bufferLength);
+        
+        // Chords need semitone resolution in the low register, which a 1024-point FFT
+        // can't give (43 Hz bins), so harmony gets its own high-resolution analyser
+        this.harmonyAnalyser = this.audioContext.createAnalyser();
+        this.harmonyAnalyser.fftSize = 8192;
+        this.harmonyAnalyser.smoothingTimeConstant = 0.5;
+        this.harmonyData = new Float32Array(this.harmonyAnalyser.frequencyBinCount);
+        
+        if (this.analysisMode === 'worklet') {
+            this.createFeatureExtractor();
+        }
+        
+        this.connectAnalysisInputs(sourceNode, channelCount);
+    }
+
+    connectAnalysisInputs(sourceNode, channelCount = 2) {
+        sourceNode.connect(this.analyser);
+        sourceNode.connect(this.harmonyAnalyser);
+        
+        this.createChannelAnalysers(channelCount);
+        sourceNode.connect(this.channelInput);
+        
+        if (this.featureExtractor) {
+            sourceNode.connect(this.featureExtractor);
+        }
+        
+        // A new microphone or file keeps feeding a video being recorded
+        if (this.recordingOutput) {
+            sourceNode.connect(this.recordingOutput);
+        }
+    }
+
+    // Split the input into one analyser per channel. A mono source is kept as one channel;
+    // the fixed-count input node up-mixes so a channel that isn't there never reads as silence
+    createChannelAnalysers(channelCount) {
+        this.disconnectChannelAnalysers();
+        
+        const count = Math.max(1, Math.min(this.maxChannels, channelCount));
+        
+        this.channelInput = this.audioContext.createGain();
+        this.channelInput.channelCount = count;
+        this.channelInput.channelCountMode = 'explicit';
+        this.channelInput.channelInterpretation = count === 2 ? 'speakers' : 'discrete';
+        
+        this.channelSplitter = this.audioContext.createChannelSplitter(count);
+        this.channelInput.connect(this.channelSplitter);
+        
+        this.channelAnalysers = [];
+        for (let channel = 0; channel < count; channel++) {
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = this.analyserConfig.fftSize;
+            analyser.smoothingTimeConstant = this.analyserConfig.smoothing;
+            this.channelSplitter.connect(analyser, channel);
+            this.channelAnalysers.push(analyser);
+        }
+        
+        this.allocateChannelBuffers();
+        this.stereoAnalyzer.reset();
+        console.log('🎚️ Analysing', count, count === 1 ? 'channel' : 'channels');
+    }
+
+    allocateChannelBuffers() {
+        this.channelData = this.channelAnalysers.map(analyser => ({
+            byteFrequencyData: new Uint8Array(analyser.frequencyBinCount),
+            frequencyData: new Float32Array(analyser.frequencyBinCount),
+            timeDomainData: new Float32Array(analyser.fftSize)
+        }));
+    }
+
+    disconnectChannelAnalysers() {
+        if (this.channelInput) {
+            this.channelInput.disconnect();
+            this.channelSplitter.disconnect();
+        }
+        
+        this.channelInput = null;
+        this.channelSplitter = null;
+        this.channelAnalysers = [];
+        this.channelData = [];
+        this.channelLevels = [];
+    }
+
+    // Channels the microphone/interface actually delivers (not every browser reports it)
+    getStreamChannelCount(stream) {
+        const track = stream.getAudioTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        return settings.channelCount || 2;
+    }
+
+    createFeatureExtractor() {
+        this.disconnectFeatureExtractor();
+        
+        this.featureExtractor = new AudioWorkletNode(this.audioContext, 'feature-extractor', {
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: {
+                hopSize: this.analysisHopSize,
+                fftSize: this.analyserConfig.fftSize,
+                smoothing: this.analyserConfig.smoothing,
+                bands: this.frequencyRanges,
+                onsetSettings: this.onsetDetector.settings,
+                minDecibels: this.analyser.minDecibels,
+                maxDecibels: this.analyser.maxDecibels
+            }
+        });
+        
+        // The output is silent, but a node nobody pulls on may never be processed
+        this.featureExtractor.connect(this.audioContext.destination);
+        
+        this.clockOffset = null;
+        this.featureExtractor.port.onmessage = (event) => {
+            if (this.isActive) {
+                this.handleFeatureFrame(event.data);
+            }
+        };
+    }
+
+    disconnectFeatureExtractor() {
+        if (!this.featureExtractor) return;
+        
+        this.featureExtractor.port.onmessage = null;
+        this.featureExtractor.disconnect();
+        this.featureExtractor = null;
+    }
+
+    allocateAnalysisBuffers() {
+        this.bufferLength = this.analyser.frequencyBinCount;
+        this.dataArray = new Uint8Array(this.bufferLength);
+        
+        // Initialize Float32 arrays for more precise analysis
+        this.frequencyData = new Float32Array(this.bufferLength);
+        this.timeDomainData = new Float32Array(this.analyser.fftSize);
+    }
+
+    // Change FFT size, smoothing and/or frequency bands - safe to call while running.
+    // bands are merged into the current set; give a band null to remove it, e.g.
+    // setAnalyserConfig({ bands: { drone: { min: 100, max: 120 }, high: null } })
+    setAnalyserConfig(changes = {}) {
+        return this.applyAnalyserConfig(AudioProcessor.mergeAnalyserConfig(this.getAnalyserConfig(), changes));
+    }
+
+    // Replace the whole configuration (as returned by mergeAnalyserConfig/getAnalyserConfig)
+    applyAnalyserConfig({ fftSize, smoothing, bands }) {
+        this.analyserConfig.fftSize = fftSize;
+        this.analyserConfig.smoothing = smoothing;
+        
+        // Frames are processed on this thread too (worklet frames arrive as messages),
+        // so swapping the buffers here can never race with a frame that is halfway through
+        if (this.analyser) {
+            this.analyser.fftSize = fftSize;
+            this.analyser.smoothingTimeConstant = smoothing;
+            this.allocateAnalysisBuffers();
+        }
+        
+        this.channelAnalysers.forEach(analyser => {
+            analyser.fftSize = fftSize;
+            analyser.smoothingTimeConstant = smoothing;
+        });
+        this.allocateChannelBuffers();
+        
+        this.frequencyRanges = JSON.parse(JSON.stringify(bands));
+        this.frequencyBins = {};
+        
+        // Onset history is per band and per bin, so start it afresh
+        this.onsetDetector = new OnsetDetector(this.frequencyRanges, this.onsetDetector.settings);
+        this.onsets = this.onsetDetector.onsets;
+        
+        // Frames already in flight still have the old size - handleFeatureFrame drops them
+        if (this.featureExtractor) {
+            this.featureExtractor.port.postMessage({
+                type: 'config',
+                fftSize,
+                smoothing,
+                bands: this.frequencyRanges,
+                onsetSettings: this.onsetDetector.settings
+            });
+        }
+        
+        console.log('📊 Analyser config updated:', this.getAnalyserConfig());
+        return this.getAnalyserConfig();
+    }
+
+    getAnalyserConfig() {
+        return {
+            fftSize: this.analyserConfig.fftSize,
+            smoothing: this.analyserConfig.smoothing,
+            bands: JSON.parse(JSON.stringify(this.frequencyRanges)),
+            sampleRate: this.audioContext ? this.audioContext.sampleRate : null
+        };
+    }
+
+    connectInputSource(inputSource) {
+        this.inputSource = inputSource;
+        this.sourceNode = inputSource.connect(this.audioContext);
+        
+        if (this.analyser) {
+            this.connectAnalysisInputs(this.sourceNode);
+        } else {
+            this.connectAnalyser(this.sourceNode);
+        }
+        
+        this.isActive = true;
+    }
+
+    // A MediaStream carrying the input being analysed (microphone, file or test signal)
+    getRecordingStream() {
+        if (!this.audioContext) {
+            throw new Error('Start the visualization before recording with audio.');
+        }
+        
+        if (!this.recordingOutput) {
+            this.recordingOutput = this.audioContext.createMediaStreamDestination();
+            const source = this.sourceNode || this.microphone;
+            if (source) {
+                source.connect(this.recordingOutput);
+            }
+        }
+        return this.recordingOutput.stream;
+    }
+
+    // Swap what feeds the analyser while running (null switches back to the microphone)
+    async setInputSource(inputSource) {
+        if (!this.audioContext) {
+            console.warn('🚨 Cannot switch input - audio processor not initialized');
+            return;
+        }
+        
+        if (inputSource === this.inputSource && inputSource) {
+            return;
+        }
+        
+        console.log('🔀 Switching audio input to:', inputSource ? inputSource.getDescription() : 'Microphone');
+        
+        if (this.inputSource) {
+            this.inputSource.disconnect();
+            this.inputSource = null;
+            this.sourceNode = null;
+            this.lastTrackTime = null;
+        }
+        
+        if (inputSource) {
+            // Release the microphone while a recording is playing
+            if (this.microphone) {
+                this.microphone.disconnect();
+                this.microphone = null;
+            }
+            if (this.stream) {
+                this.stream.getTracks().forEach(track => track.stop());
+                this.stream = null;
+            }
+            
+            this.connectInputSource(inputSource);
+        } else {
+            await this.restartAudio();
+        }
+    }
+
+    getAudioConstraints() {
+        const audio = {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: { ideal: 44100 },
+            channelCount: { ideal: this.preferredChannelCount }
+        };
+        
+        if (this.deviceId) {
+            audio.deviceId = { exact: this.deviceId };
+        }
+        
+        return { audio };
+    }
+
+    // Choose the microphone/interface to listen to, hot-swapping it if already running
+    async setInputDevice(deviceId) {
+        this.deviceId = deviceId || null;
+        
+        // Applied the next time the microphone is opened
+        if (!this.audioContext || this.inputSource) {
+            return;
+        }
+        
+        // A manual switch supersedes any pending automatic recovery
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+        this.trackFailures = 0;
+        
+        console.log('🎙️ Switching input device to:', this.deviceId || 'system default');
+        await this.restartAudio();
+    }
+
+    // Ask the microphone/interface for more (or fewer) channels, reopening it if running
+    async setPreferredChannelCount(count) {
+        const channelCount = Math.max(1, Math.min(this.maxChannels, parseInt(count) || 1));
+        if (channelCount === this.preferredChannelCount) {
+            return;
+        }
+        this.preferredChannelCount = channelCount;
+        
+        // Applied the next time the microphone is opened
+        if (!this.audioContext || this.inputSource) {
+            return;
+        }
+        
+        console.log('🎚️ Requesting', channelCount, 'input channels');
+        await this.restartAudio();
+    }
+
+    getActiveDeviceId() {
+        const track = this.stream ? this.stream.getAudioTracks()[0] : null;
+        return track && track.getSettings ? track.getSettings().deviceId || null : null;
+    }
+
+    static getDefaultAnalyserConfig() {
+        return {
+            fftSize: 1024,   // Frequency resolution vs. latency
+            smoothing: 0.8,  // AnalyserNode smoothingTimeConstant
+            bands: {
+                bass: { min: 20, max: 200 },      // Bodhrán, low strings
+                mid: { min: 200, max: 2000 },     // Core instrument range
+                treble: { min: 2000, max: 8000 }, // High strings, flute
+                high: { min: 8000, max: 20000 }   // Harmonics, breath sounds
+            }
+        };
+    }
+
+    // Validate changes and merge them into a full { fftSize, smoothing, bands } config
+    static mergeAnalyserConfig(current, { fftSize, smoothing, bands } = {}) {
+        const config = {
+            fftSize: current.fftSize,
+            smoothing: current.smoothing,
+            bands: JSON.parse(JSON.stringify(current.bands))
+        };
+        
+        if (fftSize !== undefined) {
+            fftSize = Number(fftSize);
+            if (!Number.isInteger(fftSize) || fftSize < 32 || fftSize > 32768 || (fftSize & (fftSize - 1)) !== 0) {
+                throw new Error('FFT size must be a power of two between 32 and 32768.');
+            }
+            config.fftSize = fftSize;
+        }
+        
+        if (smoothing !== undefined) {
+            smoothing = Number(smoothing);
+            if (isNaN(smoothing) || smoothing < 0 || smoothing > 1) {
+                throw new Error('Smoothing must be between 0 and 1.');
+            }
+            config.smoothing = smoothing;
+        }
+        
+        if (bands) {
+            Object.entries(bands).forEach(([name, range]) => {
+                if (range === null) {
+                    delete config.bands[name];
+                    return;
+                }
+                
+                const min = Number(range.min);
+                const max = Number(range.max);
+                if (!name || isNaN(min) || isNaN(max) || min < 0 || max <= min) {
+                    throw new Error(`Band "${name}" needs a minimum below its maximum frequency.`);
+                }
+                config.bands[name] = { min, max };
+            });
+        }
+        
+        return config;
+    }
+
+    static async listInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
+    }
+
+    getInputDescription() {
+        if (this.inputSource) {
+            return this.inputSource.getDescription();
+        }
+        
+        const track = this.stream ? this.stream.getAudioTracks()[0] : null;
+        return `Microphone: ${track && track.label ? track.label : 'default'}`;
+    }
+
     startAnalysis() {
         if (!this.isActive) {
             console.warn('🚨 Cannot start analysis - audio processor not active');
@@ -221,11 +707,32 @@ class AudioProcessor {
             return;
         }
         
-        this.analyzeAudio();
-        requestAnimationFrame(() => this.startAnalysis());
+        // The worklet posts frames by itself (see createFeatureExtractor)
+        if (this.featureExtractor) {
+            return;
+        }
+        
+        // Only ever one loop - onset and tempo tracking need exactly one analysis per frame
+        if (this.analysisFrameId !== null) {
+            return;
+        }
+        
+        const analysisLoop = () => {
+            if (!this.isActive || !this.analyser) {
+                this.analysisFrameId = null;
+                return;
+            }
+            
+            this.analyzeAudio();
+            this.analysisFrameId = requestAnimationFrame(analysisLoop);
+        };
+        
+        analysisLoop();
     }
 
-    analyzeAudio() {
+    // Main-thread fallback: read the AnalyserNode once per animation frame.
+    // time is in ms (offline analysis passes the position in the recording)
+    analyzeAudio(time = Date.now()) {
         if (!this.analyser) {
             console.warn('🚨 No analyser available for audio analysis');
             return;
@@ -236,29 +743,98 @@ class AudioProcessor {
         this.analyser.getFloatFrequencyData(this.frequencyData);
         this.analyser.getFloatTimeDomainData(this.timeDomainData);
 
-        // Debug: Check if we're getting any data
-        const dataSum = this.dataArray.reduce((sum, val) => sum + val, 0);
-        const dataAverage = dataSum / this.dataArray.length;
+        const levels = this.measureRawLevels();
+        const binWidth = this.audioContext.sampleRate / this.analyserConfig.fftSize;
+        
+        this.processFeatureFrame({
+            time: time,
+            rawVolume: levels.volume,
+            rawBands: levels.bands,
+            onsets: this.onsetDetector.process(time, this.dataArray, binWidth),
+            onsetFlux: this.onsetDetector.getFlux(),
+            combinedFlux: this.onsetDetector.combinedFlux,
+            pitch: this.pitchDetector.detect(this.timeDomainData, this.audioContext.sampleRate)
+        });
+    }
 
+    // A feature frame posted by the analysis worklet
+    handleFeatureFrame(frame) {
+        // Posted before the last FFT size change
+        if (frame.byteFrequencyData.length !== this.bufferLength) {
+            return;
+        }
+        
+        this.dataArray = frame.byteFrequencyData;
+        this.frequencyData = frame.floatFrequencyData;
+        this.timeDomainData = frame.timeDomainData;
+        
+        // Frames are stamped with the audio clock; everything downstream uses Date.now(),
+        // so follow the offset slowly (message delivery jitters) and resync after a suspend
+        const offset = Date.now() - frame.time;
+        if (this.clockOffset === null || Math.abs(offset - this.clockOffset) > 1000) {
+            this.clockOffset = offset;
+        } else {
+            this.clockOffset += (offset - this.clockOffset) * 0.01;
+        }
+        
+        this.processFeatureFrame({ ...frame, time: frame.time + this.clockOffset });
+    }
+
+    // Everything after feature extraction, shared by the worklet and the fallback.
+    // frame: { time, rawVolume, rawBands, onsets, onsetFlux, combinedFlux, pitch }
+    processFeatureFrame(frame) {
+        const time = frame.time;
+        
+        this.rawVolume = frame.rawVolume;
+        this.rawFrequencyBins = frame.rawBands;
+        
         // Calculate overall volume
         this.currentVolume = this.calculateVolume();
         
-        // Find dominant frequency
-        this.dominantFrequency = this.findDominantFrequency();
+        // Find the fundamental, falling back to the loudest FFT bin when there is no clear pitch
+        this.pitch = this.describePitch(frame.pitch);
+        this.dominantFrequency = this.pitch.frequency || this.findDominantFrequency();
         
-        // Analyze frequency bins for different instrument ranges
+        // Scale the instrument range bands
         this.analyzeFrequencyBins();
         
-        // Detect beats/rhythm
-        this.detectBeat();
+        // Learn room tone / playing level while calibrating, follow the room with AGC
+        this.levelCalibrator.process(time, this.rawVolume, this.rawFrequencyBins);
+        
+        // Chroma, chord and key
+        this.analyzeHarmony(time);
+        
+        // Per-channel levels, pan and stereo width
+        this.analyzeChannels(time);
         
-        // Debug: Log processed results occasionally (removed for clean console)
+        // Note onsets in each frequency band
+        this.onsets = frame.onsets;
+        this.onsetStrength = frame.onsetFlux;
+        
+        // Track tempo and beat phase from the onset history
+        this.tempo = this.tempoTracker.process(time, frame.combinedFlux);
+        
+        // Instrument presence from pitch, spectral shape and onsets
+        this.instruments = this.instrumentDetector.process(time, {
+            volume: this.currentVolume,
+            pitch: this.pitch,
+            chroma: this.harmony.chroma,
+            onsets: this.onsets,
+            frequencyData: this.frequencyData,
+            binWidth: this.audioContext.sampleRate / this.analyserConfig.fftSize,
+            bands: this.frequencyBins
+        });
+        
+        // Detect beats/rhythm
+        this.detectBeat(time);
         
         // Create audio data object
         const audioData = {
             volume: this.currentVolume || 0,
             dominantFrequency: this.dominantFrequency || 0,
-            dominantNote: this.getMusicalNote(this.dominantFrequency || 0),
+            dominantNote: this.pitch.note ? `${this.pitch.note}${this.pitch.octave}` : '',
+            pitchConfidence: this.pitch.confidence,
+            pitchCents: this.pitch.cents,
             bassEnergy: (this.frequencyBins?.bass || 0) * 100,
             midEnergy: (this.frequencyBins?.mid || 0) * 100,
             trebleEnergy: (this.frequencyBins?.treble || 0) * 100,
@@ -266,20 +842,146 @@ class AudioProcessor {
             rawFrequencyData: this.dataArray,
             rawTimeDomainData: this.timeDomainData,
             beatDetected: this.beatDetected || false,
-            sensitivity: this.sensitivity || 5
+            chroma: this.harmony.chroma,
+            chord: this.harmony.chord,
+            key: this.harmony.key,
+            instruments: this.instruments,
+            bandEnergies: this.getBandEnergies(),
+            channelCount: this.channelAnalysers.length,
+            channels: this.channelLevels,
+            channelWaveforms: this.channelData.map(data => data.timeDomainData),
+            pan: this.stereo.pan,
+            bandPan: this.stereo.bandPan,
+            stereoWidth: this.stereo.width,
+            stereoCorrelation: this.stereo.correlation,
+            onsets: { ...this.onsets },
+            onsetStrength: this.onsetStrength,
+            bpm: this.tempo.bpm,
+            tempoConfidence: this.tempo.confidence,
+            beatPhase: this.tempo.beatPhase,
+            predictedNextBeat: this.tempo.predictedNextBeat,
+            sensitivity: this.sensitivity || 5,
+            calibration: {
+                phase: this.levelCalibrator.phase,
+                progress: this.levelCalibrator.getProgress(time),
+                calibrated: !!this.levelCalibrator.calibration,
+                autoGain: this.levelCalibrator.autoGain
+            },
+            sampleRate: this.audioContext.sampleRate,
+            fftSize: this.analyserConfig.fftSize,
+            smoothing: this.analyserConfig.smoothing,
+            analysisMode: this.analysisMode,
+            testSignal: this.inputSource && this.inputSource.getExpected ? this.inputSource.getExpected() : null
         };
         
+        // Only while its file is playing - not over the microphone or test signal
+        if (this.featureTrack && this.inputSource && this.inputSource === this.featureTrackInput) {
+            this.applyFeatureTrack(audioData, time);
+        }
+        
         // Notify callbacks with processed data
         this.notifyCallbacks(audioData);
     }
 
-    calculateVolume() {
+    analyzeChannels(time) {
+        if (this.channelAnalysers.length === 0) return;
+        
+        this.channelLevels = this.channelAnalysers.map((analyser, channel) => {
+            const data = this.channelData[channel];
+            analyser.getByteFrequencyData(data.byteFrequencyData);
+            analyser.getFloatFrequencyData(data.frequencyData);
+            analyser.getFloatTimeDomainData(data.timeDomainData);
+            
+            // Scaled like the mix, so a channel carrying the whole band reads like the mix does
+            const levels = this.measureRawLevels(data.byteFrequencyData);
+            const bandEnergies = {};
+            Object.entries(levels.bands).forEach(([name, value]) => {
+                bandEnergies[name] = this.levelCalibrator.normalize(value, name) * 100;
+            });
+            
+            return { volume: this.calculateVolume(levels.volume), bandEnergies };
+        });
+        
+        const binWidth = this.audioContext.sampleRate / this.analyserConfig.fftSize;
+        this.stereo = this.stereoAnalyzer.process(time, this.channelData, binWidth, this.frequencyRanges);
+    }
+
+    // Swap the live features for the track's at the current playback position. Raw spectra
+    // stay live; beats and onsets since the last frame are all kept so none are skipped
+    applyFeatureTrack(audioData, now) {
+        const playbackTime = this.inputSource.getCurrentTime();
+        const track = this.featureTrack;
+        const frame = track.getFrame(playbackTime);
+        
+        // Seeking (or looping) jumps - only look back over normal playback
+        const previousTime = this.lastTrackTime !== null && playbackTime >= this.lastTrackTime && playbackTime - this.lastTrackTime < 1
+            ? this.lastTrackTime : playbackTime;
+        this.lastTrackTime = playbackTime;
+        const passed = track.getFramesBetween(previousTime, playbackTime);
+        
+        const { time, ...features } = frame;
+        Object.assign(audioData, features);
+        
+        // The track was analysed at sensitivity 5
+        audioData.volume = Math.min(100, frame.volume * (this.sensitivity / 5));
+        
+        audioData.beatDetected = passed.some(passedFrame => passedFrame.beatDetected);
+        audioData.onsets = {};
+        Object.keys(frame.onsets).forEach(band => {
+            audioData.onsets[band] = passed.some(passedFrame => passedFrame.onsets[band]);
+        });
+        
+        // Look-ahead, as Date.now() timestamps like predictedNextBeat
+        const toClock = seconds => now + (seconds - playbackTime) * 1000;
+        const nextSection = track.getNextSection(playbackTime);
+        audioData.upcomingBeats = track.getUpcomingBeats(playbackTime).map(toClock);
+        audioData.predictedNextBeat = audioData.upcomingBeats.length > 0 ? audioData.upcomingBeats[0] : 0;
+        audioData.section = track.getSection(playbackTime);
+        audioData.nextSection = nextSection ? { ...nextSection, startsAt: toClock(nextSection.start) } : null;
+        audioData.featureTrack = true;
+    }
+
+    // Replay a pre-computed FeatureTrack in sync with file playback (null for live analysis);
+    // input is the media input playing the file it was analysed from
+    setFeatureTrack(track, input = null) {
+        this.featureTrack = track;
+        this.featureTrackInput = track ? input : null;
+        this.lastTrackTime = null;
+        console.log(track ? `🧮 Replaying feature track for ${track.source}` : '🧮 Feature track cleared - live analysis');
+    }
+
+    // Unscaled 0-1 volume and band levels from a byte spectrum (the worklet does the same)
+    measureRawLevels(data = this.dataArray) {
+        const nyquist = this.audioContext.sampleRate / 2;
+        const binWidth = nyquist / data.length;
+        
         let sum = 0;
-        for (let i = 0; i < this.dataArray.length; i++) {
-            sum += this.dataArray[i];
+        for (let i = 0; i < data.length; i++) {
+            sum += data[i];
+        }
+        
+        const bands = {};
+        for (const [rangeName, range] of Object.entries(this.frequencyRanges)) {
+            const startBin = Math.floor(range.min / binWidth);
+            const endBin = Math.floor(range.max / binWidth);
+            
+            let bandSum = 0;
+            let count = 0;
+            
+            for (let i = startBin; i <= endBin && i < data.length; i++) {
+                bandSum += data[i];
+                count++;
+            }
+            
+            bands[rangeName] = count > 0 ? (bandSum / count) / 255 : 0;
         }
-        const average = sum / this.dataArray.length;
-        return Math.min(100, (average / 255) * 100 * (this.sensitivity / 5));
+        
+        return { volume: sum / data.length / 255, bands };
+    }
+
+    calculateVolume(rawVolume = this.rawVolume) {
+        // Once calibrated, 0 is the room's noise floor and 100 the band's playing level
+        return Math.min(100, this.levelCalibrator.normalize(rawVolume) * 100 * (this.sensitivity / 5));
     }
 
     findDominantFrequency() {
@@ -301,35 +1003,57 @@ class AudioProcessor {
         return (maxIndex * this.audioContext.sampleRate) / (2 * this.bufferLength);
     }
 
-    analyzeFrequencyBins() {
-        const nyquist = this.audioContext.sampleRate / 2;
-        const binWidth = nyquist / this.bufferLength;
+    // Add the note name to a PitchDetector result
+    describePitch(result) {
+        if (!result.frequency) {
+            return { frequency: 0, confidence: 0, note: '', octave: 0, cents: 0 };
+        }
         
+        const noteInfo = this.getMusicalNote(result.frequency);
+        return {
+            frequency: result.frequency,
+            confidence: result.confidence,
+            note: noteInfo.note,
+            octave: noteInfo.octave,
+            cents: noteInfo.cents
+        };
+    }
+
+    analyzeHarmony(time) {
+        if (!this.harmonyAnalyser) return;
+        
+        this.harmonyAnalyser.getFloatFrequencyData(this.harmonyData);
+        const binWidth = this.audioContext.sampleRate / this.harmonyAnalyser.fftSize;
+        this.harmony = this.harmonyAnalyzer.process(time, this.harmonyData, binWidth);
+    }
+
+    analyzeFrequencyBins() {
         this.frequencyBins = {};
         
-        for (const [rangeName, range] of Object.entries(this.frequencyRanges)) {
-            const startBin = Math.floor(range.min / binWidth);
-            const endBin = Math.floor(range.max / binWidth);
-            
-            let sum = 0;
-            let count = 0;
-            
-            for (let i = startBin; i <= endBin && i < this.dataArray.length; i++) {
-                sum += this.dataArray[i];
-                count++;
-            }
-            
-            this.frequencyBins[rangeName] = count > 0 ? (sum / count) / 255 : 0;
+        for (const [rangeName, value] of Object.entries(this.rawFrequencyBins)) {
+            this.frequencyBins[rangeName] = this.levelCalibrator.normalize(value, rangeName);
         }
     }
 
-    detectBeat() {
-        const now = Date.now();
+    // Energy of every configured band (including custom ones) as 0-100
+    getBandEnergies() {
+        const energies = {};
+        Object.entries(this.frequencyBins).forEach(([name, value]) => {
+            energies[name] = value * 100;
+        });
+        return energies;
+    }
+
+    detectBeat(now) {
         const bassEnergy = this.frequencyBins.bass || 0;
         const threshold = 0.3 * (this.sensitivity / 5);
         
+        // Once the tempo is known, allow one beat per beat period instead of a fixed 300ms
+        // (the fixed refractory period capped us at 200 BPM)
+        const refractoryTime = this.tempo.bpm > 0 ? (60000 / this.tempo.bpm) * 0.7 : 300;
+        
         // Simple beat detection based on bass energy spikes
-        if (bassEnergy > threshold && (now - this.lastBeatTime) > 300) {
+        if (bassEnergy > threshold && (now - this.lastBeatTime) > refractoryTime) {
             this.beatDetected = true;
             this.lastBeatTime = now;
         } else {
@@ -341,6 +1065,71 @@ class AudioProcessor {
         this.sensitivity = Math.max(1, Math.min(10, value));
     }
 
+    // Tune onset detection, e.g. thresholdMultiplier: 2 in a noisy room
+    setOnsetSettings(settings) {
+        this.onsetDetector.updateSettings(settings);
+        
+        if (this.featureExtractor) {
+            this.featureExtractor.port.postMessage({ type: 'config', onsetSettings: this.onsetDetector.settings });
+        }
+    }
+
+    // Listen to room tone, then a sound check. Resolves with the calibration once done;
+    // onPhaseChange gets 'noise', 'soundcheck', then 'done' or 'failed'
+    calibrate(onPhaseChange = null) {
+        if (!this.isActive) {
+            return Promise.reject(new Error('Start the audio before calibrating.'));
+        }
+        return this.levelCalibrator.start(onPhaseChange);
+    }
+
+    setAutoGain(enabled) {
+        this.levelCalibrator.setAutoGain(enabled);
+    }
+
+    getCalibration() {
+        return this.levelCalibrator.getCalibration();
+    }
+
+    setCalibration(calibration) {
+        this.levelCalibrator.setCalibration(calibration);
+    }
+
+    clearCalibration() {
+        this.levelCalibrator.clear();
+    }
+
+    // Adjust the tempo tracker, e.g. preferredBpm: 200 for sets of fast reels
+    setTempoRange(changes = {}) {
+        const { minBpm, maxBpm, preferredBpm } = this.tempoTracker;
+        this.tempoTracker = new TempoTracker(AudioProcessor.mergeTempoRange({ minBpm, maxBpm, preferredBpm }, changes));
+        this.tempo = this.tempoTracker.getState(Date.now());
+    }
+
+    // Validate changes and merge them into a full { minBpm, maxBpm, preferredBpm } range
+    static mergeTempoRange(current, { minBpm, maxBpm, preferredBpm } = {}) {
+        const range = { minBpm: 60, maxBpm: 240, preferredBpm: 120, ...current };   // TempoTracker defaults
+        const changes = { minBpm, maxBpm, preferredBpm };
+
+        Object.entries(changes).forEach(([name, value]) => {
+            if (value === undefined) return;
+            value = Number(value);
+            if (!isFinite(value) || value <= 0) {
+                throw new Error(`Tempo ${name} must be a positive number of beats per minute.`);
+            }
+            range[name] = value;
+        });
+
+        if (range.minBpm >= range.maxBpm) {
+            throw new Error(`Tempo minBpm (${range.minBpm}) must be below maxBpm (${range.maxBpm}).`);
+        }
+        if (range.preferredBpm < range.minBpm || range.preferredBpm > range.maxBpm) {
+            throw new Error(`Tempo preferredBpm (${range.preferredBpm}) must be between ${range.minBpm} and ${range.maxBpm}.`);
+        }
+
+        return range;
+    }
+
     addCallback(callback) {
         this.callbacks.push(callback);
     }
@@ -366,6 +1155,14 @@ class AudioProcessor {
         console.log('🛑 Stopping audio processor...');
         this.isActive = false;
         
+        if (this.analysisFrameId !== null) {
+            cancelAnimationFrame(this.analysisFrameId);
+            this.analysisFrameId = null;
+        }
+        
+        this.disconnectFeatureExtractor();
+        this.levelCalibrator.cancel();
+        
         // Clear any retry timeouts
         if (this.retryTimeout) {
             clearTimeout(this.retryTimeout);
@@ -386,12 +1183,21 @@ class AudioProcessor {
             this.microphone = null;
         }
         
+        if (this.inputSource) {
+            this.inputSource.disconnect();
+            this.inputSource = null;
+            this.sourceNode = null;
+        }
+        
         if (this.audioContext && this.audioContext.state !== 'closed') {
             this.audioContext.close();
             console.log('🔌 Audio context closed');
         }
         
+        this.disconnectChannelAnalysers();
         this.analyser = null;
+        this.harmonyAnalyser = null;
+        this.recordingOutput = null;
         this.audioContext = null;
         this.trackFailures = 0;
         this.isMuted = false;
@@ -455,6 +1261,9 @@ class AudioProcessor {
     async restartAudio() {
         console.log('🔄 Restarting audio system...');
         
+        // The analysis loop stops when a track fails, so remember whether to restart it
+        const wasActive = this.isActive;
+        
         // Clean up existing resources
         if (this.microphone) {
             this.microphone.disconnect();
@@ -472,32 +1281,28 @@ class AudioProcessor {
         }
         
         // Request new microphone access
-        const constraints = {
-            audio: {
-                echoCancellation: false,
-                noiseSuppression: false,
-                autoGainControl: false,
-                sampleRate: { ideal: 44100 },
-                channelCount: { ideal: 1 }
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia(this.getAudioConstraints());
+        } catch (error) {
+            // The chosen interface may have been unplugged - fall back to the default device
+            if (this.deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+                console.warn('⚠️ Selected input device unavailable, falling back to default device');
+                this.deviceId = null;
+                stream = await navigator.mediaDevices.getUserMedia(this.getAudioConstraints());
+                
+                if (window.liveMusicArtwork && window.liveMusicArtwork.showAudioWarning) {
+                    window.liveMusicArtwork.showAudioWarning('Selected input device is unavailable - using the default microphone');
+                }
+            } else {
+                throw error;
             }
-        };
-        
-        const stream = await navigator.mediaDevices.getUserMedia(constraints);
+        }
         console.log('✅ New microphone stream acquired');
         
         // Set up new audio chain
         this.microphone = this.audioContext.createMediaStreamSource(stream);
-        this.analyser = this.audioContext.createAnalyser();
-        this.analyser.fftSize = 1024;
-        this.analyser.smoothingTimeConstant = 0.8;
-        this.bufferLength = this.analyser.frequencyBinCount;
-        this.dataArray = new Uint8Array(this.bufferLength);
-        
-        // Initialize Float32 arrays for more precise analysis
-        this.frequencyData = new Float32Array(this.bufferLength);
-        this.timeDomainData = new Float32Array(this.analyser.fftSize);
-        
-        this.microphone.connect(this.analyser);
+        this.connectAnalyser(this.microphone, this.getStreamChannelCount(stream));
         this.stream = stream;
         
         // Add event listeners to new tracks
@@ -521,6 +1326,9 @@ class AudioProcessor {
         
         this.isActive = true;
         this.trackFailures = 0; // Reset failure count on successful restart
+        if (!wasActive) {
+            this.startAnalysis();
+        }
         console.log('🎉 Audio system restarted successfully');
         
         if (window.liveMusicArtwork && window.liveMusicArtwork.clearAudioError) {
@@ -534,30 +1342,23 @@ class AudioProcessor {
         const A4 = 440;
         const C0 = A4 * Math.pow(2, -4.75);
         
-        if (frequency <= 0) return { note: '', octave: 0 };
+        if (frequency <= 0) return { note: '', octave: 0, cents: 0 };
         
-        const h = Math.round(12 * Math.log2(frequency / C0));
+        const semitones = 12 * Math.log2(frequency / C0);
+        const h = Math.round(semitones);
         const octave = Math.floor(h / 12);
         const n = h % 12;
         
         return {
             note: noteNames[n],
             octave: octave,
-            frequency: frequency
+            frequency: frequency,
+            cents: Math.round((semitones - h) * 100) // Deviation from equal temperament, -50 to +50
         };
     }
 
     isCeilidhInstrumentRange(frequency) {
-        // Common ceilidh instrument frequency ranges
-        const instrumentRanges = {
-            fiddle: { min: 196, max: 2093 },    // G3 to C7
-            accordion: { min: 65, max: 2093 },  // C2 to C7
-            flute: { min: 262, max: 2093 },     // C4 to C7
-            bodhran: { min: 60, max: 200 },     // Low percussion
-            pipes: { min: 466, max: 932 }       // Bb4 to Bb5 (typical chanter range)
-        };
-        
-        return Object.values(instrumentRanges).some(range => 
+        return Object.values(this.instrumentRanges).some(range => 
             frequency >= range.min && frequency <= range.max
         );
     }
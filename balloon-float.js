@@ -11,7 +11,9 @@ class BalloonFloatVisualization {
             baseSize: 50,            // Base balloon size
             sizeVariance: 35,        // Size randomness
             spawnRate: 0.4,          // How often new balloons spawn
-            horizontalDrift: 0.2     // Slight horizontal movement
+            horizontalDrift: 0.2,    // Slight horizontal movement
+            useTempo: true,          // Drive speed from the tracked tempo when available
+            referenceBpm: 120        // Tempo at which balloons rise at base speed
         };
         
         // Beat response settings
@@ -44,7 +46,8 @@ class BalloonFloatVisualization {
             bass: 0,
             mid: 0,
             treble: 0,
-            frequency: 440
+            frequency: 440,
+            bpm: 0
         };
         
         // Pop effects
@@ -78,6 +81,83 @@ class BalloonFloatVisualization {
         this.initializeBalloons();
     }
     
+    // Visualization lifecycle (see VisualizationEngine.register)
+    init(context) {
+        this.updateBounds(context.width, context.height);
+    }
+    
+    resize(width, height) {
+        this.updateBounds(width, height);
+    }
+    
+    dispose() {
+        this.balloons = [];
+        this.popEffects = [];
+        this.volumeHistory = [];
+    }
+    
+    getSettings() {
+        const { lastBeatTime, ...beatResponse } = this.beatResponse;
+        const { lastSpikeTime, ...spikeSettings } = this.spikeSettings;
+        
+        return {
+            balloonSettings: { ...this.balloonSettings },
+            beatResponse,
+            colorSettings: { ...this.colorSettings },
+            spikeSettings,
+            showDebugInfo: this.showDebugInfo
+        };
+    }
+    
+    setSettings(settings) {
+        if (settings.balloonSettings) this.setBalloonSettings(settings.balloonSettings);
+        if (settings.beatResponse) this.setBeatResponse(settings.beatResponse);
+        if (settings.colorSettings) {
+            this.colorSettings = { ...this.colorSettings, ...BalloonFloatVisualization.checkSettingGroup('colorSettings', settings.colorSettings) };
+        }
+        if (settings.spikeSettings) this.setSpikeSettings(settings.spikeSettings);
+        if (settings.showDebugInfo !== undefined) this.toggleDebugInfo(settings.showDebugInfo);
+    }
+    
+    // Presets and links are loaded without asking, so unknown settings are dropped and numbers
+    // are kept within SETTING_RANGES; a value of the wrong type rejects the lot
+    static checkSettings(settings) {
+        const checked = {};
+        Object.keys(BalloonFloatVisualization.SETTING_RANGES).forEach(group => {
+            if (settings[group] !== undefined) {
+                checked[group] = BalloonFloatVisualization.checkSettingGroup(group, settings[group]);
+            }
+        });
+        if (settings.showDebugInfo !== undefined) checked.showDebugInfo = !!settings.showDebugInfo;
+        return checked;
+    }
+    
+    static checkSettingGroup(group, values) {
+        if (!values || typeof values !== 'object') {
+            throw new Error(`Balloon ${group} must be an object.`);
+        }
+        
+        const ranges = BalloonFloatVisualization.SETTING_RANGES[group];
+        const checked = {};
+        Object.entries(values).forEach(([name, value]) => {
+            const range = ranges[name];
+            if (!range) {
+                console.warn(`⚠️ Ignoring unknown balloon setting ${group}.${name}`);
+            } else if (range === 'boolean') {
+                if (typeof value !== 'boolean') {
+                    throw new Error(`Balloon setting ${group}.${name} must be true or false.`);
+                }
+                checked[name] = value;
+            } else {
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    throw new Error(`Balloon setting ${group}.${name} must be a number.`);
+                }
+                checked[name] = Math.min(range[1], Math.max(range[0], value));
+            }
+        });
+        return checked;
+    }
+    
     initializeBalloons() {
         // Create initial balloons spread throughout the screen
         for (let i = 0; i < this.maxBalloons; i++) {
@@ -131,6 +211,16 @@ class BalloonFloatVisualization {
     calculateMusicSpeed() {
         // Base speed affected by volume and beat energy
         const volumeEffect = (this.smoothedAudio.volume / 100) * 2.0;
+        
+        // Real tempo when the tracker has locked on - a fast reel rises faster than a waltz
+        if (this.balloonSettings.useTempo && this.smoothedAudio.bpm > 0) {
+            const tempoEffect = this.smoothedAudio.bpm / this.balloonSettings.referenceBpm;
+            const tempoSpeedMultiplier = Math.max(0.3, tempoEffect * 1.5 + volumeEffect * 0.5);
+            
+            return this.balloonSettings.baseSpeed * tempoSpeedMultiplier;
+        }
+        
+        // Otherwise fall back to loudness as the "speed"
         const bassEffect = (this.smoothedAudio.bass / 100) * 1.5;
         const midEffect = (this.smoothedAudio.mid / 100) * 1.0;
         
@@ -179,6 +269,14 @@ class BalloonFloatVisualization {
         this.smoothedAudio.frequency = this.smoothedAudio.frequency * (1 - smoothing) + 
                                       (audioData.dominantFrequency || 440) * smoothing;
         
+        // Tempo jumps straight to the first estimate, then follows it smoothly
+        if (audioData.bpm > 0) {
+            this.smoothedAudio.bpm = this.smoothedAudio.bpm > 0 ?
+                this.smoothedAudio.bpm * (1 - smoothing) + audioData.bpm * smoothing : audioData.bpm;
+        } else {
+            this.smoothedAudio.bpm = 0;
+        }
+        
         // Update volume history for spike detection
         this.updateVolumeHistory(audioData.volume);
     }
@@ -287,8 +385,9 @@ class BalloonFloatVisualization {
         // Only trigger on beat edge (false -> true transition) to prevent multiple pops per beat
         const beatEdgeDetected = !previousBeatState && currentBeatState;
         
+        // Injected beats (a MIDI drum pad) count whatever the room level
         if (beatEdgeDetected && 
-            audioData.volume > this.beatResponse.volumeThreshold &&
+            (audioData.volume > this.beatResponse.volumeThreshold || audioData.injectedBeat) &&
             timeSinceLastBeat > this.beatResponse.cooldownTime) {
             
             this.beatResponse.lastBeatTime = currentTime;
@@ -539,7 +638,13 @@ class BalloonFloatVisualization {
         // Render everything
         this.renderBalloons(ctx);
         this.renderPopEffects(ctx);
-        this.renderAudioInfo(ctx, audioData, width, height);
+    }
+    
+    // The engine draws this over the finished frame, so clean video recordings can leave it out
+    renderOverlay(ctx, audioData, time, width, height) {
+        if (audioData && audioData.volume >= 1) {
+            this.renderAudioInfo(ctx, audioData, width, height);
+        }
     }
     
     renderIdleState(ctx, width, height) {
@@ -671,6 +776,7 @@ class BalloonFloatVisualization {
         ctx.fillText(`Music Speed: ${this.currentMusicSpeed.toFixed(1)}x`, 20, 100);
         ctx.fillText(`Balloons: ${this.balloons.length}`, 20, 120);
         ctx.fillText(`Beat Response: ${this.beatResponse.enabled ? 'ON' : 'OFF'}`, 20, 140);
+        ctx.fillText(`Tempo: ${audioData.bpm > 0 ? audioData.bpm.toFixed(0) + ' BPM' : 'listening...'}`, 20, 340);
         
         // Beat detection and pop info
         const beatDetected = audioData.beatDetected || false;
@@ -761,16 +867,16 @@ class BalloonFloatVisualization {
     
     // Control methods
     setBalloonSettings(settings) {
-        this.balloonSettings = { ...this.balloonSettings, ...settings };
+        this.balloonSettings = { ...this.balloonSettings, ...BalloonFloatVisualization.checkSettingGroup('balloonSettings', settings) };
     }
     
     setBeatResponse(settings) {
         // Note: popChance is no longer used - balloons pop on every detected beat
-        this.beatResponse = { ...this.beatResponse, ...settings };
+        this.beatResponse = { ...this.beatResponse, ...BalloonFloatVisualization.checkSettingGroup('beatResponse', settings) };
     }
     
     setSpikeSettings(settings) {
-        this.spikeSettings = { ...this.spikeSettings, ...settings };
+        this.spikeSettings = { ...this.spikeSettings, ...BalloonFloatVisualization.checkSettingGroup('spikeSettings', settings) };
     }
     
     getSpikeSettings() {
@@ -803,6 +909,12 @@ class BalloonFloatVisualization {
         this.initializeBalloons();
     }
     
+    // Pop every balloon on screen at once; new ones drift up from the bottom as usual
+    popAllBalloons() {
+        this.balloons.forEach(balloon => this.createPopEffect(balloon));
+        this.balloons = [];
+    }
+    
     // Helper method to get current music speed for external access
     getCurrentMusicSpeed() {
         return this.currentMusicSpeed || this.calculateMusicSpeed();
@@ -817,4 +929,75 @@ class BalloonFloatVisualization {
     getDebugInfoState() {
         return this.showDebugInfo;
     }
-} 
\ No newline at end of file
+}
+
+// Allowed settings: [min, max] for numbers (values outside are clamped) or 'boolean'
+BalloonFloatVisualization.SETTING_RANGES = {
+    balloonSettings: {
+        baseSpeed: [0, 20],
+        speedVariance: [0, 20],
+        baseSize: [5, 300],
+        sizeVariance: [0, 300],
+        spawnRate: [0, 1],
+        horizontalDrift: [0, 10],
+        useTempo: 'boolean',
+        referenceBpm: [30, 300]
+    },
+    beatResponse: {
+        enabled: 'boolean',
+        volumeThreshold: [0, 100],
+        cooldownTime: [0, 5000]
+    },
+    colorSettings: {
+        hueShift: [0, 360],
+        saturation: [0, 1],
+        lightness: [0, 1],
+        volumeInfluence: [0, 1],
+        bassInfluence: [0, 1]
+    },
+    spikeSettings: {
+        enabled: 'boolean',
+        minSpikeThreshold: [1, 10],
+        maxSpikeThreshold: [1, 20],
+        minBalloonsPerSpike: [0, 50],
+        maxBalloonsPerSpike: [0, 50],
+        cooldownTime: [0, 5000]
+    }
+};
+
+VisualizationEngine.register('balloon-float', BalloonFloatVisualization, {
+    name: 'Balloon Float',
+    description: 'Balloons rise with the tempo and pop on volume spikes and beats',
+    debugInfo: true,
+    help: [
+        'liveMusicArtwork.setBalloonSettings(options) - Set balloon properties',
+        'liveMusicArtwork.setBalloonBeatResponse(options) - Set balloon beat response',
+        'liveMusicArtwork.setBalloonColors(options) - Set balloon color settings',
+        'liveMusicArtwork.toggleBalloonBeatResponse(enabled) - Enable/disable balloon pop response',
+        'liveMusicArtwork.resetBalloons() - Reset all balloons',
+        'liveMusicArtwork.popAllBalloons() - Pop every balloon on screen',
+        'liveMusicArtwork.getBalloonMusicSpeed() - Get current music speed multiplier',
+        'liveMusicArtwork.setSpikeSettings(options) - Set volume spike detection settings',
+        'liveMusicArtwork.getSpikeSettings() - Get current spike detection settings',
+        'liveMusicArtwork.toggleSpikeDetection(enabled) - Enable/disable spike detection'
+    ],
+    examples: [
+        '🎈 Balloon examples:',
+        '- liveMusicArtwork.setBalloonSettings({baseSize: 80, sizeVariance: 30, spawnRate: 0.6}) - Bigger balloons, more frequent spawning',
+        '- liveMusicArtwork.setBalloonBeatResponse({volumeThreshold: 20, cooldownTime: 60}) - Adjust beat response sensitivity',
+        '- liveMusicArtwork.setBalloonColors({volumeInfluence: 0.8, bassInfluence: 0.5}) - Colors more influenced by music',
+        '- liveMusicArtwork.getBalloonMusicSpeed() - Check current music speed multiplier',
+        '- liveMusicArtwork.toggleBalloonBeatResponse(false) - Disable balloon beat response',
+        '- liveMusicArtwork.toggleBalloonBeatResponse(true) - Enable balloon beat response',
+        '- liveMusicArtwork.resetBalloons() - Reset all balloons',
+        'Note: Balloons pop on volume spikes (primary) and beats (secondary), speed responds to music tempo',
+        '',
+        '🔊 Volume Spike Detection examples:',
+        '- liveMusicArtwork.setSpikeSettings({minSpikeThreshold: 2.0}) - Require bigger spikes to pop balloons',
+        '- liveMusicArtwork.setSpikeSettings({maxBalloonsPerSpike: 12}) - Pop up to 12 balloons on huge spikes',
+        '- liveMusicArtwork.setSpikeSettings({cooldownTime: 200}) - Slower spike detection (200ms between spikes)',
+        '- liveMusicArtwork.setSpikeSettings({cooldownTime: 50}) - Faster spike detection (50ms between spikes)',
+        '- liveMusicArtwork.toggleSpikeDetection(false) - Disable spike detection (use beat detection only)',
+        '- liveMusicArtwork.getSpikeSettings() - Check current spike detection settings'
+    ]
+});
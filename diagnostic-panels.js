@@ -0,0 +1,367 @@
+// Full-size diagnostic panels for the Audio Test mode, for using the app as a quick
+// room-analysis tool: waveform oscilloscope, scrolling spectrogram, band meters and a stereo
+// goniometer
+class DiagnosticPanels {
+    constructor() {
+        this.panel = 'overview';
+
+        // Spectrogram: an offscreen canvas scrolled one column per analysis frame
+        this.spectrogramCanvas = null;
+        this.spectrogramCtx = null;
+        this.spectrogramColumn = null;
+        this.minFrequency = 20;
+        this.heatPalette = this.createHeatPalette();
+
+        // Band meters: peaks are held, then fall back
+        this.peaks = {};
+        this.peakHoldTime = 1500;       // ms
+        this.peakFallRate = 30;         // % per second
+        this.lastMeterTime = 0;
+    }
+
+    setPanel(panel) {
+        if (!DiagnosticPanels.PANELS[panel]) {
+            throw new Error(`Unknown diagnostic panel "${panel}" - use ${Object.keys(DiagnosticPanels.PANELS).join(', ')}.`);
+        }
+
+        this.panel = panel;
+        this.peaks = {};
+        this.lastMeterTime = 0;
+    }
+
+    isOverview() {
+        return this.panel === 'overview';
+    }
+
+    getTitle() {
+        return DiagnosticPanels.PANELS[this.panel];
+    }
+
+    // Called for every audioData frame (the spectrogram advances per frame, not per redraw)
+    update(audioData) {
+        if (!audioData) return;
+
+        if (this.panel === 'spectrogram') {
+            this.addSpectrogramColumn(audioData);
+        } else if (this.panel === 'meters') {
+            this.updatePeaks(audioData, Date.now());
+        }
+    }
+
+    render(ctx, x, y, width, height, audioData, colors) {
+        ctx.fillStyle = 'rgba(255,255,255,0.05)';
+        ctx.fillRect(x, y, width, height);
+
+        switch (this.panel) {
+            case 'oscilloscope':
+                this.drawOscilloscope(ctx, x, y, width, height, audioData, colors);
+                break;
+            case 'spectrogram':
+                this.drawSpectrogram(ctx, x, y, width, height, audioData, colors);
+                break;
+            case 'meters':
+                this.drawBandMeters(ctx, x, y, width, height, audioData, colors);
+                break;
+            case 'goniometer':
+                this.drawGoniometer(ctx, x, y, width, height, audioData, colors);
+                break;
+        }
+    }
+
+    // Waveform, triggered on a rising zero crossing so a steady tone stands still
+    drawOscilloscope(ctx, x, y, width, height, audioData, colors) {
+        const data = audioData && audioData.rawTimeDomainData;
+        const centerY = y + height / 2;
+
+        // Grid: centre line and ±0.5
+        ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+        ctx.lineWidth = 1;
+        [-0.5, 0, 0.5].forEach(level => {
+            ctx.beginPath();
+            ctx.moveTo(x, centerY - level * height / 2);
+            ctx.lineTo(x + width, centerY - level * height / 2);
+            ctx.stroke();
+        });
+
+        if (!data || data.length < 2) return;
+
+        let trigger = 0;
+        for (let i = 1; i < data.length / 2; i++) {
+            if (data[i - 1] < 0 && data[i] >= 0) {
+                trigger = i;
+                break;
+            }
+        }
+        const visible = Math.floor(data.length / 2);
+
+        ctx.strokeStyle = colors.primary[0];
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < visible; i++) {
+            const plotX = x + (i / (visible - 1)) * width;
+            const plotY = centerY - Math.max(-1, Math.min(1, data[trigger + i])) * height / 2;
+            if (i === 0) {
+                ctx.moveTo(plotX, plotY);
+            } else {
+                ctx.lineTo(plotX, plotY);
+            }
+        }
+        ctx.stroke();
+
+        // Level readouts
+        let peak = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < data.length; i++) {
+            peak = Math.max(peak, Math.abs(data[i]));
+            sumSquares += data[i] * data[i];
+        }
+        const toDb = value => value > 0 ? (20 * Math.log10(value)).toFixed(1) : '-∞';
+        const rms = Math.sqrt(sumSquares / data.length);
+
+        // Recorded sessions keep a downsampled waveform, so the time span is only known live
+        const span = audioData.sampleRate && data.length === audioData.fftSize ?
+            `${(visible / audioData.sampleRate * 1000).toFixed(1)} ms across` : '';
+
+        ctx.font = '13px Arial';
+        ctx.fillStyle = colors.accent[0];
+        ctx.textAlign = 'left';
+        ctx.fillText(`Peak ${toDb(peak)} dBFS   RMS ${toDb(rms)} dBFS`, x + 10, y + 20);
+        ctx.textAlign = 'right';
+        ctx.fillText(span, x + width - 10, y + 20);
+    }
+
+    addSpectrogramColumn(audioData) {
+        const data = audioData.rawFrequencyData;
+        if (!data || !this.spectrogramCtx || !audioData.sampleRate || !audioData.fftSize) return;
+
+        const canvas = this.spectrogramCanvas;
+        const binWidth = audioData.sampleRate / audioData.fftSize;
+        const maxFrequency = Math.min(20000, audioData.sampleRate / 2);
+        const column = this.spectrogramColumn;
+
+        // Each row takes the loudest bin it covers, so narrow peaks survive at the top
+        for (let row = 0; row < canvas.height; row++) {
+            const high = this.rowToFrequency(row, canvas.height, maxFrequency);
+            const low = this.rowToFrequency(row + 1, canvas.height, maxFrequency);
+            const startBin = Math.min(data.length - 1, Math.round(low / binWidth));
+            const endBin = Math.min(data.length - 1, Math.max(startBin, Math.round(high / binWidth)));
+
+            let value = 0;
+            for (let bin = startBin; bin <= endBin; bin++) {
+                value = Math.max(value, data[bin]);
+            }
+
+            const offset = row * 4;
+            const color = value * 3;
+            column.data[offset] = this.heatPalette[color];
+            column.data[offset + 1] = this.heatPalette[color + 1];
+            column.data[offset + 2] = this.heatPalette[color + 2];
+            column.data[offset + 3] = 255;
+        }
+
+        this.spectrogramCtx.drawImage(canvas, -1, 0);
+        this.spectrogramCtx.putImageData(column, canvas.width - 1, 0);
+    }
+
+    drawSpectrogram(ctx, x, y, width, height, audioData, colors) {
+        const axisWidth = 70;
+        const plotWidth = Math.round(width - axisWidth);
+        const plotHeight = Math.round(height);
+
+        if (!this.spectrogramCanvas || this.spectrogramCanvas.width !== plotWidth || this.spectrogramCanvas.height !== plotHeight) {
+            this.createSpectrogramCanvas(plotWidth, plotHeight);
+        }
+
+        ctx.drawImage(this.spectrogramCanvas, x + axisWidth, y);
+
+        // Log-frequency axis labelled with the Cs
+        const maxFrequency = audioData && audioData.sampleRate ? Math.min(20000, audioData.sampleRate / 2) : 20000;
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'right';
+        for (let octave = 1; octave <= 10; octave++) {
+            const frequency = 16.352 * Math.pow(2, octave);
+            if (frequency < this.minFrequency || frequency > maxFrequency) continue;
+
+            const row = this.frequencyToRow(frequency, plotHeight, maxFrequency);
+            const label = frequency >= 1000 ? `${(frequency / 1000).toFixed(1)}k` : frequency.toFixed(0);
+
+            ctx.fillStyle = 'rgba(255,255,255,0.2)';
+            ctx.fillRect(x + axisWidth, y + row, plotWidth, 1);
+            ctx.fillStyle = colors.accent[0];
+            ctx.fillText(`C${octave} ${label}`, x + axisWidth - 6, y + row + 4);
+        }
+    }
+
+    createSpectrogramCanvas(width, height) {
+        this.spectrogramCanvas = document.createElement('canvas');
+        this.spectrogramCanvas.width = width;
+        this.spectrogramCanvas.height = height;
+        this.spectrogramCtx = this.spectrogramCanvas.getContext('2d');
+        this.spectrogramCtx.fillStyle = '#000000';
+        this.spectrogramCtx.fillRect(0, 0, width, height);
+        this.spectrogramColumn = this.spectrogramCtx.createImageData(1, height);
+    }
+
+    // Row 0 is the top (highest frequency)
+    rowToFrequency(row, rows, maxFrequency) {
+        return this.minFrequency * Math.pow(maxFrequency / this.minFrequency, 1 - row / rows);
+    }
+
+    frequencyToRow(frequency, rows, maxFrequency) {
+        return Math.round((1 - Math.log(frequency / this.minFrequency) / Math.log(maxFrequency / this.minFrequency)) * rows);
+    }
+
+    // Black → purple → red → yellow → white, 256 RGB entries
+    createHeatPalette() {
+        const stops = [[0, 0, 0], [80, 0, 120], [220, 30, 60], [255, 200, 0], [255, 255, 255]];
+        const palette = new Uint8Array(256 * 3);
+
+        for (let i = 0; i < 256; i++) {
+            const position = (i / 255) * (stops.length - 1);
+            const index = Math.min(stops.length - 2, Math.floor(position));
+            const blend = position - index;
+            for (let channel = 0; channel < 3; channel++) {
+                palette[i * 3 + channel] = Math.round(stops[index][channel] + (stops[index + 1][channel] - stops[index][channel]) * blend);
+            }
+        }
+
+        return palette;
+    }
+
+    updatePeaks(audioData, now) {
+        const deltaSeconds = this.lastMeterTime > 0 ? (now - this.lastMeterTime) / 1000 : 0;
+        this.lastMeterTime = now;
+
+        const levels = { volume: audioData.volume || 0, ...(audioData.bandEnergies || {}) };
+        Object.entries(levels).forEach(([name, value]) => {
+            const peak = this.peaks[name];
+            if (!peak || value >= peak.value) {
+                this.peaks[name] = { value, time: now };
+            } else if (now - peak.time > this.peakHoldTime) {
+                peak.value = Math.max(value, peak.value - this.peakFallRate * deltaSeconds);
+            }
+        });
+    }
+
+    drawBandMeters(ctx, x, y, width, height, audioData, colors) {
+        const levels = { volume: (audioData && audioData.volume) || 0, ...((audioData && audioData.bandEnergies) || {}) };
+        const names = Object.keys(levels);
+        const slot = width / names.length;
+        const meterWidth = Math.min(60, slot * 0.6);
+        const meterTop = y + 20;
+        const meterHeight = height - 60;
+        const palette = [colors.primary[0], colors.primary[1], colors.primary[2], colors.secondary[0], colors.accent[0], colors.accent[1]];
+
+        // Scale lines every 25%
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        [0, 25, 50, 75, 100].forEach(level => {
+            const lineY = meterTop + meterHeight - (level / 100) * meterHeight;
+            ctx.fillStyle = 'rgba(255,255,255,0.12)';
+            ctx.fillRect(x, lineY, width, 1);
+            ctx.fillStyle = colors.accent[0];
+            ctx.fillText(`${level}%`, x + 4, lineY - 3);
+        });
+
+        names.forEach((name, index) => {
+            const meterX = x + slot * index + (slot - meterWidth) / 2;
+            const value = Math.min(100, levels[name]);
+            const fillHeight = (value / 100) * meterHeight;
+            const color = name === 'volume' ? '#ffffff' : palette[(index - 1) % palette.length];
+
+            ctx.fillStyle = 'rgba(255,255,255,0.1)';
+            ctx.fillRect(meterX, meterTop, meterWidth, meterHeight);
+            ctx.fillStyle = color;
+            ctx.fillRect(meterX, meterTop + meterHeight - fillHeight, meterWidth, fillHeight);
+
+            // Peak hold marker
+            const peak = this.peaks[name];
+            if (peak) {
+                const peakY = meterTop + meterHeight - (Math.min(100, peak.value) / 100) * meterHeight;
+                ctx.fillStyle = '#ff6b6b';
+                ctx.fillRect(meterX - 4, peakY - 2, meterWidth + 8, 3);
+            }
+
+            ctx.font = '14px Arial';
+            ctx.fillStyle = colors.accent[0];
+            ctx.textAlign = 'center';
+            ctx.fillText(name, meterX + meterWidth / 2, meterTop + meterHeight + 20);
+            ctx.fillText(`${value.toFixed(0)}% (peak ${peak ? peak.value.toFixed(0) : '--'})`, meterX + meterWidth / 2, meterTop + meterHeight + 38);
+        });
+    }
+
+    // Left against right as a phase scope, turned 45° like a desk's: mono is a vertical line,
+    // a wide mix a round cloud, and out-of-phase sound spreads sideways. The correlation bar
+    // underneath reads +1 for mono and below 0 for phase trouble
+    drawGoniometer(ctx, x, y, width, height, audioData, colors) {
+        const waveforms = (audioData && audioData.channelWaveforms) || [];
+        const size = Math.min(width, height - 60);
+        const radius = size / 2;
+        const centerX = x + width / 2;
+        const centerY = y + 10 + radius;
+
+        // Axes: M (mono) up, S (side) across, and the left/right diagonals
+        ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+        ctx.lineWidth = 1;
+        [[0, -1], [1, 0], [-Math.SQRT1_2, -Math.SQRT1_2], [Math.SQRT1_2, -Math.SQRT1_2]].forEach(([dx, dy]) => {
+            ctx.beginPath();
+            ctx.moveTo(centerX - dx * radius, centerY - dy * radius);
+            ctx.lineTo(centerX + dx * radius, centerY + dy * radius);
+            ctx.stroke();
+        });
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.font = '13px Arial';
+        ctx.fillStyle = colors.accent[0];
+        ctx.textAlign = 'center';
+        ctx.fillText('M', centerX, centerY - radius + 14);
+        ctx.fillText('L', centerX - radius * Math.SQRT1_2 - 8, centerY - radius * Math.SQRT1_2);
+        ctx.fillText('R', centerX + radius * Math.SQRT1_2 + 8, centerY - radius * Math.SQRT1_2);
+
+        if (waveforms.length < 2 || !waveforms[0] || !waveforms[1]) {
+            ctx.fillText('Needs a stereo input - a desk feed, an interface or a stereo recording', centerX, centerY + radius + 40);
+            return;
+        }
+
+        // One dot per sample pair
+        const left = waveforms[0];
+        const right = waveforms[1];
+        const count = Math.min(left.length, right.length);
+        ctx.fillStyle = colors.primary[0];
+        for (let i = 0; i < count; i++) {
+            const side = Math.max(-1, Math.min(1, (right[i] - left[i]) * Math.SQRT1_2));
+            const mid = Math.max(-1, Math.min(1, (left[i] + right[i]) * Math.SQRT1_2));
+            ctx.fillRect(centerX + side * radius - 1, centerY - mid * radius - 1, 2, 2);
+        }
+
+        // Correlation meter, -1 to +1
+        const correlation = audioData.stereoCorrelation !== undefined ? audioData.stereoCorrelation : 1;
+        const barY = centerY + radius + 20;
+        const barWidth = Math.min(width - 40, 400);
+        const barX = x + (width - barWidth) / 2;
+        ctx.fillStyle = 'rgba(255,255,255,0.1)';
+        ctx.fillRect(barX, barY, barWidth, 10);
+        ctx.fillStyle = correlation < 0 ? '#ff6b6b' : colors.primary[1];
+        const zeroX = barX + barWidth / 2;
+        const valueX = zeroX + correlation * barWidth / 2;
+        ctx.fillRect(Math.min(zeroX, valueX), barY, Math.abs(valueX - zeroX), 10);
+
+        ctx.fillStyle = colors.accent[0];
+        ctx.textAlign = 'center';
+        ctx.fillText(`Correlation ${correlation.toFixed(2)}   Width ${((audioData.stereoWidth || 0) * 100).toFixed(0)}%`, centerX, barY + 28);
+    }
+}
+
+// Panel ids and their titles
+DiagnosticPanels.PANELS = {
+    overview: 'Overview',
+    oscilloscope: 'Oscilloscope',
+    spectrogram: 'Spectrogram',
+    meters: 'Band Meters',
+    goniometer: 'Stereo Phase'
+};
+
+// Export for use in other modules
+window.DiagnosticPanels = DiagnosticPanels;
@@ -0,0 +1,178 @@
+// Streams each audioData frame as JSON over a WebSocket (to server/osc-relay.js, a lighting
+// desk bridge, TouchDesigner...) and takes commands back from the same connection.
+// Messages out: { type: 'hello' }, { type: 'audioData', time, data } and { type: 'result', id,
+// result | error }. Messages in: { type: 'command', id, command, args } - the app decides which
+// commands are allowed (see LiveMusicArtwork.runRemoteCommand)
+class FeatureStream {
+    constructor(storageKey = 'liveMusicArtwork.streamUrl') {
+        this.storageKey = storageKey;
+        this.url = this.loadUrl();
+        this.socket = null;
+        this.enabled = false;           // Keep reconnecting until disconnect()
+        this.reconnectTimer = null;
+        this.includeRaw = false;        // Send the raw frequency/waveform arrays too
+        this.framesSent = 0;
+        this.framesDropped = 0;
+
+        // onCommand(command, args) returns the result (or a promise of it); onStatusChange()
+        // when the connection opens or closes
+        this.onCommand = null;
+        this.onStatusChange = null;
+    }
+
+    connect(url = this.url) {
+        if (!/^wss?:\/\//.test(url || '')) {
+            throw new Error('The stream address must start with ws:// or wss://');
+        }
+
+        this.disconnect();
+        this.url = url;
+        this.enabled = true;
+        this.saveUrl();
+        this.open();
+    }
+
+    open() {
+        this.reconnectTimer = null;
+
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.warn('⚠️ Could not open the feature stream:', error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.socket.onopen = () => {
+            console.log(`📡 Streaming audio features to ${this.url}`);
+            this.socket.send(JSON.stringify({ type: 'hello', app: 'live-music-artwork', version: FeatureStream.VERSION }));
+            if (this.onStatusChange) this.onStatusChange();
+        };
+        this.socket.onmessage = (event) => this.handleMessage(event.data);
+        this.socket.onclose = () => {
+            this.socket = null;
+            if (this.onStatusChange) this.onStatusChange();
+            this.scheduleReconnect();
+        };
+        // onclose follows with the details that matter here
+        this.socket.onerror = () => {};
+    }
+
+    // The relay may be started after the app, or restarted mid-set
+    scheduleReconnect() {
+        if (!this.enabled || this.reconnectTimer) return;
+        this.reconnectTimer = setTimeout(() => this.open(), FeatureStream.RECONNECT_DELAY);
+    }
+
+    disconnect() {
+        this.enabled = false;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+            if (this.onStatusChange) this.onStatusChange();
+        }
+    }
+
+    isConnected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    send(audioData) {
+        if (!this.isConnected()) return;
+
+        // A slow receiver gets fewer frames rather than a growing backlog
+        if (this.socket.bufferedAmount > FeatureStream.MAX_BUFFERED) {
+            this.framesDropped++;
+            return;
+        }
+
+        this.socket.send(JSON.stringify({
+            type: 'audioData',
+            time: performance.now() / 1000,
+            data: FeatureStream.serialize(audioData, this.includeRaw)
+        }));
+        this.framesSent++;
+    }
+
+    // audioData as plain JSON: raw arrays left out unless asked for, typed arrays as arrays
+    static serialize(audioData, includeRaw = false) {
+        const data = {};
+
+        Object.entries(audioData).forEach(([key, value]) => {
+            if (!includeRaw && FeatureStream.RAW_FIELDS.includes(key)) return;
+            if (ArrayBuffer.isView(value)) {
+                data[key] = Array.from(value);
+            } else if (Array.isArray(value)) {
+                data[key] = value.map(item => ArrayBuffer.isView(item) ? Array.from(item) : item);
+            } else {
+                data[key] = value;
+            }
+        });
+
+        return data;
+    }
+
+    async handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.warn('⚠️ Ignoring a stream message that is not JSON');
+            return;
+        }
+
+        // Frames and results from other clients of the relay are not for us
+        if (!message || message.type !== 'command') return;
+
+        const reply = { type: 'result', id: message.id, command: message.command };
+        try {
+            if (!this.onCommand) {
+                throw new Error('Commands are not accepted');
+            }
+            const args = Array.isArray(message.args) ? message.args : [];
+            const result = await this.onCommand(message.command, args);
+            reply.result = result === undefined ? null : result;
+        } catch (error) {
+            reply.error = error.message;
+        }
+
+        if (this.isConnected()) {
+            try {
+                this.socket.send(JSON.stringify(reply));
+            } catch (error) {
+                // The result isn't JSON-friendly - say it worked at least
+                this.socket.send(JSON.stringify({ type: 'result', id: message.id, command: message.command, result: null }));
+            }
+        }
+    }
+
+    loadUrl() {
+        try {
+            return localStorage.getItem(this.storageKey) || FeatureStream.DEFAULT_URL;
+        } catch (error) {
+            return FeatureStream.DEFAULT_URL;
+        }
+    }
+
+    saveUrl() {
+        try {
+            localStorage.setItem(this.storageKey, this.url);
+        } catch (error) {
+            console.warn('⚠️ Could not remember the stream address:', error);
+        }
+    }
+}
+
+FeatureStream.VERSION = 1;
+FeatureStream.DEFAULT_URL = 'ws://localhost:8765';
+FeatureStream.RECONNECT_DELAY = 2000;
+FeatureStream.MAX_BUFFERED = 1024 * 1024;
+FeatureStream.RAW_FIELDS = ['rawFrequencyData', 'rawTimeDomainData', 'channelWaveforms'];
+
+// Export for use in other modules
+window.FeatureStream = FeatureStream;
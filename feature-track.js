@@ -0,0 +1,109 @@
+// Pre-computed feature track for a recorded set
+// Time-indexed frames in the same shape as AudioProcessor's audioData, plus the beat grid
+// and section boundaries, so visuals can look ahead and behave the same on every run
+class FeatureTrack {
+    constructor(data) {
+        if (!data || !Array.isArray(data.frames) || data.frames.length === 0) {
+            throw new Error('This feature track has no frames.');
+        }
+        if (data.version !== FeatureTrack.VERSION) {
+            throw new Error(`Unsupported feature track version ${data.version} - analyse the set again.`);
+        }
+        if (data.source !== undefined && typeof data.source !== 'string') {
+            throw new Error('This feature track has an invalid source name.');
+        }
+
+        this.version = data.version;
+        this.source = data.source || '';
+        this.duration = data.duration || 0;
+        this.sampleRate = data.sampleRate || 0;
+        this.hopSize = data.hopSize || 0;
+        this.analyserConfig = data.analyserConfig || null;
+        this.createdAt = data.createdAt || new Date().toISOString();
+
+        // Frames and beats are in seconds from the start of the recording
+        this.frames = data.frames;
+        this.beats = data.beats || [];
+        this.sections = data.sections || [];
+    }
+
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not a feature track (invalid JSON).');
+        }
+        return new FeatureTrack(data);
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            source: this.source,
+            duration: this.duration,
+            sampleRate: this.sampleRate,
+            hopSize: this.hopSize,
+            analyserConfig: this.analyserConfig,
+            createdAt: this.createdAt,
+            beats: this.beats,
+            sections: this.sections,
+            frames: this.frames
+        };
+    }
+
+    // Index of the last item whose time is at or before the given time (-1 if none)
+    findIndex(items, time, getTime = item => item.time) {
+        let low = 0;
+        let high = items.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (getTime(items[middle]) <= time) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found;
+    }
+
+    // The frame playing at the given time (seconds)
+    getFrame(time) {
+        return this.frames[Math.max(0, this.findIndex(this.frames, time))];
+    }
+
+    // Frames after startTime, up to and including endTime
+    getFramesBetween(startTime, endTime) {
+        const start = this.findIndex(this.frames, startTime) + 1;
+        const end = this.findIndex(this.frames, endTime);
+        return end >= start ? this.frames.slice(start, end + 1) : [];
+    }
+
+    getUpcomingBeats(time, count = 8) {
+        const start = this.findIndex(this.beats, time, beat => beat) + 1;
+        return this.beats.slice(start, start + count);
+    }
+
+    getSection(time) {
+        const index = this.findIndex(this.sections, time, section => section.start);
+        return index >= 0 ? this.sections[index] : null;
+    }
+
+    getNextSection(time) {
+        return this.sections[this.findIndex(this.sections, time, section => section.start) + 1] || null;
+    }
+
+    // Roughly the same recording? (tracks are matched to files by length, not content)
+    matches(duration) {
+        return Math.abs(duration - this.duration) < 1;
+    }
+}
+
+FeatureTrack.VERSION = 1;
+
+// Export for use in other modules
+window.FeatureTrack = FeatureTrack;
@@ -0,0 +1,236 @@
+// Harmony analysis: 12-bin chroma, current chord and the tune's key/mode
+// Ceilidh bands play melody over accordion/guitar chords, so this looks at every
+// pitch class sounding at once rather than a single dominant note
+class HarmonyAnalyzer {
+    constructor(options = {}) {
+        this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+        // Frequency range folded into the chroma (bass fundamentals up to upper harmonics)
+        this.minFrequency = options.minFrequency || 100;
+        this.maxFrequency = options.maxFrequency || 5000;
+
+        // Smoothing (seconds): chords change every bar or two, keys every tune or set
+        this.chordTimeConstant = options.chordTimeConstant || 0.6;
+        this.keyHalfLife = options.keyHalfLife || 20;
+
+        // Below this average linear magnitude the room is treated as quiet
+        this.minEnergy = options.minEnergy || 0.0005;
+
+        // Chord templates: intervals above the root
+        this.chordQualities = {
+            major: { suffix: '', intervals: [0, 4, 7] },
+            minor: { suffix: 'm', intervals: [0, 3, 7] }
+        };
+
+        // Mode templates: scale intervals above the tonic. Major, Dorian and Mixolydian
+        // cover most trad tunes; Aeolian catches the minor ones
+        this.modes = {
+            major: [0, 2, 4, 5, 7, 9, 11],
+            dorian: [0, 2, 3, 5, 7, 9, 10],
+            mixolydian: [0, 2, 4, 5, 7, 9, 10],
+            minor: [0, 2, 3, 5, 7, 8, 10]
+        };
+
+        this.keyProfiles = this.createKeyProfiles();
+
+        this.reset();
+    }
+
+    reset() {
+        this.chroma = new Array(12).fill(0);
+        this.chordChroma = new Array(12).fill(0);
+        this.keyChroma = new Array(12).fill(0);
+        this.lastTime = 0;
+
+        this.chord = { name: '', root: '', quality: '', confidence: 0 };
+        this.key = { name: '', tonic: '', mode: '', confidence: 0 };
+    }
+
+    // Weighted profiles in the spirit of Krumhansl's key profiles: tonic strongest, then the
+    // fifth and third, then the rest of the scale, with out-of-scale notes weakest
+    createKeyProfiles() {
+        const profiles = {};
+
+        Object.entries(this.modes).forEach(([mode, intervals]) => {
+            const profile = new Array(12).fill(2.3);
+            intervals.forEach(interval => {
+                profile[interval] = 3.66;
+            });
+            profile[0] = 6.35;
+            profile[7] = 5.19;
+            profile[intervals[2]] = 4.38; // Major or minor third
+            profiles[mode] = profile;
+        });
+
+        return profiles;
+    }
+
+    // Feed one frame of float (dB) frequency data
+    process(time, frequencyData, binWidth) {
+        const deltaSeconds = this.lastTime > 0 ? Math.min(1, (time - this.lastTime) / 1000) : 0;
+        this.lastTime = time;
+
+        // Fold spectral peaks into 12 pitch classes. Each peak's true frequency is interpolated
+        // from its neighbours, so low notes (where a bin is close to a semitone wide) land on
+        // one pitch class instead of smearing across several
+        const C0 = 440 * Math.pow(2, -4.75);
+        const chroma = new Array(12).fill(0);
+        const startBin = Math.max(1, Math.floor(this.minFrequency / binWidth));
+        const endBin = Math.min(frequencyData.length - 2, Math.ceil(this.maxFrequency / binWidth));
+        let energy = 0;
+
+        for (let bin = startBin; bin <= endBin; bin++) {
+            const center = frequencyData[bin];
+            const left = frequencyData[bin - 1];
+            const right = frequencyData[bin + 1];
+            if (!isFinite(center)) continue;
+
+            energy += Math.pow(10, center / 20);
+
+            if (center <= left || center < right) continue;
+
+            let offset = 0;
+            const denominator = left - 2 * center + right;
+            if (isFinite(denominator) && denominator !== 0) {
+                offset = Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / denominator));
+            }
+
+            const frequency = (bin + offset) * binWidth;
+            const pitchClass = ((Math.round(12 * Math.log2(frequency / C0)) % 12) + 12) % 12;
+            chroma[pitchClass] += Math.pow(10, center / 20);
+        }
+
+        const averageEnergy = endBin >= startBin ? energy / (endBin - startBin + 1) : 0;
+        const peak = Math.max(...chroma);
+
+        if (averageEnergy < this.minEnergy || peak <= 0) {
+            this.chroma = new Array(12).fill(0);
+            this.chord = { name: '', root: '', quality: '', confidence: 0 };
+            return this.getState();
+        }
+
+        this.chroma = chroma.map(value => value / peak);
+
+        // Chord: short rolling average. Key: long, energy-weighted accumulation
+        const chordBlend = deltaSeconds > 0 ? 1 - Math.exp(-deltaSeconds / this.chordTimeConstant) : 1;
+        const keyDecay = Math.pow(0.5, deltaSeconds / this.keyHalfLife);
+
+        for (let i = 0; i < 12; i++) {
+            this.chordChroma[i] += (this.chroma[i] - this.chordChroma[i]) * chordBlend;
+            this.keyChroma[i] = this.keyChroma[i] * keyDecay + this.chroma[i] * deltaSeconds;
+        }
+
+        this.chord = this.estimateChord();
+        this.key = this.estimateKey();
+
+        return this.getState();
+    }
+
+    estimateChord() {
+        let best = null;
+        let bestScore = 0;
+        let secondScore = 0;
+
+        for (let root = 0; root < 12; root++) {
+            Object.entries(this.chordQualities).forEach(([quality, { intervals }]) => {
+                const template = new Array(12).fill(0);
+                intervals.forEach(interval => {
+                    template[(root + interval) % 12] = 1;
+                });
+
+                const score = this.cosineSimilarity(this.chordChroma, template);
+                if (score > bestScore) {
+                    secondScore = bestScore;
+                    bestScore = score;
+                    best = { root, quality };
+                } else if (score > secondScore) {
+                    secondScore = score;
+                }
+            });
+        }
+
+        if (!best) {
+            return { name: '', root: '', quality: '', confidence: 0 };
+        }
+
+        const root = this.noteNames[best.root];
+        return {
+            name: root + this.chordQualities[best.quality].suffix,
+            root: root,
+            quality: best.quality,
+            // Clear winner with a strong match = confident
+            confidence: Math.max(0, Math.min(1, bestScore * (bestScore - secondScore) * 10))
+        };
+    }
+
+    estimateKey() {
+        let best = null;
+        let bestScore = -1;
+        let secondScore = -1;
+
+        for (let tonic = 0; tonic < 12; tonic++) {
+            Object.entries(this.keyProfiles).forEach(([mode, profile]) => {
+                const rotated = this.keyChroma.map((_, i) => profile[(i - tonic + 12) % 12]);
+                const score = this.correlation(this.keyChroma, rotated);
+                if (score > bestScore) {
+                    secondScore = bestScore;
+                    bestScore = score;
+                    best = { tonic, mode };
+                } else if (score > secondScore) {
+                    secondScore = score;
+                }
+            });
+        }
+
+        if (!best || bestScore <= 0) {
+            return { name: '', tonic: '', mode: '', confidence: 0 };
+        }
+
+        const tonic = this.noteNames[best.tonic];
+        const modeName = best.mode.charAt(0).toUpperCase() + best.mode.slice(1);
+        return {
+            name: `${tonic} ${modeName}`,
+            tonic: tonic,
+            mode: best.mode,
+            confidence: Math.max(0, Math.min(1, bestScore * (bestScore - secondScore) * 10))
+        };
+    }
+
+    cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    // Pearson correlation
+    correlation(a, b) {
+        const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < a.length; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) * (a[i] - meanA);
+            varianceB += (b[i] - meanB) * (b[i] - meanB);
+        }
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+
+    getState() {
+        return {
+            chroma: this.chroma.slice(),
+            chord: { ...this.chord },
+            key: { ...this.key }
+        };
+    }
+}
+
+// Export for use in other modules
+window.HarmonyAnalyzer = HarmonyAnalyzer;
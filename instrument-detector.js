@@ -0,0 +1,209 @@
+// Instrument presence estimation for the usual ceilidh line-up
+// Each instrument gets a 0-1 likelihood from where its pitch sits, how bright and noisy
+// the spectrum is for that pitch, and how the notes start (struck, bowed or sustained).
+// These are heuristics tuned for a small acoustic band, not a trained classifier
+class InstrumentDetector {
+    constructor(instrumentRanges, options = {}) {
+        // Same ranges as AudioProcessor.instrumentRanges
+        this.instrumentRanges = instrumentRanges;
+
+        // How quickly the published likelihoods follow the music (seconds)
+        this.timeConstant = options.timeConstant || 0.5;
+
+        // History windows (ms)
+        this.onsetWindow = 2000;   // Onset rate per band
+        this.pitchWindow = 400;    // Vibrato (pitch wobble within one note)
+        this.droneWindow = 3000;   // Drones: a pitch class that never goes away
+        this.levelWindow = 2000;   // Level steadiness
+
+        this.reset();
+    }
+
+    reset() {
+        this.onsetTimes = { bass: [], mid: [], treble: [], high: [] };
+        this.pitchHistory = [];
+        this.chromaHistory = [];
+        this.levelHistory = [];
+        this.lastTime = 0;
+
+        this.likelihoods = {};
+        Object.keys(this.instrumentRanges).forEach(instrument => {
+            this.likelihoods[instrument] = 0;
+        });
+    }
+
+    // features: { volume, pitch: {frequency, confidence}, chroma, onsets, frequencyData, binWidth, bands }
+    process(time, features) {
+        const deltaSeconds = this.lastTime > 0 ? Math.min(1, (time - this.lastTime) / 1000) : 0;
+        this.lastTime = time;
+
+        this.updateHistory(time, features);
+
+        const targets = features.volume < 1 ? {} : this.estimate(time, features);
+
+        // Smooth towards the new estimates so layers fade in and out rather than flicker
+        const blend = deltaSeconds > 0 ? 1 - Math.exp(-deltaSeconds / this.timeConstant) : 1;
+        Object.keys(this.likelihoods).forEach(instrument => {
+            const target = targets[instrument] || 0;
+            this.likelihoods[instrument] += (target - this.likelihoods[instrument]) * blend;
+        });
+
+        return { ...this.likelihoods };
+    }
+
+    updateHistory(time, features) {
+        Object.keys(this.onsetTimes).forEach(band => {
+            if (features.onsets && features.onsets[band]) {
+                this.onsetTimes[band].push(time);
+            }
+            this.onsetTimes[band] = this.onsetTimes[band].filter(onsetTime => time - onsetTime <= this.onsetWindow);
+        });
+
+        const pitch = features.pitch || {};
+        if (pitch.frequency > 0 && pitch.confidence > 0.8) {
+            this.pitchHistory.push({ time, semitone: 12 * Math.log2(pitch.frequency / 440) });
+        }
+        this.pitchHistory = this.pitchHistory.filter(entry => time - entry.time <= this.pitchWindow);
+
+        if (features.chroma) {
+            this.chromaHistory.push({ time, chroma: features.chroma });
+        }
+        this.chromaHistory = this.chromaHistory.filter(entry => time - entry.time <= this.droneWindow);
+
+        this.levelHistory.push({ time, volume: features.volume || 0 });
+        this.levelHistory = this.levelHistory.filter(entry => time - entry.time <= this.levelWindow);
+    }
+
+    estimate(time, features) {
+        const pitch = features.pitch || { frequency: 0, confidence: 0 };
+        const hasPitch = pitch.frequency > 0 && pitch.confidence > 0.8;
+        const bands = features.bands || {};
+
+        // Spectral shape
+        const brightness = hasPitch ? this.calculateCentroid(features.frequencyData, features.binWidth) / pitch.frequency : 0;
+        const breathiness = this.calculateFlatness(features.frequencyData, features.binWidth, 2000, 8000);
+        const activePitchClasses = (features.chroma || []).filter(value => value > 0.5).length;
+
+        // Onset character (onsets per second)
+        const onsetRate = band => this.onsetTimes[band].length / (this.onsetWindow / 1000);
+        const bassShare = (bands.bass || 0) / Math.max(0.01, (bands.bass || 0) + (bands.mid || 0) + (bands.treble || 0));
+
+        // Derived scores
+        const inRange = instrument => {
+            const range = this.instrumentRanges[instrument];
+            return hasPitch && pitch.frequency >= range.min && pitch.frequency <= range.max ? 1 : 0;
+        };
+        const bright = this.clamp((brightness - 1.5) / 2.5);
+        const mellow = 1 - bright;
+        const vibrato = this.calculateVibrato();
+        const drone = this.calculateDrone();
+        const steadiness = this.calculateSteadiness();
+        const polyphony = this.clamp((activePitchClasses - 2) / 3);
+        const articulated = this.clamp(onsetRate('mid') / 4);
+
+        return {
+            // Rich bowed tone, often with vibrato and bow attacks
+            fiddle: inRange('fiddle') * bright * (0.6 + 0.4 * Math.max(vibrato, articulated)) * (1 - 0.5 * drone * steadiness),
+
+            // Several notes at once (chords plus melody), sustained and reedy
+            accordion: this.clamp(polyphony * (0.5 + 0.5 * bright) * (1 - 0.5 * articulated) + 0.2 * inRange('accordion') * polyphony),
+
+            // Nearly pure tone with breath noise on top
+            flute: inRange('flute') * mellow * (0.7 + 0.3 * breathiness) * (1 - polyphony),
+
+            // Low-end hits without a clear pitch
+            bodhran: this.clamp(onsetRate('bass') / 3) * (0.4 + 0.6 * bassShare) * (hasPitch && pitch.frequency < 200 ? 0.5 : 1),
+
+            // Chanter over drones that never stop, bright and at a constant level
+            pipes: this.clamp(bright * (inRange('pipes') * (0.5 * drone + 0.5 * steadiness) + 0.3 * drone * steadiness))
+        };
+    }
+
+    // Power-weighted spectral centroid in Hz from float (dB) frequency data
+    // (power rather than magnitude so the noise floor doesn't drag it upwards)
+    calculateCentroid(frequencyData, binWidth) {
+        if (!frequencyData) return 0;
+
+        let weighted = 0;
+        let total = 0;
+        const endBin = Math.min(frequencyData.length - 1, Math.floor(10000 / binWidth));
+
+        for (let bin = 1; bin <= endBin; bin++) {
+            const power = Math.pow(10, frequencyData[bin] / 10);
+            if (!isFinite(power)) continue;
+            weighted += power * bin * binWidth;
+            total += power;
+        }
+
+        return total > 0 ? weighted / total : 0;
+    }
+
+    // Spectral flatness (0 = pure tones, 1 = white noise) over a frequency range
+    calculateFlatness(frequencyData, binWidth, minFrequency, maxFrequency) {
+        if (!frequencyData) return 0;
+
+        const startBin = Math.max(1, Math.floor(minFrequency / binWidth));
+        const endBin = Math.min(frequencyData.length - 1, Math.floor(maxFrequency / binWidth));
+        let logSum = 0;
+        let sum = 0;
+        let count = 0;
+
+        for (let bin = startBin; bin <= endBin; bin++) {
+            const magnitude = Math.pow(10, frequencyData[bin] / 20);
+            if (!isFinite(magnitude) || magnitude <= 0) continue;
+            logSum += Math.log(magnitude);
+            sum += magnitude;
+            count++;
+        }
+
+        if (count === 0 || sum <= 0) return 0;
+        return this.clamp(Math.exp(logSum / count) / (sum / count));
+    }
+
+    // Pitch wobble of 5-40 cents within one held note
+    calculateVibrato() {
+        if (this.pitchHistory.length < 8) return 0;
+
+        const semitones = this.pitchHistory.map(entry => entry.semitone);
+        const mean = semitones.reduce((sum, value) => sum + value, 0) / semitones.length;
+
+        // A note change is not vibrato
+        if (semitones.some(value => Math.abs(value - mean) > 0.75)) return 0;
+
+        const variance = semitones.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / semitones.length;
+        const deviationCents = Math.sqrt(variance) * 100;
+        return deviationCents < 5 ? 0 : this.clamp(deviationCents / 20);
+    }
+
+    // Fraction of recent frames in which the most persistent pitch class was sounding
+    calculateDrone() {
+        if (this.chromaHistory.length < 10) return 0;
+
+        let best = 0;
+        for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+            const present = this.chromaHistory.filter(entry => entry.chroma[pitchClass] > 0.4).length;
+            best = Math.max(best, present / this.chromaHistory.length);
+        }
+
+        return this.clamp((best - 0.7) / 0.25);
+    }
+
+    // Pipes have no dynamics - a low coefficient of variation in level
+    calculateSteadiness() {
+        if (this.levelHistory.length < 10) return 0;
+
+        const levels = this.levelHistory.map(entry => entry.volume);
+        const mean = levels.reduce((sum, value) => sum + value, 0) / levels.length;
+        if (mean <= 0) return 0;
+
+        const variance = levels.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / levels.length;
+        return this.clamp(1 - (Math.sqrt(variance) / mean) / 0.3);
+    }
+
+    clamp(value) {
+        return Math.max(0, Math.min(1, value));
+    }
+}
+
+// Export for use in other modules
+window.InstrumentDetector = InstrumentDetector;
@@ -0,0 +1,195 @@
+// Noise-floor calibration and automatic gain control
+// Listens to room tone to learn the noise floor, then to a short sound check to learn the
+// playing level, so volume and band energies use the full 0-100 range in any venue.
+// The optional AGC keeps following the playing level as the room gets louder
+class LevelCalibrator {
+    constructor(options = {}) {
+        // Calibration phases (ms)
+        this.noiseDuration = options.noiseDuration || 3000;
+        this.soundcheckDuration = options.soundcheckDuration || 8000;
+
+        // AGC: fast enough to catch a louder set, slow enough not to pump within a tune
+        this.agcAttack = options.agcAttack || 3;     // seconds to follow a louder room
+        this.agcRelease = options.agcRelease || 120; // seconds to follow a quieter one
+
+        // Headroom between noise floor and playing level, so a tiny range can't blow up
+        this.minRange = 0.02;
+
+        this.autoGain = false;
+        this.calibration = null;
+
+        this.phase = 'idle'; // idle, noise, soundcheck
+        this.phaseStart = 0;
+        this.samples = null;
+        this.pending = null;
+        this.onPhaseChange = null;
+        this.lastTime = 0;
+    }
+
+    // Listen to room tone, then to the band. Resolves with the new calibration
+    start(onPhaseChange = null) {
+        this.cancel();
+
+        this.onPhaseChange = onPhaseChange;
+        this.setPhase('noise', 0);
+
+        return new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+        });
+    }
+
+    cancel() {
+        if (this.pending) {
+            this.pending.reject(new Error('Calibration cancelled.'));
+            this.pending = null;
+        }
+        this.phase = 'idle';
+        this.samples = null;
+    }
+
+    setPhase(phase, time) {
+        this.phase = phase;
+        this.phaseStart = time;
+        this.samples = { volume: [], bands: {} };
+
+        if (this.onPhaseChange) {
+            this.onPhaseChange(phase);
+        }
+    }
+
+    // Feed one frame of raw (0-1, unscaled) levels
+    process(time, rawVolume, rawBands) {
+        const deltaSeconds = this.lastTime > 0 ? Math.min(1, (time - this.lastTime) / 1000) : 0;
+        this.lastTime = time;
+
+        if (this.phase !== 'idle') {
+            this.collect(time, rawVolume, rawBands);
+        } else if (this.autoGain && this.calibration) {
+            this.adaptGain(deltaSeconds, rawVolume, rawBands);
+        }
+    }
+
+    collect(time, rawVolume, rawBands) {
+        // phaseStart is set on the first frame so the phase lasts its full duration
+        if (this.phaseStart === 0) {
+            this.phaseStart = time;
+        }
+
+        this.samples.volume.push(rawVolume);
+        Object.entries(rawBands).forEach(([band, value]) => {
+            (this.samples.bands[band] = this.samples.bands[band] || []).push(value);
+        });
+
+        if (this.phase === 'noise' && time - this.phaseStart >= this.noiseDuration) {
+            // Room tone: the typical level (not the odd cough or door)
+            this.noiseFloor = this.summarize(this.samples, 0.75);
+            this.setPhase('soundcheck', time);
+        } else if (this.phase === 'soundcheck' && time - this.phaseStart >= this.soundcheckDuration) {
+            // Playing level: near the top of what the band produced, ignoring the loudest spikes
+            const playingLevel = this.summarize(this.samples, 0.95);
+            this.finish(playingLevel);
+        }
+    }
+
+    finish(playingLevel) {
+        const pending = this.pending;
+        this.pending = null;
+        this.phase = 'idle';
+        this.samples = null;
+
+        if (playingLevel.volume < this.noiseFloor.volume * 1.5 + this.minRange) {
+            if (this.onPhaseChange) this.onPhaseChange('failed');
+            if (pending) pending.reject(new Error('The sound check was too quiet - play a tune during the sound check and try again.'));
+            return;
+        }
+
+        this.calibration = {
+            noiseFloor: this.noiseFloor,
+            playingLevel: playingLevel,
+            calibratedAt: new Date().toISOString()
+        };
+
+        console.log('🎚️ Calibration complete:', this.calibration);
+        if (this.onPhaseChange) this.onPhaseChange('done');
+        if (pending) pending.resolve(this.getCalibration());
+    }
+
+    summarize(samples, percentile) {
+        const summary = { volume: this.percentile(samples.volume, percentile), bands: {} };
+        Object.entries(samples.bands).forEach(([band, values]) => {
+            summary.bands[band] = this.percentile(values, percentile);
+        });
+        return summary;
+    }
+
+    percentile(values, fraction) {
+        if (values.length === 0) return 0;
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    }
+
+    // Peak follower on the playing level: quick to rise, slow to fall
+    adaptGain(deltaSeconds, rawVolume, rawBands) {
+        if (deltaSeconds <= 0) return;
+
+        const follow = (current, value, floor) => {
+            // Only music counts - room tone between tunes shouldn't pull the level down
+            if (value < floor + this.minRange) return current;
+            const timeConstant = value > current ? this.agcAttack : this.agcRelease;
+            return current + (value - current) * (1 - Math.exp(-deltaSeconds / timeConstant));
+        };
+
+        const { noiseFloor, playingLevel } = this.calibration;
+        playingLevel.volume = follow(playingLevel.volume, rawVolume, noiseFloor.volume);
+        Object.entries(rawBands).forEach(([band, value]) => {
+            if (playingLevel.bands[band] === undefined) return;
+            playingLevel.bands[band] = follow(playingLevel.bands[band], value, noiseFloor.bands[band] || 0);
+        });
+    }
+
+    // Map a raw 0-1 level onto 0-1 between the noise floor and the playing level.
+    // band is a band name, or omitted for the overall volume
+    normalize(value, band = null) {
+        if (!this.calibration) return value;
+
+        const { noiseFloor, playingLevel } = this.calibration;
+        const floor = band ? noiseFloor.bands[band] : noiseFloor.volume;
+        const level = band ? playingLevel.bands[band] : playingLevel.volume;
+
+        // Bands added after calibrating pass through unchanged
+        if (floor === undefined || level === undefined) return value;
+
+        const range = Math.max(this.minRange, level - floor);
+        return Math.max(0, Math.min(1, (value - floor) / range));
+    }
+
+    isCalibrating() {
+        return this.phase !== 'idle';
+    }
+
+    getProgress(time) {
+        if (this.phase === 'idle' || this.phaseStart === 0) return 0;
+        const duration = this.phase === 'noise' ? this.noiseDuration : this.soundcheckDuration;
+        return Math.min(1, (time - this.phaseStart) / duration);
+    }
+
+    setAutoGain(enabled) {
+        this.autoGain = !!enabled;
+    }
+
+    getCalibration() {
+        return this.calibration ? JSON.parse(JSON.stringify(this.calibration)) : null;
+    }
+
+    setCalibration(calibration) {
+        this.calibration = calibration ? JSON.parse(JSON.stringify(calibration)) : null;
+    }
+
+    clear() {
+        this.cancel();
+        this.calibration = null;
+    }
+}
+
+// Export for use in other modules
+window.LevelCalibrator = LevelCalibrator;
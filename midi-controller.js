@@ -0,0 +1,173 @@
+// Web MIDI input with MIDI-learn: knobs, faders, buttons and pads mapped to named targets
+// The app says what the targets are and what they do (see LiveMusicArtwork.handleMidiControl);
+// this only listens, learns and remembers. Mappings are keyed "cc:<channel>:<number>" or
+// "note:<channel>:<number>", one control per target
+class MidiController {
+    constructor(storageKey = 'liveMusicArtwork.midiMappings') {
+        this.storageKey = storageKey;
+        this.access = null;
+        this.mappings = this.load();    // Control key -> target id
+        this.lastValues = {};           // Control key -> last value, for button edges on CCs
+        this.learnTarget = null;
+
+        // onControl(target, message) for mapped controls; onLearned(target, key) after learning;
+        // onDevicesChange(inputNames) when a controller is plugged in or out
+        this.onControl = null;
+        this.onLearned = null;
+        this.onDevicesChange = null;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess;
+    }
+
+    async enable() {
+        if (this.access) return;
+        if (!MidiController.isSupported()) {
+            throw new Error('This browser has no Web MIDI - try Chrome or Edge.');
+        }
+
+        try {
+            this.access = await navigator.requestMIDIAccess();
+        } catch (error) {
+            throw new Error('MIDI access was refused. Allow MIDI for this page and try again.');
+        }
+
+        this.access.inputs.forEach(input => this.listen(input));
+        this.access.onstatechange = (event) => {
+            if (event.port.type !== 'input') return;
+            if (event.port.state === 'connected') {
+                this.listen(event.port);
+            }
+            if (this.onDevicesChange) this.onDevicesChange(this.getInputNames());
+        };
+
+        console.log('🎹 MIDI enabled:', this.getInputNames().join(', ') || 'no controllers yet');
+    }
+
+    listen(input) {
+        input.onmidimessage = (event) => this.handleMessage(event.data);
+    }
+
+    getInputNames() {
+        if (!this.access) return [];
+
+        const names = [];
+        this.access.inputs.forEach(input => {
+            if (input.state === 'connected') names.push(input.name);
+        });
+        return names;
+    }
+
+    // { type: 'cc'|'note'|'note-off', channel (1-16), number, value (0-1) } or null for
+    // anything else (clock, sysex, pitch bend...)
+    static parseMessage(data) {
+        if (!data || data.length < 3) return null;
+
+        const status = data[0] & 0xf0;
+        const channel = (data[0] & 0x0f) + 1;
+        const number = data[1];
+        const value = data[2] / 127;
+
+        switch (status) {
+            case 0xb0:
+                return { type: 'cc', channel, number, value };
+            case 0x90:
+                // Note-on with velocity 0 is a note-off
+                return { type: data[2] > 0 ? 'note' : 'note-off', channel, number, value };
+            case 0x80:
+                return { type: 'note-off', channel, number, value };
+            default:
+                return null;
+        }
+    }
+
+    static getKey(message) {
+        return `${message.type}:${message.channel}:${message.number}`;
+    }
+
+    handleMessage(data) {
+        const message = MidiController.parseMessage(data);
+        if (!message || message.type === 'note-off') return;
+
+        const key = MidiController.getKey(message);
+
+        // Buttons that send CCs (127 pressed, 0 released) fire on the way up
+        const previous = this.lastValues[key] || 0;
+        this.lastValues[key] = message.value;
+        message.pressed = message.type === 'note' || (message.value >= 0.5 && previous < 0.5);
+
+        if (this.learnTarget) {
+            this.map(key, this.learnTarget);
+            return;
+        }
+
+        const target = this.mappings[key];
+        if (target && this.onControl) {
+            this.onControl(target, message);
+        }
+    }
+
+    // The next control moved is mapped to target
+    learn(target) {
+        this.learnTarget = target;
+        console.log(`🎹 Move a knob or hit a pad for ${target}...`);
+    }
+
+    cancelLearn() {
+        this.learnTarget = null;
+    }
+
+    isLearning() {
+        return this.learnTarget !== null;
+    }
+
+    map(key, target) {
+        this.unmap(target);
+        this.mappings[key] = target;
+        this.learnTarget = null;
+        this.save();
+
+        console.log(`🎹 ${key} → ${target}`);
+        if (this.onLearned) this.onLearned(target, key);
+    }
+
+    unmap(target) {
+        Object.keys(this.mappings).forEach(key => {
+            if (this.mappings[key] === target) {
+                delete this.mappings[key];
+            }
+        });
+        this.save();
+    }
+
+    clear() {
+        this.mappings = {};
+        this.save();
+    }
+
+    getMappings() {
+        return { ...this.mappings };
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('⚠️ Ignoring stored MIDI mappings:', error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.mappings));
+        } catch (error) {
+            console.warn('⚠️ Could not remember MIDI mappings:', error);
+        }
+    }
+}
+
+// Export for use in other modules
+window.MidiController = MidiController;
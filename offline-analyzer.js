@@ -0,0 +1,276 @@
+// Offline analysis of a recorded set, faster than real time
+// Renders the recording through an OfflineAudioContext with the same analyser graph and
+// feature pipeline as live playback, pausing the render every hop to take a frame.
+// The decoded set is held in memory (see estimateMemory), so very long files need care
+class OfflineAnalyzer {
+    constructor(options = {}) {
+        // Samples between frames (~86 per second at 44.1 kHz, like the live worklet)
+        this.hopSize = options.hopSize || 512;
+
+        // Decoding rate - the whole set is held in memory at this rate
+        this.sampleRate = options.sampleRate || 44100;
+
+        // Frames kept a second - plenty for visuals, and a set's track stays a few MB
+        this.storeRate = options.storeRate || 30;
+
+        // Analyser settings to match the live show ({ fftSize, smoothing, bands })
+        this.analyserConfig = options.analyserConfig || null;
+
+        // Section detection
+        this.silenceLevel = 2;          // Volume (0-100) below which the band has stopped
+        this.minSilence = 1.5;          // Seconds of silence between tunes
+        this.minKeyHold = 6;            // Seconds a new key must hold before it counts
+        this.minSectionLength = 10;     // Seconds
+
+        this.cancelled = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // Analyse an audio File/Blob. onProgress gets 0-1 as the render advances
+    async analyzeFile(file, onProgress = null) {
+        const arrayBuffer = await file.arrayBuffer();
+
+        let audioBuffer;
+        try {
+            const decodeContext = new OfflineAudioContext(1, 1, this.sampleRate);
+            audioBuffer = await decodeContext.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            throw new Error(`Could not decode "${file.name}" - the browser may not support this format.`);
+        }
+
+        return this.analyzeBuffer(audioBuffer, file.name, onProgress);
+    }
+
+    async analyzeBuffer(audioBuffer, source = '', onProgress = null) {
+        this.cancelled = false;
+
+        const sampleRate = audioBuffer.sampleRate;
+        // Nothing listens to the rendered output, so one channel of it is enough
+        const context = new OfflineAudioContext(1, audioBuffer.length, sampleRate);
+        const bufferSource = context.createBufferSource();
+        bufferSource.buffer = audioBuffer;
+        bufferSource.connect(context.destination);
+
+        // A full AudioProcessor on the offline context, so every frame goes through exactly
+        // the live pipeline (no worklet offline - frames are taken between render quanta)
+        const processor = new AudioProcessor();
+        processor.audioContext = context;
+        if (this.analyserConfig) {
+            processor.applyAnalyserConfig(this.analyserConfig);
+        }
+        processor.connectAnalyser(bufferSource, audioBuffer.numberOfChannels);
+        processor.isActive = true;
+
+        // Every hop goes through the pipeline, but only storeRate frames a second are kept;
+        // beats and onsets from the frames in between are carried into the next kept one
+        const storeEvery = Math.max(1, Math.round(sampleRate / this.hopSize / this.storeRate));
+        const frames = [];
+        let frameTime = 0;
+        let skipped = 0;
+        let beatSince = false;
+        let onsetsSince = {};
+        processor.addCallback(audioData => {
+            beatSince = beatSince || audioData.beatDetected;
+            Object.entries(audioData.onsets || {}).forEach(([band, onset]) => {
+                onsetsSince[band] = onsetsSince[band] || onset;
+            });
+            if (++skipped < storeEvery) return;
+
+            const frame = this.createFrame(audioData, frameTime);
+            frame.beatDetected = beatSince;
+            frame.onsets = onsetsSince;
+            frames.push(frame);
+            skipped = 0;
+            beatSince = false;
+            onsetsSince = {};
+        });
+
+        const hopSeconds = this.hopSize / sampleRate;
+        const frameCount = Math.floor(audioBuffer.duration / hopSeconds);
+        let lastProgress = 0;
+
+        console.log('🧮 Analysing', source || 'recording', `(${audioBuffer.duration.toFixed(0)}s, ${frameCount} frames)`);
+
+        // Take one frame, then schedule the next suspend before letting the render continue
+        const scheduleFrame = (index) => {
+            if (index >= frameCount) return;
+
+            context.suspend(index * hopSeconds).then(() => {
+                if (!this.cancelled) {
+                    frameTime = index * hopSeconds;
+                    processor.analyzeAudio(frameTime * 1000);
+                    scheduleFrame(index + 1);
+
+                    const progress = index / frameCount;
+                    if (onProgress && progress - lastProgress >= 0.01) {
+                        lastProgress = progress;
+                        onProgress(progress);
+                    }
+                }
+                context.resume();
+            });
+        };
+
+        scheduleFrame(1);
+        bufferSource.start(0);
+        await context.startRendering();
+
+        if (this.cancelled) {
+            throw new Error('Analysis cancelled.');
+        }
+
+        if (onProgress) onProgress(1);
+
+        const track = new FeatureTrack({
+            version: FeatureTrack.VERSION,
+            source: source,
+            duration: audioBuffer.duration,
+            sampleRate: sampleRate,
+            hopSize: this.hopSize * storeEvery,
+            analyserConfig: processor.getAnalyserConfig(),
+            createdAt: new Date().toISOString(),
+            frames: frames,
+            beats: this.findBeats(frames),
+            sections: this.findSections(frames)
+        });
+
+        console.log('✅ Offline analysis complete:', track.frames.length, 'frames,', track.beats.length, 'beats,', track.sections.length, 'sections');
+        return track;
+    }
+
+    // The audioData fields worth keeping, in the same shape (raw spectra are left out - they
+    // would make a full set's track hundreds of megabytes). Values are rounded as far as the
+    // visuals can tell: 0-100 levels to 0.1, 0-1 values to 0.01
+    createFrame(audioData, time) {
+        const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+        const roundAll = (values, decimals = 2) => {
+            const rounded = Array.isArray(values) ? [] : {};
+            Object.entries(values || {}).forEach(([name, value]) => {
+                rounded[name] = round(value, decimals);
+            });
+            return rounded;
+        };
+
+        return {
+            time: round(time, 3),
+            volume: round(audioData.volume, 1),
+            dominantFrequency: round(audioData.dominantFrequency, 1),
+            dominantNote: audioData.dominantNote,
+            pitchConfidence: round(audioData.pitchConfidence),
+            pitchCents: audioData.pitchCents,
+            bassEnergy: round(audioData.bassEnergy, 1),
+            midEnergy: round(audioData.midEnergy, 1),
+            trebleEnergy: round(audioData.trebleEnergy, 1),
+            highEnergy: round(audioData.highEnergy, 1),
+            bandEnergies: roundAll(audioData.bandEnergies, 1),
+            beatDetected: audioData.beatDetected,
+            onsets: { ...audioData.onsets },
+            onsetStrength: roundAll(audioData.onsetStrength, 3),
+            bpm: round(audioData.bpm, 1),
+            tempoConfidence: round(audioData.tempoConfidence),
+            beatPhase: round(audioData.beatPhase),
+            chord: { ...audioData.chord, confidence: round(audioData.chord.confidence) },
+            key: { ...audioData.key, confidence: round(audioData.key.confidence) },
+            instruments: roundAll(audioData.instruments),
+            pan: round(audioData.pan),
+            bandPan: roundAll(audioData.bandPan),
+            stereoWidth: round(audioData.stereoWidth)
+        };
+    }
+
+    // Bytes held while analysing: the decoded recording (assumed stereo) and the rendered output
+    static estimateMemory(duration, sampleRate = 44100) {
+        return duration * sampleRate * 4 * (2 + 1);
+    }
+
+    // Beat grid: wherever the tracked beat phase wraps round
+    findBeats(frames) {
+        const beats = [];
+        for (let i = 1; i < frames.length; i++) {
+            if (frames[i].bpm > 0 && frames[i].beatPhase < frames[i - 1].beatPhase - 0.5) {
+                beats.push(frames[i].time);
+            }
+        }
+        return beats;
+    }
+
+    // Split the set into tunes: a new section starts after a silence or when the key changes
+    // and stays changed. The key estimate settles over ~10s, so key boundaries land a little late
+    findSections(frames) {
+        const boundaries = [0];
+        let silenceStart = null;
+        let keyCandidate = null;
+        let currentKey = '';
+
+        frames.forEach(frame => {
+            const lastBoundary = boundaries[boundaries.length - 1];
+
+            if (frame.volume < this.silenceLevel) {
+                if (silenceStart === null) silenceStart = frame.time;
+                return;
+            }
+
+            // Music again after a long enough gap
+            if (silenceStart !== null && frame.time - silenceStart >= this.minSilence && frame.time - lastBoundary >= this.minSectionLength) {
+                boundaries.push(frame.time);
+                currentKey = '';
+                keyCandidate = null;
+            }
+            silenceStart = null;
+
+            const key = frame.key.confidence > 0.2 ? frame.key.name : '';
+            if (!key) return;
+
+            if (!currentKey) {
+                currentKey = key;
+            } else if (key === currentKey) {
+                keyCandidate = null;
+            } else if (!keyCandidate || keyCandidate.key !== key) {
+                keyCandidate = { key, time: frame.time };
+            } else if (frame.time - keyCandidate.time >= this.minKeyHold && keyCandidate.time - boundaries[boundaries.length - 1] >= this.minSectionLength) {
+                boundaries.push(keyCandidate.time);
+                currentKey = key;
+                keyCandidate = null;
+            }
+        });
+
+        const duration = frames.length > 0 ? frames[frames.length - 1].time : 0;
+        return boundaries.map((start, index) => {
+            const end = index + 1 < boundaries.length ? boundaries[index + 1] : duration;
+            return this.describeSection(frames, start, end);
+        });
+    }
+
+    describeSection(frames, start, end) {
+        const sectionFrames = frames.filter(frame => frame.time >= start && frame.time < end);
+        const keyCounts = {};
+        let volumeSum = 0;
+        const tempos = [];
+
+        sectionFrames.forEach(frame => {
+            volumeSum += frame.volume;
+            if (frame.bpm > 0) tempos.push(frame.bpm);
+            if (frame.key.name) keyCounts[frame.key.name] = (keyCounts[frame.key.name] || 0) + 1;
+        });
+
+        tempos.sort((a, b) => a - b);
+        const key = Object.keys(keyCounts).sort((a, b) => keyCounts[b] - keyCounts[a])[0] || '';
+
+        return {
+            start: start,
+            end: end,
+            key: key,
+            bpm: tempos.length > 0 ? tempos[Math.floor(tempos.length / 2)] : 0,
+            volume: sectionFrames.length > 0 ? Math.round(volumeSum / sectionFrames.length * 10) / 10 : 0
+        };
+    }
+}
+
+// Recordings longer than this (seconds) are only analysed after a warning
+OfflineAnalyzer.LONG_SET_SECONDS = 45 * 60;
+
+// Export for use in other modules
+window.OfflineAnalyzer = OfflineAnalyzer;
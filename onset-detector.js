@@ -0,0 +1,154 @@
+// Spectral-flux onset detection per frequency band
+// Fires separate onset events for each band, so fiddle bow attacks and flute tonguing
+// register in the mid/treble bands even when the bodhrán is quiet
+class OnsetDetector {
+    constructor(frequencyRanges, options = {}) {
+        // Same bands as AudioProcessor.frequencyRanges (bass/mid/treble/high)
+        this.frequencyRanges = frequencyRanges;
+
+        // Adaptive threshold settings
+        this.settings = {
+            thresholdMultiplier: options.thresholdMultiplier || 1.5, // Standard deviations above the recent mean
+            minRatio: options.minRatio || 2,                         // ...and at least this many times the mean
+            minFlux: options.minFlux || 0.004,                       // Ignore flux from background noise
+            windowLength: options.windowLength || 750                // ms of flux history for the threshold
+        };
+
+        // Shortest gap between onsets in each band (ms) - low notes take longer to speak
+        this.minIntervals = {
+            bass: 100,
+            mid: 70,
+            treble: 50,
+            high: 50
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.previousSpectrum = null;
+        this.bands = {};
+
+        Object.keys(this.frequencyRanges).forEach(band => {
+            this.bands[band] = {
+                history: [],
+                wasAboveThreshold: false,
+                lastOnsetTime: 0,
+                threshold: this.settings.minFlux
+            };
+        });
+
+        this.flux = this.createBandMap(0);
+        this.onsets = this.createBandMap(false);
+        this.combinedFlux = 0;
+    }
+
+    createBandMap(value) {
+        const map = {};
+        Object.keys(this.frequencyRanges).forEach(band => {
+            map[band] = value;
+        });
+        return map;
+    }
+
+    // Feed one frame of byte frequency data. binWidth is the width of one FFT bin in Hz
+    process(time, spectrum, binWidth) {
+        this.onsets = this.createBandMap(false);
+
+        if (!this.previousSpectrum || this.previousSpectrum.length !== spectrum.length) {
+            this.previousSpectrum = new Uint8Array(spectrum);
+            this.flux = this.createBandMap(0);
+            this.combinedFlux = 0;
+            return this.onsets;
+        }
+
+        let totalRise = 0;
+        let totalBins = 0;
+
+        for (const [band, range] of Object.entries(this.frequencyRanges)) {
+            const startBin = Math.floor(range.min / binWidth);
+            const endBin = Math.min(Math.floor(range.max / binWidth), spectrum.length - 1);
+
+            // Half-wave rectified difference: only energy that appeared since the last frame
+            let rise = 0;
+            let count = 0;
+            for (let i = startBin; i <= endBin; i++) {
+                const difference = spectrum[i] - this.previousSpectrum[i];
+                if (difference > 0) {
+                    rise += difference;
+                }
+                count++;
+            }
+
+            totalRise += rise;
+            totalBins += count;
+
+            this.flux[band] = count > 0 ? rise / (count * 255) : 0;
+            this.onsets[band] = this.detectBandOnset(band, time, this.flux[band]);
+        }
+
+        this.combinedFlux = totalBins > 0 ? totalRise / (totalBins * 255) : 0;
+        this.previousSpectrum.set(spectrum);
+
+        return this.onsets;
+    }
+
+    detectBandOnset(band, time, flux) {
+        const state = this.bands[band];
+        const settings = this.settings;
+
+        state.history.push({ time, flux });
+        while (state.history.length > 0 && time - state.history[0].time > settings.windowLength) {
+            state.history.shift();
+        }
+
+        // Adaptive threshold from the recent flux in this band
+        let sum = 0;
+        let sumSquares = 0;
+        state.history.forEach(entry => {
+            sum += entry.flux;
+            sumSquares += entry.flux * entry.flux;
+        });
+        const count = state.history.length;
+        const mean = sum / count;
+        const deviation = Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+
+        // The ratio test keeps steady noise (small mean, smaller deviation) from firing
+        state.threshold = Math.max(
+            settings.minFlux,
+            mean + settings.thresholdMultiplier * deviation,
+            mean * settings.minRatio
+        );
+
+        // Only fire when crossing the threshold, not on every frame above it
+        const isAbove = flux > state.threshold;
+        const minInterval = this.minIntervals[band] || 50;
+        const isOnset = isAbove && !state.wasAboveThreshold && time - state.lastOnsetTime > minInterval;
+
+        state.wasAboveThreshold = isAbove;
+        if (isOnset) {
+            state.lastOnsetTime = time;
+        }
+
+        return isOnset;
+    }
+
+    getFlux() {
+        return { ...this.flux };
+    }
+
+    getThresholds() {
+        const thresholds = {};
+        Object.entries(this.bands).forEach(([band, state]) => {
+            thresholds[band] = state.threshold;
+        });
+        return thresholds;
+    }
+
+    updateSettings(newSettings) {
+        Object.assign(this.settings, newSettings);
+    }
+}
+
+// Export for use in other modules - globalThis so the analysis worklet can load it too
+globalThis.OnsetDetector = OnsetDetector;
@@ -0,0 +1,103 @@
+// Time-domain pitch detection using the YIN algorithm
+// The FFT peak is ~43 Hz wide at fftSize 1024 and often lands on a harmonic, so the
+// fundamental is found from the waveform itself (de Cheveigné & Kawahara, 2002)
+class PitchDetector {
+    constructor(options = {}) {
+        // Fiddle open G (196 Hz) down to low whistle/bouzouki, up past the top of the flute
+        this.minFrequency = options.minFrequency || 80;
+        this.maxFrequency = options.maxFrequency || 4000;
+
+        // YIN dip threshold - lower is stricter (fewer octave errors, more "no pitch")
+        this.threshold = options.threshold || 0.15;
+
+        // Below this RMS level the buffer is treated as silence
+        this.minRms = options.minRms || 0.01;
+
+        // Only the latest samples are searched: YIN's cost grows with the buffer, and 2048
+        // is already plenty for minFrequency (large FFT sizes would stall the audio thread)
+        this.maxBufferLength = options.maxBufferLength || 2048;
+
+        this.yinBuffer = null;
+    }
+
+    // Returns { frequency, confidence } - frequency is 0 when no clear pitch was found
+    detect(buffer, sampleRate) {
+        const noPitch = { frequency: 0, confidence: 0 };
+
+        if (!buffer || buffer.length < 2) return noPitch;
+        if (buffer.length > this.maxBufferLength) {
+            buffer = buffer.subarray(buffer.length - this.maxBufferLength);
+        }
+
+        // Skip silence - YIN happily finds "pitch" in low-level noise
+        let sumSquares = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            sumSquares += buffer[i] * buffer[i];
+        }
+        if (Math.sqrt(sumSquares / buffer.length) < this.minRms) return noPitch;
+
+        // Half the buffer is compared against lagged copies of itself, so the lowest
+        // detectable pitch is sampleRate / (buffer.length / 2) (~94 Hz at 1024 / 48 kHz)
+        const windowSize = Math.floor(buffer.length / 2);
+        const minLag = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+        const maxLag = Math.min(windowSize - 1, Math.ceil(sampleRate / this.minFrequency));
+        if (minLag >= maxLag) return noPitch;
+
+        if (!this.yinBuffer || this.yinBuffer.length !== maxLag + 1) {
+            this.yinBuffer = new Float32Array(maxLag + 1);
+        }
+        const yin = this.yinBuffer;
+
+        // Difference function
+        yin[0] = 1;
+        for (let lag = 1; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = buffer[i] - buffer[i + lag];
+                sum += delta * delta;
+            }
+            yin[lag] = sum;
+        }
+
+        // Cumulative mean normalized difference
+        let runningSum = 0;
+        for (let lag = 1; lag <= maxLag; lag++) {
+            runningSum += yin[lag];
+            yin[lag] = runningSum > 0 ? yin[lag] * lag / runningSum : 1;
+        }
+
+        // First dip below the threshold, followed down to its local minimum
+        let bestLag = -1;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (yin[lag] < this.threshold) {
+                while (lag + 1 <= maxLag && yin[lag + 1] < yin[lag]) {
+                    lag++;
+                }
+                bestLag = lag;
+                break;
+            }
+        }
+
+        if (bestLag < 0) return noPitch;
+
+        // Parabolic interpolation for sub-sample lag accuracy
+        let refinedLag = bestLag;
+        if (bestLag > minLag && bestLag < maxLag) {
+            const left = yin[bestLag - 1];
+            const center = yin[bestLag];
+            const right = yin[bestLag + 1];
+            const denominator = left - 2 * center + right;
+            if (denominator !== 0) {
+                refinedLag += 0.5 * (left - right) / denominator;
+            }
+        }
+
+        return {
+            frequency: sampleRate / refinedLag,
+            confidence: Math.max(0, Math.min(1, 1 - yin[bestLag]))
+        };
+    }
+}
+
+// Export for use in other modules (globalThis, as this file also runs in the analysis worklet)
+globalThis.PitchDetector = PitchDetector;
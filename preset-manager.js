@@ -0,0 +1,185 @@
+// Named presets of the whole look: sensitivity, mode, colours, transition, analyser settings,
+// tempo range, Audio Test options and every visualization's own settings
+// Presets live in localStorage and travel as JSON files or inside a link's #preset= fragment.
+// Every field of a preset's state is optional, so older presets and hand-made links still load
+class PresetManager {
+    constructor(storageKey = 'liveMusicArtwork.presets') {
+        this.storageKey = storageKey;
+        this.presets = this.load();
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('⚠️ Ignoring stored presets:', error);
+            return {};
+        }
+    }
+
+    store() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+        } catch (error) {
+            console.warn('⚠️ Could not remember presets:', error);
+        }
+    }
+
+    getNames() {
+        return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+    }
+
+    get(name) {
+        return this.presets[name] || null;
+    }
+
+    save(name, state) {
+        const preset = PresetManager.createPreset(name, state);
+        this.presets[preset.name] = preset;
+        this.store();
+        return preset;
+    }
+
+    remove(name) {
+        delete this.presets[name];
+        this.store();
+    }
+
+    static createPreset(name, state) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('A preset needs a name.');
+        }
+
+        return {
+            version: PresetManager.VERSION,
+            name: name.trim(),
+            savedAt: new Date().toISOString(),
+            state: PresetManager.validateState(state)
+        };
+    }
+
+    // Check everything before any of it is applied, so a bad preset never half-loads.
+    // Returns a copy with the analyser config completed; settings for modes that
+    // aren't loaded here are dropped
+    static validateState(state) {
+        if (!state || typeof state !== 'object') {
+            throw new Error('This preset has no settings.');
+        }
+
+        const checked = {};
+
+        if (state.sensitivity !== undefined) {
+            if (!(state.sensitivity >= 1 && state.sensitivity <= 10)) {
+                throw new Error('Preset sensitivity must be between 1 and 10.');
+            }
+            checked.sensitivity = Math.round(state.sensitivity);
+        }
+        if (state.mode !== undefined) {
+            if (!VisualizationEngine.getModeInfo(state.mode)) {
+                throw new Error(`This preset uses the "${state.mode}" visualization, which isn't available here.`);
+            }
+            checked.mode = state.mode;
+        }
+        if (state.colorScheme !== undefined) {
+            if (!VisualizationEngine.COLOR_SCHEMES[state.colorScheme]) {
+                throw new Error(`Unknown color scheme "${state.colorScheme}" in the preset.`);
+            }
+            checked.colorScheme = state.colorScheme;
+        }
+        if (state.transition !== undefined) {
+            const transition = state.transition || {};
+            if (!VisualizationEngine.TRANSITIONS[transition.style] || !(transition.duration > 0 && transition.duration <= 10)) {
+                throw new Error('The preset has an invalid transition.');
+            }
+            checked.transition = { style: transition.style, duration: transition.duration };
+        }
+        if (state.analyserConfig !== undefined) {
+            // Bands are replaced, not added to the current ones
+            const defaults = AudioProcessor.getDefaultAnalyserConfig();
+            checked.analyserConfig = AudioProcessor.mergeAnalyserConfig({ ...defaults, bands: {} }, state.analyserConfig);
+            if (Object.keys(checked.analyserConfig.bands).length === 0) {
+                checked.analyserConfig.bands = defaults.bands;
+            }
+        }
+        if (state.tempoRange !== undefined) {
+            if (!state.tempoRange || typeof state.tempoRange !== 'object') {
+                throw new Error('The preset has an invalid tempo range.');
+            }
+            checked.tempoRange = AudioProcessor.mergeTempoRange({}, state.tempoRange);
+        }
+        if (state.historyWindow !== undefined) {
+            if (!(state.historyWindow >= 1 && state.historyWindow <= 60)) {
+                throw new Error('Preset history window must be 1-60 seconds.');
+            }
+            checked.historyWindow = state.historyWindow;
+        }
+        if (state.diagnosticPanel !== undefined) {
+            if (!DiagnosticPanels.PANELS[state.diagnosticPanel]) {
+                throw new Error(`Unknown Audio Test panel "${state.diagnosticPanel}" in the preset.`);
+            }
+            checked.diagnosticPanel = state.diagnosticPanel;
+        }
+        if (state.visualizations !== undefined) {
+            checked.visualizations = {};
+            Object.entries(state.visualizations || {}).forEach(([mode, settings]) => {
+                if (!VisualizationEngine.getModeInfo(mode)) {
+                    console.warn(`⚠️ Skipping preset settings for the unavailable "${mode}" visualization`);
+                    return;
+                }
+                checked.visualizations[mode] = VisualizationEngine.checkSettings(mode, settings);
+            });
+        }
+
+        return checked;
+    }
+
+    // Preset from a parsed file or link - the same checks as saving one
+    static fromData(data) {
+        if (!data || data.version !== PresetManager.VERSION || !data.state) {
+            throw new Error('This is not a Live Music Artwork preset.');
+        }
+        return PresetManager.createPreset(data.name || 'Imported preset', data.state);
+    }
+
+    static exportPreset(preset) {
+        return new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+    }
+
+    static async importPreset(blob) {
+        let data;
+        try {
+            data = JSON.parse(await blob.text());
+        } catch (error) {
+            throw new Error('This file is not a preset.');
+        }
+        return PresetManager.fromData(data);
+    }
+
+    // "preset=<base64url JSON>" for the part of a link after the #
+    static toFragment(preset) {
+        const bytes = new TextEncoder().encode(JSON.stringify(preset));
+        const encoded = SessionRecorder.toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `preset=${encoded}`;
+    }
+
+    // The preset in a location.hash, or null if there isn't one
+    static fromFragment(hash) {
+        const match = /(?:^#?|&)preset=([A-Za-z0-9_-]+)/.exec(hash || '');
+        if (!match) return null;
+
+        let data;
+        try {
+            const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+            data = JSON.parse(new TextDecoder().decode(SessionRecorder.fromBase64(base64)));
+        } catch (error) {
+            throw new Error('The preset in this link is damaged.');
+        }
+        return PresetManager.fromData(data);
+    }
+}
+
+PresetManager.VERSION = 1;
+
+// Export for use in other modules
+window.PresetManager = PresetManager;
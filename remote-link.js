@@ -0,0 +1,198 @@
+// Links the running display to phones through the local remote server (server/remote-server.js)
+// The server hands out a session code for phones to pair with; their buttons arrive here as
+// commands, and the display's state (running, mode, scene, sensitivity...) goes back to them.
+// The code is remembered with the secret token needed to reclaim it, so phones stay paired
+// when the display reconnects or is reloaded
+class RemoteLink {
+    // getState() returns what the phone shows: { running, mode, modes, sensitivity, ... }
+    constructor(getState, storageKey = 'liveMusicArtwork.remoteSession') {
+        this.getState = getState;
+        this.storageKey = storageKey;
+        this.url = RemoteLink.getDefaultUrl();
+        const stored = this.loadSession();
+        this.code = stored.code;
+        this.token = stored.token;      // Proves to the server this display owns the code
+        this.links = [];                // Addresses phones can open, with the code in them
+        this.socket = null;
+        this.enabled = false;
+        this.reconnectTimer = null;
+        this.syncTimer = null;
+        this.lastState = null;      // JSON of the state last sent, so only changes go out
+        this.remoteCount = 0;
+
+        // onCommand(command, args) returns the result (or a promise of it); onStatusChange()
+        // when the connection, code or number of phones changes
+        this.onCommand = null;
+        this.onStatusChange = null;
+    }
+
+    // The remote server also serves the app, so use its address when the page came from it
+    static getDefaultUrl() {
+        const host = typeof location !== 'undefined' && location.hostname ? location.hostname : 'localhost';
+        return `ws://${host}:${RemoteLink.PORT}`;
+    }
+
+    connect(url = this.url) {
+        if (!/^wss?:\/\//.test(url || '')) {
+            throw new Error('The remote server address must start with ws:// or wss://');
+        }
+
+        this.disconnect();
+        this.url = url;
+        this.enabled = true;
+        this.open();
+
+        // Changes made from the console or MIDI don't announce themselves
+        this.syncTimer = setInterval(() => this.syncState(), 1000);
+    }
+
+    open() {
+        this.reconnectTimer = null;
+
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.warn('⚠️ Could not reach the remote server:', error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.socket.onopen = () => {
+            this.lastState = null;
+            this.send({ type: 'display', code: this.code, token: this.token });
+        };
+        this.socket.onmessage = (event) => this.handleMessage(event.data);
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.remoteCount = 0;
+            if (this.onStatusChange) this.onStatusChange();
+            this.scheduleReconnect();
+        };
+        this.socket.onerror = () => {};
+    }
+
+    scheduleReconnect() {
+        if (!this.enabled || this.reconnectTimer) return;
+        this.reconnectTimer = setTimeout(() => this.open(), RemoteLink.RECONNECT_DELAY);
+    }
+
+    disconnect() {
+        this.enabled = false;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.syncTimer);
+        this.reconnectTimer = null;
+        this.syncTimer = null;
+        this.remoteCount = 0;
+
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+            if (this.onStatusChange) this.onStatusChange();
+        }
+    }
+
+    isConnected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    async handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.warn('⚠️ Ignoring a remote message that is not JSON');
+            return;
+        }
+
+        switch (message.type) {
+            case 'session':
+                this.code = message.code;
+                this.token = message.token;
+                this.links = message.links || [];
+                this.saveSession();
+                console.log(`📱 Phone remote ready - code ${RemoteLink.formatCode(this.code)}`);
+                this.links.forEach(link => console.log(`📱 Or open on the phone: ${link}`));
+                this.syncState();
+                if (this.onStatusChange) this.onStatusChange();
+                break;
+            case 'remotes':
+                this.remoteCount = message.count;
+                if (this.onStatusChange) this.onStatusChange();
+                break;
+            case 'command':
+                await this.runCommand(message);
+                break;
+        }
+    }
+
+    async runCommand(message) {
+        const reply = { type: 'result', id: message.id, command: message.command };
+        try {
+            if (!this.onCommand) {
+                throw new Error('Commands are not accepted');
+            }
+            const args = Array.isArray(message.args) ? message.args : [];
+            const result = await this.onCommand(message.command, args);
+            reply.result = result === undefined ? null : result;
+        } catch (error) {
+            reply.error = error.message;
+        }
+
+        try {
+            this.send(reply);
+        } catch (error) {
+            // The result isn't JSON-friendly - say it worked at least
+            this.send({ type: 'result', id: message.id, command: message.command, result: null });
+        }
+
+        // Show the phone what the command did straight away
+        this.syncState();
+    }
+
+    // Send the state if it changed since last time
+    syncState() {
+        if (!this.isConnected() || !this.code) return;
+
+        const state = this.getState();
+        const json = JSON.stringify(state);
+        if (json === this.lastState) return;
+
+        this.lastState = json;
+        this.send({ type: 'state', state });
+    }
+
+    send(message) {
+        if (this.isConnected()) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    // The code as shown to people: ABCD-EFGH
+    static formatCode(code) {
+        return code ? code.replace(/^(.{4})(.+)$/, '$1-$2') : '';
+    }
+
+    loadSession() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored && stored.code && stored.token ? stored : { code: null, token: null };
+        } catch (error) {
+            return { code: null, token: null };
+        }
+    }
+
+    saveSession() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ code: this.code, token: this.token }));
+        } catch (error) {
+            console.warn('⚠️ Could not remember the remote session:', error);
+        }
+    }
+}
+
+RemoteLink.PORT = 8090;
+RemoteLink.RECONNECT_DELAY = 2000;
+
+// Export for use in other modules
+window.RemoteLink = RemoteLink;
@@ -0,0 +1,257 @@
+// The phone remote: big buttons that send commands to the paired display through the remote
+// server (server/remote-server.js), showing the display's state as it changes. The code is
+// remembered, so the phone pairs again by itself after the screen locks or the page reloads
+class RemoteControl {
+    constructor() {
+        this.socket = null;
+        this.code = this.loadCode();
+        this.state = null;
+        this.paired = false;
+        this.displayConnected = false;
+        this.nextId = 1;
+        this.reconnectTimer = null;
+
+        this.setupElements();
+        this.setupEventListeners();
+
+        // A link from the display carries the code: /remote#ABCDEFGH
+        const linkedCode = RemoteControl.normalizeCode(location.hash.slice(1));
+        if (linkedCode) {
+            this.code = linkedCode;
+            history.replaceState(null, '', location.pathname);
+        }
+
+        if (this.code) {
+            this.pairCodeInput.value = RemoteControl.formatCode(this.code);
+            this.connect();
+        }
+    }
+
+    setupElements() {
+        this.statusDisplay = document.getElementById('remoteStatus');
+        this.pairForm = document.getElementById('pairForm');
+        this.pairCodeInput = document.getElementById('pairCode');
+        this.controls = document.getElementById('remoteControls');
+        this.startBtn = document.getElementById('remoteStartBtn');
+        this.modeSelect = document.getElementById('remoteMode');
+        this.nextVisualBtn = document.getElementById('remoteNextVisualBtn');
+        this.prevSceneBtn = document.getElementById('remotePrevSceneBtn');
+        this.nextSceneBtn = document.getElementById('remoteNextSceneBtn');
+        this.sceneDisplay = document.getElementById('remoteScene');
+        this.sensitivitySlider = document.getElementById('remoteSensitivity');
+        this.sensitivityValue = document.getElementById('remoteSensitivityValue');
+        this.debugBtn = document.getElementById('remoteDebugBtn');
+        this.popBtn = document.getElementById('remotePopBtn');
+        this.unpairBtn = document.getElementById('remoteUnpairBtn');
+    }
+
+    setupEventListeners() {
+        this.pairForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.pair(this.pairCodeInput.value.trim());
+        });
+
+        this.startBtn.addEventListener('click', () => {
+            this.sendCommand(this.state && this.state.running ? 'stop' : 'start');
+        });
+        this.modeSelect.addEventListener('change', (e) => this.sendCommand('setVisualizationMode', [e.target.value]));
+        this.nextVisualBtn.addEventListener('click', () => this.sendCommand('nextVisualization'));
+        this.prevSceneBtn.addEventListener('click', () => this.sendCommand('previousScene'));
+        this.nextSceneBtn.addEventListener('click', () => this.sendCommand('nextScene'));
+
+        this.sensitivitySlider.addEventListener('input', (e) => {
+            this.sensitivityValue.textContent = e.target.value;
+        });
+        this.sensitivitySlider.addEventListener('change', (e) => {
+            this.sendCommand('setSensitivity', [parseInt(e.target.value)]);
+        });
+
+        this.debugBtn.addEventListener('click', () => {
+            this.sendCommand('toggleDebugInfo', [!(this.state && this.state.debugInfo)]);
+        });
+        this.popBtn.addEventListener('click', () => this.sendCommand('popAllBalloons'));
+        this.unpairBtn.addEventListener('click', () => this.unpair());
+
+        // Phones drop the connection when the screen locks
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.code && !this.isConnected()) {
+                this.connect();
+            }
+        });
+    }
+
+    pair(code) {
+        code = RemoteControl.normalizeCode(code);
+        if (code.length !== RemoteControl.CODE_LENGTH) {
+            this.setStatus(`The code is the ${RemoteControl.CODE_LENGTH} letters and numbers shown next to Phone Remote`);
+            return;
+        }
+
+        this.code = code;
+        this.connect();
+    }
+
+    // Typed with or without the dash, in either case
+    static normalizeCode(code) {
+        return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    static formatCode(code) {
+        return code ? code.replace(/^(.{4})(.+)$/, '$1-$2') : '';
+    }
+
+    unpair() {
+        this.code = null;
+        this.saveCode();
+        this.paired = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        this.update();
+    }
+
+    connect() {
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+        }
+
+        this.setStatus('Connecting...');
+        this.socket = new WebSocket(`${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`);
+        this.socket.onopen = () => this.send({ type: 'join', code: this.code });
+        this.socket.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.paired = false;
+            this.update();
+            if (this.code) {
+                this.setStatus('Lost the connection - retrying...');
+                this.reconnectTimer = setTimeout(() => this.connect(), 2000);
+            }
+        };
+    }
+
+    isConnected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.paired = true;
+                this.displayConnected = message.connected;
+                this.state = message.state;
+                this.saveCode();
+                this.update();
+                break;
+            case 'display':
+                this.displayConnected = message.connected;
+                this.update();
+                break;
+            case 'state':
+                this.state = message.state;
+                this.update();
+                break;
+            case 'result':
+                if (message.error) {
+                    this.setStatus(`⚠️ ${message.error}`);
+                }
+                break;
+            case 'error':
+                // A wrong code: don't keep retrying it
+                this.code = null;
+                this.saveCode();
+                this.setStatus(message.message);
+                break;
+        }
+    }
+
+    sendCommand(command, args = []) {
+        if (!this.paired) return;
+
+        this.send({ type: 'command', id: this.nextId++, command, args });
+
+        // A little buzz so the fiddler knows it went without looking
+        if (navigator.vibrate) navigator.vibrate(30);
+    }
+
+    send(message) {
+        if (this.isConnected()) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    update() {
+        this.pairForm.hidden = this.paired;
+        this.controls.hidden = !this.paired;
+        if (!this.paired) return;
+
+        if (!this.displayConnected) {
+            this.setStatus(`Session ${RemoteControl.formatCode(this.code)} - waiting for the display...`);
+        } else {
+            this.setStatus(`Session ${RemoteControl.formatCode(this.code)} - ${this.state && this.state.running ? 'running' : 'stopped'}`);
+        }
+
+        const state = this.state;
+        if (!state) return;
+
+        this.startBtn.textContent = state.running ? 'Stop' : 'Start';
+        this.startBtn.classList.toggle('remote-stop', state.running);
+
+        // Rebuild the mode list only when it changes, so an open picker isn't disturbed
+        const modeIds = state.modes.map(mode => mode.id).join(',');
+        if (this.modeSelect.dataset.modes !== modeIds) {
+            this.modeSelect.innerHTML = '';
+            state.modes.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode.id;
+                option.textContent = mode.name;
+                this.modeSelect.appendChild(option);
+            });
+            this.modeSelect.dataset.modes = modeIds;
+        }
+        this.modeSelect.value = state.mode;
+
+        this.sceneDisplay.textContent = state.scene ? `Scene: ${state.scene}` : `No scene (${state.sceneCount} in the setlist)`;
+        if (document.activeElement !== this.sensitivitySlider) {
+            this.sensitivitySlider.value = state.sensitivity;
+            this.sensitivityValue.textContent = state.sensitivity;
+        }
+        this.debugBtn.textContent = state.debugInfo ? 'Hide Debug Info' : 'Show Debug Info';
+    }
+
+    setStatus(text) {
+        this.statusDisplay.textContent = text;
+    }
+
+    loadCode() {
+        try {
+            return localStorage.getItem(RemoteControl.STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveCode() {
+        try {
+            if (this.code) {
+                localStorage.setItem(RemoteControl.STORAGE_KEY, this.code);
+            } else {
+                localStorage.removeItem(RemoteControl.STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not remember the session code:', error);
+        }
+    }
+}
+
+RemoteControl.STORAGE_KEY = 'liveMusicArtwork.remotePairCode';
+RemoteControl.CODE_LENGTH = 8;
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.remoteControl = new RemoteControl();
+});
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// Local relay between Live Music Artwork and OSC software (lighting desks, TouchDesigner...)
+//
+//   node server/osc-relay.js [--port 8765] [--osc-host 127.0.0.1] [--osc-port 9000] [--listen 9001]
+//                            [--listen-host 127.0.0.1] [--allow-origin https://example.github.io]
+//
+// The app connects to ws://localhost:<port> (Feature Stream in the controls) and sends every
+// audioData frame; the relay turns each frame into one OSC bundle, with an address per value:
+//   /lma/volume 42.5   /lma/beatDetected 1   /lma/bandEnergies/bass 61.2   /lma/chroma f f f ...
+// Other WebSocket clients receive the JSON frames as they are, and can send commands:
+//   { "type": "command", "id": 1, "command": "setSensitivity", "args": [7] }
+// OSC sent to the --listen port becomes a command too: /lma/setVisualizationMode "balloon-float"
+// Long arrays are split into numbered addresses: /lma/rawTimeDomainData/0, /1, ...
+// Browser pages may only connect from localhost (or an --allow-origin), so a website open in
+// another tab can't drive the app; programs that send no Origin (TouchDesigner...) always can
+// Only Node's own modules are used - nothing to install
+const http = require('http');
+const dgram = require('dgram');
+const { attachWebSocketServer } = require('./websocket');
+const { encodeMessage, encodeBundle, decodeMessage } = require('./osc');
+
+const OPTIONS = {
+    port: 8765,
+    'osc-host': '127.0.0.1',
+    'osc-port': 9000,
+    listen: 9001,           // 0 = don't accept OSC commands
+    'listen-host': '127.0.0.1',     // 0.0.0.0 to take OSC commands from other machines
+    'allow-origin': '',     // Comma-separated pages allowed besides localhost, e.g. the GitHub Pages site
+    prefix: '/lma'
+};
+
+// Bundles are split so each packet stays under the UDP limit (raw arrays are big)
+const MAX_PACKET_SIZE = 60000;
+// Longer number arrays go out as numbered chunks of this many values
+const MAX_ARRAY_LENGTH = 1024;
+
+function parseArguments(argv) {
+    const options = { ...OPTIONS };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in OPTIONS) || argv[i + 1] === undefined) {
+            console.error(`Unknown option ${argv[i]}. Options: ${Object.keys(OPTIONS).map(key => `--${key}`).join(' ')}`);
+            process.exit(1);
+        }
+        options[name] = typeof OPTIONS[name] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+    }
+    return options;
+}
+
+// One OSC message per value: numbers as floats, booleans as 0/1 ints, strings as strings,
+// number arrays as one message of floats (or numbered chunks of MAX_ARRAY_LENGTH when longer);
+// objects and other arrays become deeper addresses
+function toOscMessages(value, address, messages = []) {
+    if (value === null || value === undefined) return messages;
+
+    if (typeof value === 'number') {
+        if (isFinite(value)) messages.push(encodeMessage(address, [value]));
+    } else if (typeof value === 'boolean') {
+        messages.push(encodeMessage(address, [{ type: 'i', value: value ? 1 : 0 }]));
+    } else if (typeof value === 'string') {
+        messages.push(encodeMessage(address, [value]));
+    } else if (Array.isArray(value) && value.every(item => typeof item === 'number')) {
+        if (value.length > MAX_ARRAY_LENGTH) {
+            for (let start = 0; start < value.length; start += MAX_ARRAY_LENGTH) {
+                messages.push(encodeMessage(`${address}/${start / MAX_ARRAY_LENGTH}`, value.slice(start, start + MAX_ARRAY_LENGTH)));
+            }
+        } else if (value.length > 0) {
+            messages.push(encodeMessage(address, value));
+        }
+    } else if (typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => {
+            toOscMessages(item, `${address}/${String(key).replace(/[^A-Za-z0-9_-]/g, '_')}`, messages);
+        });
+    }
+
+    return messages;
+}
+
+function toOscPackets(messages) {
+    const packets = [];
+    let batch = [];
+    let size = 16;
+
+    messages.forEach(message => {
+        if (batch.length > 0 && size + message.length + 4 > MAX_PACKET_SIZE) {
+            packets.push(encodeBundle(batch));
+            batch = [];
+            size = 16;
+        }
+        batch.push(message);
+        size += message.length + 4;
+    });
+    if (batch.length > 0) {
+        packets.push(encodeBundle(batch));
+    }
+
+    return packets;
+}
+
+// Pages served from this machine, any listed in --allow-origin, and clients that aren't browsers
+function isAllowedOrigin(origin, allowed) {
+    if (!origin) return true;
+
+    try {
+        const { hostname } = new URL(origin);
+        if (['localhost', '127.0.0.1', '[::1]'].includes(hostname)) return true;
+    } catch (error) {
+        return false;
+    }
+    return allowed.includes(origin.replace(/\/$/, ''));
+}
+
+function startRelay(options) {
+    const clients = new Set();
+    const oscOut = dgram.createSocket('udp4');
+    const allowedOrigins = String(options['allow-origin'] || '').split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+
+    // Failing sends are reported once, not every frame
+    let lastSendError = null;
+    const sendOsc = (packet) => {
+        oscOut.send(packet, options['osc-port'], options['osc-host'], (error) => {
+            if (error && error.message !== lastSendError) {
+                console.warn(`⚠️ Could not send OSC to ${options['osc-host']}:${options['osc-port']}:`, error.message);
+            }
+            lastSendError = error ? error.message : null;
+        });
+    };
+
+    const broadcast = (text, except) => {
+        clients.forEach(client => {
+            if (client !== except) client.send(text);
+        });
+    };
+
+    const server = http.createServer((request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/plain' });
+        response.end(`Live Music Artwork OSC relay - ${clients.size} client(s), OSC to ${options['osc-host']}:${options['osc-port']}\n`);
+    });
+
+    attachWebSocketServer(server, (connection, request) => {
+        clients.add(connection);
+        console.log(`🔌 Client connected from ${request.socket.remoteAddress} (${clients.size} connected)`);
+
+        connection.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                console.warn('⚠️ Ignoring a message that is not JSON');
+                return;
+            }
+            if (!message || typeof message !== 'object') {
+                console.warn('⚠️ Ignoring a message that is not an object');
+                return;
+            }
+
+            if (message.type === 'audioData' && message.data) {
+                toOscPackets(toOscMessages(message.data, options.prefix)).forEach(sendOsc);
+            } else if (message.type === 'command') {
+                console.log(`🎛️ ${message.command}(${(Array.isArray(message.args) ? message.args : []).map(arg => JSON.stringify(arg)).join(', ')})`);
+            } else if (message.type === 'result' && message.error) {
+                console.warn(`⚠️ Command ${message.id} failed: ${message.error}`);
+            }
+
+            // Everyone else gets everything: frames for JSON listeners, commands for the app
+            broadcast(text, connection);
+        });
+
+        connection.on('close', () => {
+            clients.delete(connection);
+            console.log(`🔌 Client disconnected (${clients.size} connected)`);
+        });
+        connection.on('error', (error) => console.warn('⚠️ Client error:', error.message));
+    }, (request) => {
+        if (isAllowedOrigin(request.headers.origin, allowedOrigins)) return true;
+        console.warn(`⚠️ Refused a connection from ${request.headers.origin} - add it with --allow-origin if it is yours`);
+        return false;
+    });
+
+    server.listen(options.port, '127.0.0.1', () => {
+        console.log(`📡 Relay listening on ws://localhost:${options.port}`);
+        console.log(`📡 Sending OSC to ${options['osc-host']}:${options['osc-port']} under ${options.prefix}/...`);
+    });
+
+    // OSC commands: /lma/<command> args...
+    if (options.listen > 0) {
+        const oscIn = dgram.createSocket('udp4');
+        oscIn.on('message', (packet) => {
+            try {
+                const { address, args } = decodeMessage(packet);
+                if (!address.startsWith(`${options.prefix}/`)) return;
+
+                const command = address.slice(options.prefix.length + 1);
+                console.log(`🎛️ OSC ${command}(${args.map(arg => JSON.stringify(arg)).join(', ')})`);
+                broadcast(JSON.stringify({ type: 'command', command, args }));
+            } catch (error) {
+                console.warn('⚠️ Ignoring OSC packet:', error.message);
+            }
+        });
+        oscIn.bind(options.listen, options['listen-host'], () => {
+            console.log(`📡 Accepting OSC commands on ${options['listen-host']}:${options.listen} (e.g. ${options.prefix}/setSensitivity 7)`);
+        });
+    }
+
+    return server;
+}
+
+if (require.main === module) {
+    startRelay(parseArguments(process.argv.slice(2)));
+}
+
+module.exports = { startRelay, toOscMessages, toOscPackets };
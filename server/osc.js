@@ -0,0 +1,97 @@
+// Open Sound Control 1.0 messages and bundles: encoding for the relay's output and decoding
+// for commands sent to it. Types: f (float32), i (int32), s (string), T/F (booleans)
+
+// OSC strings are null-terminated and padded to a multiple of 4 bytes
+function encodeString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    const padded = Buffer.alloc(Math.ceil((bytes.length + 1) / 4) * 4);
+    bytes.copy(padded);
+    return padded;
+}
+
+// args: numbers (sent as float32), booleans, strings, or { type: 'i', value } for int32
+function encodeMessage(address, args = []) {
+    let tags = ',';
+    const parts = [];
+
+    args.forEach(arg => {
+        if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else if (typeof arg === 'string') {
+            tags += 's';
+            parts.push(encodeString(arg));
+        } else if (arg && arg.type === 'i') {
+            tags += 'i';
+            const value = Buffer.alloc(4);
+            value.writeInt32BE(Math.round(arg.value), 0);
+            parts.push(value);
+        } else {
+            tags += 'f';
+            const value = Buffer.alloc(4);
+            value.writeFloatBE(Number(arg) || 0, 0);
+            parts.push(value);
+        }
+    });
+
+    return Buffer.concat([encodeString(address), encodeString(tags), ...parts]);
+}
+
+// Several messages in one packet, to be handled together ("immediately" time tag)
+function encodeBundle(messages) {
+    const header = Buffer.concat([encodeString('#bundle'), Buffer.from([0, 0, 0, 0, 0, 0, 0, 1])]);
+    const elements = messages.map(message => {
+        const size = Buffer.alloc(4);
+        size.writeInt32BE(message.length, 0);
+        return Buffer.concat([size, message]);
+    });
+    return Buffer.concat([header, ...elements]);
+}
+
+function readString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    if (end < 0) throw new Error('Unterminated OSC string');
+    return { value: buffer.toString('utf8', offset, end), next: Math.ceil((end + 1) / 4) * 4 };
+}
+
+// { address, args } - bundles are not supported
+function decodeMessage(buffer) {
+    const address = readString(buffer, 0);
+    if (!address.value.startsWith('/')) {
+        throw new Error('Not an OSC message');
+    }
+
+    const tags = readString(buffer, address.next);
+    const args = [];
+    let offset = tags.next;
+
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'f':
+                args.push(buffer.readFloatBE(offset));
+                offset += 4;
+                break;
+            case 'i':
+                args.push(buffer.readInt32BE(offset));
+                offset += 4;
+                break;
+            case 's': {
+                const text = readString(buffer, offset);
+                args.push(text.value);
+                offset = text.next;
+                break;
+            }
+            case 'T':
+                args.push(true);
+                break;
+            case 'F':
+                args.push(false);
+                break;
+            default:
+                throw new Error(`Unsupported OSC type "${tag}"`);
+        }
+    }
+
+    return { address: address.value, args };
+}
+
+module.exports = { encodeMessage, encodeBundle, decodeMessage };
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+// Phone remote for Live Music Artwork: serves the project (app and remote.html) on the local
+// network and pairs phones with the running display through a session code
+//
+//   node server/remote-server.js [--port 8090] [--host 0.0.0.0]
+//
+// The display (Phone Remote → Enable in the controls) connects and gets a random 8-character
+// code and a link with the code in it; a phone opens the link (or http://<laptop-ip>:8090/remote
+// and types the code), and its buttons become commands the display runs (see
+// LiveMusicArtwork.runRemoteCommand). Wrong codes are limited per address, and a display
+// reconnecting needs the secret token it was given - the code alone can't take a session over.
+// Messages:
+//   display → server: { type: 'display', code?, token? }, { type: 'state', state }, { type: 'result', id, ... }
+//   server → display: { type: 'session', code, token, links }, { type: 'remotes', count }, { type: 'command', ... }
+//   remote → server:  { type: 'join', code }, { type: 'command', id, command, args }
+//   server → remote:  { type: 'joined', code, connected, state }, { type: 'display', connected },
+//                     { type: 'state', state }, { type: 'result', ... }, { type: 'error', message }
+// Only Node's own modules are used - nothing to install
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { attachWebSocketServer } = require('./websocket');
+
+const OPTIONS = {
+    port: 8090,
+    host: '0.0.0.0'         // Every network interface, so phones on the same Wi-Fi can reach it
+};
+
+const ROOT = path.join(__dirname, '..');
+
+// Pairing codes: no 0/O or 1/I/L to confuse on a phone keyboard (31^8, about 10^12 codes)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Per address: joins allowed a minute, and wrong codes allowed in JOIN_BLOCK_MS
+const MAX_JOINS_PER_MINUTE = 10;
+const MAX_FAILED_JOINS = 5;
+const JOIN_BLOCK_MS = 10 * 60 * 1000;
+// Wrong codes before a connection is closed
+const MAX_FAILED_JOINS_PER_CONNECTION = 3;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav'
+};
+
+// Short paths for typing on a phone
+const ALIASES = {
+    '/': '/index.html',
+    '/remote': '/remote.html'
+};
+
+function parseArguments(argv) {
+    const options = { ...OPTIONS };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in OPTIONS) || argv[i + 1] === undefined) {
+            console.error(`Unknown option ${argv[i]}. Options: ${Object.keys(OPTIONS).map(key => `--${key}`).join(' ')}`);
+            process.exit(1);
+        }
+        options[name] = typeof OPTIONS[name] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+    }
+    return options;
+}
+
+// Files from the project folder only - nothing hidden (.git) and not this server
+function serveFile(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        pathname = '';
+    }
+    pathname = ALIASES[pathname] || pathname;
+
+    const file = path.join(ROOT, path.normalize(pathname));
+    const relative = path.relative(ROOT, file);
+    const hidden = relative.split(path.sep).some(part => part.startsWith('.')) || relative.startsWith(`server${path.sep}`);
+
+    if (!pathname || relative.startsWith('..') || path.isAbsolute(relative) || hidden || request.method !== 'GET') {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found\n');
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found\n');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        response.end(content);
+    });
+}
+
+function send(connection, message) {
+    if (connection && connection.open) {
+        connection.send(JSON.stringify(message));
+    }
+}
+
+// Codes are typed with or without the dash, in either case
+function normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Addresses a phone on the same network can use to reach this machine
+function getNetworkAddresses() {
+    return Object.values(os.networkInterfaces()).flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+}
+
+function startRemoteServer(options) {
+    // code -> { display, token, remotes: Set, state }; kept while the display reconnects
+    const sessions = new Map();
+    // address -> { joins: [times], failures: [times] }
+    const joinHistory = new Map();
+
+    const createCode = () => {
+        let code;
+        do {
+            code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+        } while (sessions.has(code));
+        return code;
+    };
+
+    const getJoinHistory = (address, now) => {
+        const history = joinHistory.get(address) || { joins: [], failures: [] };
+        history.joins = history.joins.filter(time => now - time < 60 * 1000);
+        history.failures = history.failures.filter(time => now - time < JOIN_BLOCK_MS);
+        joinHistory.set(address, history);
+        return history;
+    };
+
+    const notifyRemotes = (session, message) => {
+        session.remotes.forEach(remote => send(remote, message));
+    };
+
+    // A display asks for a session, or to take its old one back after reconnecting - which
+    // needs the token it was given with the code
+    const registerDisplay = (connection, requestedCode, token) => {
+        const previous = sessions.get(requestedCode);
+        let resuming = false;
+        if (previous && typeof token === 'string') {
+            // Compared as bytes - the same number of characters can be a different number of bytes
+            const given = Buffer.from(token);
+            const expected = Buffer.from(previous.token);
+            resuming = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        }
+
+        let code = requestedCode;
+        let session = previous;
+        if (!resuming) {
+            code = createCode();
+            session = { display: null, token: crypto.randomBytes(24).toString('base64url'), remotes: new Set(), state: null };
+        }
+
+        // The old connection may not have noticed it was dropped yet
+        const stale = session.display;
+        session.display = connection;
+        sessions.set(code, session);
+        connection.code = code;
+        if (stale && stale !== connection) {
+            stale.close();
+        }
+
+        const links = getNetworkAddresses().map(address => `http://${address}:${options.port}/remote#${code}`);
+        send(connection, { type: 'session', code, token: session.token, links });
+        send(connection, { type: 'remotes', count: session.remotes.size });
+        notifyRemotes(session, { type: 'display', connected: true });
+        console.log(`🖥️ Display connected - session code ${code}`);
+    };
+
+    const joinSession = (connection, requestedCode) => {
+        const now = Date.now();
+        const history = getJoinHistory(connection.address, now);
+
+        if (history.joins.length >= MAX_JOINS_PER_MINUTE || history.failures.length >= MAX_FAILED_JOINS) {
+            console.warn(`⚠️ Too many pairing attempts from ${connection.address} - refused`);
+            send(connection, { type: 'error', message: 'Too many wrong codes - wait a few minutes and try again' });
+            connection.close(1008, 'Too many attempts');
+            return;
+        }
+        history.joins.push(now);
+
+        const code = normalizeCode(requestedCode);
+        const session = sessions.get(code);
+        if (!session) {
+            history.failures.push(now);
+            connection.failedJoins = (connection.failedJoins || 0) + 1;
+            send(connection, { type: 'error', message: 'No display with that code - check the code shown next to Phone Remote' });
+            if (connection.failedJoins >= MAX_FAILED_JOINS_PER_CONNECTION) {
+                connection.close(1008, 'Too many attempts');
+            }
+            return;
+        }
+
+        connection.code = code;
+        session.remotes.add(connection);
+        send(connection, { type: 'joined', code: connection.code, connected: !!session.display, state: session.state });
+        send(session.display, { type: 'remotes', count: session.remotes.size });
+        console.log(`📱 Remote joined session ${code} (${session.remotes.size} connected)`);
+    };
+
+    const handleMessage = (connection, message) => {
+        const session = sessions.get(connection.code);
+
+        switch (message.type) {
+            case 'display':
+                registerDisplay(connection, normalizeCode(message.code), message.token);
+                break;
+            case 'join':
+                joinSession(connection, message.code);
+                break;
+            case 'state':
+                if (session && session.display === connection) {
+                    session.state = message.state;
+                    notifyRemotes(session, { type: 'state', state: message.state });
+                }
+                break;
+            case 'result':
+                if (session && session.display === connection) {
+                    notifyRemotes(session, message);
+                }
+                break;
+            case 'command':
+                if (!session || !session.remotes.has(connection)) {
+                    send(connection, { type: 'error', message: 'Enter the session code first' });
+                } else if (!session.display) {
+                    send(connection, { type: 'result', id: message.id, command: message.command, error: 'The display is not connected' });
+                } else {
+                    send(session.display, { type: 'command', id: message.id, command: message.command, args: message.args || [] });
+                }
+                break;
+        }
+    };
+
+    const handleClose = (connection) => {
+        const session = sessions.get(connection.code);
+        if (!session) return;
+
+        if (session.display === connection) {
+            session.display = null;
+            notifyRemotes(session, { type: 'display', connected: false });
+            console.log(`🖥️ Display for session ${connection.code} disconnected`);
+
+            // Nobody left to come back for
+            if (session.remotes.size === 0) {
+                sessions.delete(connection.code);
+            }
+        } else if (session.remotes.delete(connection)) {
+            send(session.display, { type: 'remotes', count: session.remotes.size });
+            console.log(`📱 Remote left session ${connection.code} (${session.remotes.size} connected)`);
+
+            // The display went first and the last phone has now gone too
+            if (!session.display && session.remotes.size === 0) {
+                sessions.delete(connection.code);
+            }
+        }
+    };
+
+    const server = http.createServer(serveFile);
+
+    attachWebSocketServer(server, (connection, request) => {
+        connection.address = request.socket.remoteAddress;
+        connection.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                console.warn('⚠️ Ignoring a message that is not JSON');
+                return;
+            }
+            if (!message || typeof message !== 'object') return;
+
+            // One bad message must not take the server down
+            try {
+                handleMessage(connection, message);
+            } catch (error) {
+                console.warn('⚠️ Could not handle a message:', error.message);
+            }
+        });
+        connection.on('close', () => handleClose(connection));
+        connection.on('error', (error) => console.warn('⚠️ Connection error:', error.message));
+    });
+
+    server.listen(options.port, options.host, () => {
+        console.log(`🎵 Live Music Artwork on http://localhost:${options.port}/`);
+        getNetworkAddresses().forEach(address => {
+            console.log(`📱 On the phone (same Wi-Fi): http://${address}:${options.port}/remote`);
+        });
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    startRemoteServer(parseArguments(process.argv.slice(2)));
+}
+
+module.exports = { startRemoteServer };
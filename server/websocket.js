@@ -0,0 +1,179 @@
+// Minimal WebSocket server side (RFC 6455) on Node's http module - no packages needed
+// Enough for the local relays: text messages, ping/pong and close. Frames from browsers are
+// always masked; messages split across continuation frames are put back together
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentSize = 0;
+        this.open = true;
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('end', () => this.close());
+        socket.on('close', () => this.handleClose());
+        socket.on('error', (error) => {
+            this.emit('error', error);
+            this.handleClose();
+        });
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (this.open && (frame = this.readFrame()) !== null) {
+            this.handleFrame(frame);
+        }
+    }
+
+    // One complete frame from the buffer, or null if it hasn't all arrived
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+            case 0x2: // Binary
+                // Each frame is under the limit, but a message split across many of them might not be
+                this.fragmentSize += payload.length;
+                if (this.fragmentSize > MAX_MESSAGE_SIZE) {
+                    this.close(1009, 'Message too big');
+                    break;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments);
+                    this.fragments = [];
+                    this.fragmentSize = 0;
+                    this.emit('message', message.toString('utf8'));
+                }
+                break;
+            case 0x8: // Close
+                this.close();
+                break;
+            case 0x9: // Ping
+                this.sendFrame(0xa, payload);
+                break;
+        }
+    }
+
+    send(text) {
+        this.sendFrame(0x1, Buffer.from(text, 'utf8'));
+    }
+
+    sendFrame(opcode, payload) {
+        if (!this.open) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.open) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(0x8, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (!this.open) return;
+
+        this.open = false;
+        this.emit('close');
+    }
+}
+
+// Accept WebSocket upgrades on an http.Server: onConnection(connection, request). The optional
+// verify(request) can turn a client away (403) before the handshake by returning false
+function attachWebSocketServer(server, onConnection, verify) {
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (verify && !verify(request)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        onConnection(new WebSocketConnection(socket), request);
+    });
+}
+
+module.exports = { attachWebSocketServer, WebSocketConnection };
@@ -0,0 +1,183 @@
+// Replays a recorded session (see session-recorder.js) at its original speed
+// Every frame is delivered in order, so beats and onsets land exactly where they did live.
+// Seeking delivers the frame at the new position straight away, so dragging the slider scrubs
+class SessionPlayer {
+    constructor(session) {
+        this.session = session;
+        this.frames = session.frames;
+
+        // Playback position in ms from the start of the session
+        this.position = 0;
+        this.playStartedAt = 0;
+        this.playStartPosition = 0;
+        this.nextFrameIndex = 0;
+        this.playing = false;
+        this.loop = false;
+        this.frameId = null;
+
+        // frameCallbacks get decoded audioData; callbacks get transport events like MediaElementInput's
+        this.frameCallbacks = [];
+        this.callbacks = [];
+    }
+
+    play() {
+        if (this.playing) return;
+
+        if (this.position >= this.getDurationMs()) {
+            this.seekMs(0);
+        }
+
+        this.playing = true;
+        this.playStartedAt = performance.now();
+        this.playStartPosition = this.position;
+        this.tick();
+        this.notifyCallbacks('play');
+    }
+
+    pause() {
+        if (!this.playing) return;
+
+        this.updatePosition();
+        this.playing = false;
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.notifyCallbacks('pause');
+    }
+
+    togglePlayback() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    stop() {
+        this.pause();
+        this.frameCallbacks = [];
+        this.callbacks = [];
+    }
+
+    // Seconds, to match MediaElementInput
+    seek(seconds) {
+        this.seekMs(seconds * 1000);
+    }
+
+    seekMs(position) {
+        this.position = Math.max(0, Math.min(this.getDurationMs(), position));
+        this.playStartedAt = performance.now();
+        this.playStartPosition = this.position;
+
+        // Show the moment we landed on, then carry on from the frame after it
+        const index = this.findFrameIndex(this.position);
+        if (index >= 0) {
+            this.emitFrame(this.frames[index]);
+        }
+        this.nextFrameIndex = index + 1;
+        this.notifyCallbacks('seeked');
+    }
+
+    setLoop(enabled) {
+        this.loop = enabled;
+    }
+
+    tick() {
+        if (!this.playing) return;
+
+        this.updatePosition();
+
+        while (this.nextFrameIndex < this.frames.length && this.frames[this.nextFrameIndex].t <= this.position) {
+            this.emitFrame(this.frames[this.nextFrameIndex]);
+            this.nextFrameIndex++;
+        }
+
+        if (this.nextFrameIndex >= this.frames.length) {
+            if (this.loop) {
+                this.seekMs(0);
+            } else {
+                this.playing = false;
+                this.frameId = null;
+                this.notifyCallbacks('ended');
+                return;
+            }
+        }
+
+        this.notifyCallbacks('timeupdate');
+        this.frameId = requestAnimationFrame(() => this.tick());
+    }
+
+    updatePosition() {
+        if (this.playing) {
+            this.position = Math.min(this.getDurationMs(), this.playStartPosition + (performance.now() - this.playStartedAt));
+        }
+    }
+
+    // Index of the last frame at or before the position (-1 if none)
+    findFrameIndex(position) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (this.frames[middle].t <= position) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found;
+    }
+
+    emitFrame(frame) {
+        const audioData = SessionRecorder.decodeFrame(frame.d, Date.now());
+        this.frameCallbacks.forEach(callback => {
+            try {
+                callback(audioData);
+            } catch (error) {
+                console.error('Error in session frame callback:', error);
+            }
+        });
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    getCurrentTime() {
+        return this.position / 1000;
+    }
+
+    getDuration() {
+        return this.getDurationMs() / 1000;
+    }
+
+    getDurationMs() {
+        return this.session.duration || 0;
+    }
+
+    addFrameCallback(callback) {
+        this.frameCallbacks.push(callback);
+    }
+
+    addCallback(callback) {
+        this.callbacks.push(callback);
+    }
+
+    notifyCallbacks(eventName) {
+        this.callbacks.forEach(callback => {
+            try {
+                callback(eventName, this);
+            } catch (error) {
+                console.error('Error in session player callback:', error);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.SessionPlayer = SessionPlayer;
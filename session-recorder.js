@@ -0,0 +1,225 @@
+// Records the audioData stream so a moment can be replayed exactly (see session-player.js)
+// Frames are encoded as they arrive: numbers rounded, spectra packed into base64 bytes and
+// Date.now() timestamps stored relative to the frame, so a replay can move them to its own clock
+class SessionRecorder {
+    constructor(options = {}) {
+        // Safety limit - a long session is held in memory until exported
+        this.maxDuration = options.maxDuration || 30 * 60 * 1000;
+
+        // Waveform points kept per frame (the full time-domain buffer is 4x bigger than everything else)
+        this.waveformPoints = options.waveformPoints || 256;
+
+        this.isRecording = false;
+        this.frames = [];
+        this.startTime = 0;
+        this.createdAt = null;
+        this.onLimitReached = null;
+    }
+
+    start() {
+        this.frames = [];
+        this.startTime = Date.now();
+        this.createdAt = new Date().toISOString();
+        this.isRecording = true;
+        console.log('⏺️ Session recording started');
+    }
+
+    stop() {
+        if (!this.isRecording) return;
+
+        this.isRecording = false;
+        console.log('⏹️ Session recording stopped:', this.frames.length, 'frames,', (this.getDuration() / 1000).toFixed(1) + 's');
+    }
+
+    // AudioProcessor callback - one call per audioData frame
+    record(audioData) {
+        if (!this.isRecording) return;
+
+        const now = Date.now();
+        const time = now - this.startTime;
+        if (time > this.maxDuration) {
+            this.stop();
+            if (this.onLimitReached) this.onLimitReached();
+            return;
+        }
+
+        this.frames.push({ t: time, d: this.encodeFrame(audioData, now) });
+    }
+
+    getDuration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+    }
+
+    hasFrames() {
+        return this.frames.length > 0;
+    }
+
+    getSession() {
+        return {
+            version: SessionRecorder.VERSION,
+            createdAt: this.createdAt,
+            duration: this.getDuration(),
+            frames: this.frames
+        };
+    }
+
+    encodeFrame(audioData, now) {
+        const frame = {};
+
+        Object.entries(audioData).forEach(([key, value]) => {
+            if (key === 'rawTimeDomainData') {
+                frame[key] = this.encodeWaveform(value);
+            } else if (key === 'channelWaveforms') {
+                frame[key] = (value || []).map(buffer => this.encodeWaveform(buffer));
+            } else if (SessionRecorder.TIMESTAMP_FIELDS.includes(key)) {
+                frame[key] = this.encodeTimestamp(value, now);
+            } else if (key === 'nextSection' && value) {
+                frame[key] = { ...this.encodeValue(value), startsAt: value.startsAt - now };
+            } else {
+                frame[key] = this.encodeValue(value);
+            }
+        });
+
+        return frame;
+    }
+
+    encodeValue(value) {
+        if (typeof value === 'number') {
+            return Math.round(value * 1000) / 1000;
+        }
+        if (value instanceof Uint8Array) {
+            return { u8: SessionRecorder.toBase64(value) };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.encodeValue(item));
+        }
+        if (value && typeof value === 'object') {
+            const encoded = {};
+            Object.entries(value).forEach(([key, item]) => {
+                encoded[key] = this.encodeValue(item);
+            });
+            return encoded;
+        }
+        return value;
+    }
+
+    // Date.now() values (0 = unknown) become offsets from the frame
+    encodeTimestamp(value, now) {
+        if (Array.isArray(value)) {
+            return value.map(item => item - now);
+        }
+        return value ? value - now : 0;
+    }
+
+    // Downsampled, 8-bit waveform - plenty for drawing it
+    encodeWaveform(buffer) {
+        if (!buffer) return null;
+
+        const step = Math.max(1, Math.floor(buffer.length / this.waveformPoints));
+        const bytes = new Uint8Array(Math.floor(buffer.length / step));
+        for (let i = 0; i < bytes.length; i++) {
+            const sample = Math.max(-1, Math.min(1, buffer[i * step]));
+            bytes[i] = Math.round((sample + 1) * 127.5);
+        }
+        return { wave: SessionRecorder.toBase64(bytes) };
+    }
+
+    // Recover an audioData frame, moving its timestamps onto the replay clock (now)
+    static decodeFrame(frame, now) {
+        const decode = value => {
+            if (Array.isArray(value)) {
+                return value.map(decode);
+            }
+            if (value && typeof value === 'object') {
+                if (value.u8 !== undefined) return SessionRecorder.fromBase64(value.u8);
+                if (value.wave !== undefined) {
+                    return Float32Array.from(SessionRecorder.fromBase64(value.wave), byte => byte / 127.5 - 1);
+                }
+                const decoded = {};
+                Object.entries(value).forEach(([key, item]) => {
+                    decoded[key] = decode(item);
+                });
+                return decoded;
+            }
+            return value;
+        };
+
+        const audioData = decode(frame);
+        SessionRecorder.TIMESTAMP_FIELDS.forEach(key => {
+            if (Array.isArray(audioData[key])) {
+                audioData[key] = audioData[key].map(offset => now + offset);
+            } else if (audioData[key]) {
+                audioData[key] = now + audioData[key];
+            }
+        });
+        if (audioData.nextSection) {
+            audioData.nextSection.startsAt = now + audioData.nextSection.startsAt;
+        }
+        return audioData;
+    }
+
+    // Gzipped JSON where the browser can compress, plain JSON otherwise
+    static async exportSession(session) {
+        const json = JSON.stringify(session);
+
+        if (typeof CompressionStream === 'undefined') {
+            return new Blob([json], { type: 'application/json' });
+        }
+
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+        const compressed = await new Response(stream).blob();
+        return new Blob([compressed], { type: 'application/gzip' });
+    }
+
+    static async importSession(blob) {
+        // Gzip files start with 0x1f 0x8b
+        const header = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+        let text;
+        if (header[0] === 0x1f && header[1] === 0x8b) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot open compressed sessions.');
+            }
+            text = await new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+        } else {
+            text = await blob.text();
+        }
+
+        let session;
+        try {
+            session = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not a recorded session.');
+        }
+
+        if (!session || session.version !== SessionRecorder.VERSION || !Array.isArray(session.frames) || session.frames.length === 0) {
+            throw new Error('This file is not a recorded session, or it is empty.');
+        }
+
+        return session;
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+SessionRecorder.VERSION = 1;
+
+// audioData fields holding Date.now() timestamps
+SessionRecorder.TIMESTAMP_FIELDS = ['predictedNextBeat', 'upcomingBeats'];
+
+// Export for use in other modules
+window.SessionRecorder = SessionRecorder;
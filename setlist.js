@@ -0,0 +1,198 @@
+// Scenes and the setlist that steps through them during a night
+// A scene is a named look: { name, mode, colorScheme, sensitivity, settings, duration }, where
+// settings are the visualization's own (see getSettings()/setSettings()) and duration, if set,
+// moves on after that many seconds. The setlist is an ordered list of scene names, so one scene
+// can come round more than once (jigs, reels, jigs, waltz...)
+class Setlist {
+    constructor() {
+        this.scenes = {};
+        this.order = [];
+        this.position = -1;     // Index into order of the scene showing (-1 = none yet)
+        this.sceneStartedAt = 0;
+
+        // Moving on when the band stops between tunes: the level has to stay below
+        // silenceLevel (volume, 0-100) for silenceSeconds after some music
+        this.options = {
+            advanceOnSilence: false,
+            silenceLevel: 5,
+            silenceSeconds: 3
+        };
+        this.heardMusic = false;
+        this.silentSince = 0;
+    }
+
+    addScene(scene) {
+        if (!scene || typeof scene.name !== 'string' || !scene.name.trim()) {
+            throw new Error('A scene needs a name.');
+        }
+        if (!VisualizationEngine.getModeInfo(scene.mode)) {
+            throw new Error(`Unknown visualization mode "${scene.mode}" in scene "${scene.name}".`);
+        }
+        if (scene.colorScheme !== undefined && !VisualizationEngine.COLOR_SCHEMES[scene.colorScheme]) {
+            throw new Error(`Unknown color scheme "${scene.colorScheme}" - use ${Object.keys(VisualizationEngine.COLOR_SCHEMES).join(', ')}.`);
+        }
+        if (scene.sensitivity !== undefined && !(scene.sensitivity >= 1 && scene.sensitivity <= 10)) {
+            throw new Error('Scene sensitivity must be between 1 and 10.');
+        }
+        if (scene.duration !== undefined && scene.duration !== null && !(scene.duration > 0)) {
+            throw new Error('Scene duration must be a number of seconds.');
+        }
+
+        const name = scene.name.trim();
+        this.scenes[name] = {
+            name: name,
+            mode: scene.mode,
+            colorScheme: scene.colorScheme,
+            sensitivity: scene.sensitivity,
+            settings: scene.settings || {},
+            duration: scene.duration || null
+        };
+        return this.scenes[name];
+    }
+
+    // Delete a scene and every place it appears in the setlist
+    removeScene(name) {
+        if (!this.scenes[name]) return;
+
+        const current = this.getCurrentName();
+        delete this.scenes[name];
+        this.order = this.order.filter(entry => entry !== name);
+        this.position = current === name ? -1 : this.order.indexOf(current);
+    }
+
+    getScene(name) {
+        return this.scenes[name] || null;
+    }
+
+    getSceneNames() {
+        return Object.keys(this.scenes);
+    }
+
+    setOrder(names) {
+        const unknown = names.filter(name => !this.scenes[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown scene(s) in the setlist: ${unknown.join(', ')}.`);
+        }
+
+        this.order = [...names];
+        this.position = -1;
+    }
+
+    append(name) {
+        if (!this.scenes[name]) {
+            throw new Error(`Unknown scene "${name}".`);
+        }
+        this.order.push(name);
+    }
+
+    // Remove one entry from the setlist (the scene itself stays)
+    removeAt(index) {
+        if (index < 0 || index >= this.order.length) return;
+
+        this.order.splice(index, 1);
+        if (index < this.position) {
+            this.position--;
+        } else if (index === this.position) {
+            this.position = -1;
+        }
+    }
+
+    setOptions(options) {
+        const next = { ...this.options, ...options };
+        if (!(next.silenceLevel >= 0 && next.silenceLevel <= 100)) {
+            throw new Error('Silence level must be between 0 and 100.');
+        }
+        if (!(next.silenceSeconds > 0)) {
+            throw new Error('Silence seconds must be more than 0.');
+        }
+
+        this.options = next;
+        this.heardMusic = false;
+        this.silentSince = 0;
+    }
+
+    getCurrentName() {
+        return this.position >= 0 ? this.order[this.position] : null;
+    }
+
+    getCurrentScene() {
+        return this.getScene(this.getCurrentName());
+    }
+
+    isEmpty() {
+        return this.order.length === 0;
+    }
+
+    // Move to an entry in the setlist (wrapping round) and return its scene
+    goTo(index, now = Date.now()) {
+        if (this.order.length === 0) return null;
+
+        this.position = ((index % this.order.length) + this.order.length) % this.order.length;
+        this.sceneStartedAt = now;
+        this.heardMusic = false;
+        this.silentSince = 0;
+        return this.getCurrentScene();
+    }
+
+    next(now) {
+        return this.goTo(this.position + 1, now);
+    }
+
+    previous(now) {
+        return this.goTo(this.position < 0 ? -1 : this.position - 1, now);
+    }
+
+    // Called for every audioData frame: true when it is time for the next scene
+    update(audioData, now = Date.now()) {
+        const scene = this.getCurrentScene();
+        if (!scene || !audioData) return false;
+
+        if (scene.duration && now - this.sceneStartedAt >= scene.duration * 1000) {
+            return true;
+        }
+
+        if (!this.options.advanceOnSilence) return false;
+
+        // Only a gap after music counts, so the quiet before the first tune doesn't skip scenes
+        if ((audioData.volume || 0) > this.options.silenceLevel) {
+            this.heardMusic = true;
+            this.silentSince = 0;
+            return false;
+        }
+        if (!this.heardMusic) return false;
+
+        if (!this.silentSince) {
+            this.silentSince = now;
+        }
+        return now - this.silentSince >= this.options.silenceSeconds * 1000;
+    }
+
+    toJSON() {
+        return {
+            version: Setlist.VERSION,
+            scenes: Object.values(this.scenes),
+            order: this.order,
+            options: this.options
+        };
+    }
+
+    // Rebuild a setlist from toJSON() output, validating every scene
+    static fromJSON(data) {
+        if (!data || data.version !== Setlist.VERSION || !Array.isArray(data.scenes) || !Array.isArray(data.order)) {
+            throw new Error('This is not a saved setlist.');
+        }
+
+        const setlist = new Setlist();
+        data.scenes.forEach(scene => setlist.addScene(scene));
+        setlist.setOrder(data.order);
+        if (data.options) {
+            setlist.setOptions(data.options);
+        }
+        return setlist;
+    }
+}
+
+Setlist.VERSION = 1;
+
+// Export for use in other modules
+window.Setlist = Setlist;
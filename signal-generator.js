@@ -0,0 +1,387 @@
+// Synthetic test signals for checking the analysis without making noise at the microphone
+// Built from OscillatorNodes and noise buffers in the AudioProcessor's own AudioContext, and
+// used like MediaElementInput, so the signal feeds the analyser in place of the microphone
+class SignalGenerator {
+    constructor(options = {}) {
+        // Output level (0.25 = -12 dBFS, leaves headroom for the analyser)
+        this.level = options.level || 0.25;
+
+        // Send the signal to the speakers as well (off by default - a venue may not want beeps)
+        this.monitor = options.monitor || false;
+
+        // Current signal and its settings
+        this.type = 'tone';
+        this.settings = {
+            note: 'A4',
+            waveform: 'sine',
+            bpm: 120,
+            beatsPerBar: 4,
+            sweepStart: 20,
+            sweepEnd: 20000,
+            sweepDuration: 10
+        };
+
+        // Audio graph state
+        this.audioContext = null;
+        this.output = null;
+        this.monitorGain = null;
+        this.nodes = [];
+        this.sweepTimer = null;
+        this.startedAt = 0;
+        this.playing = false;
+
+        // Cached noise buffers (they only depend on the sample rate)
+        this.pinkNoiseBuffer = null;
+
+        // Callbacks for transport state updates
+        this.callbacks = [];
+
+        console.log('🎛️ SignalGenerator initialized');
+    }
+
+    // Create the output node feeding the analyser
+    connect(audioContext) {
+        if (this.output && this.audioContext === audioContext) {
+            return this.output;
+        }
+
+        this.disconnect();
+
+        this.audioContext = audioContext;
+        this.output = audioContext.createGain();
+        this.output.gain.value = this.level;
+
+        this.monitorGain = audioContext.createGain();
+        this.monitorGain.gain.value = this.monitor ? 1 : 0;
+        this.output.connect(this.monitorGain);
+        this.monitorGain.connect(audioContext.destination);
+
+        if (this.pinkNoiseBuffer && this.pinkNoiseBuffer.sampleRate !== audioContext.sampleRate) {
+            this.pinkNoiseBuffer = null;
+        }
+
+        console.log('🔌 Signal generator connected:', this.getDescription());
+        return this.output;
+    }
+
+    disconnect() {
+        this.pause();
+
+        if (this.output) {
+            this.output.disconnect();
+            this.monitorGain.disconnect();
+            this.output = null;
+            this.monitorGain = null;
+        }
+
+        this.audioContext = null;
+    }
+
+    // Choose the signal: 'sweep', 'pink-noise', 'clicks' or 'tone'. Settings are merged into
+    // the current ones ({ note, waveform, bpm, beatsPerBar, sweepStart, sweepEnd, sweepDuration })
+    setSignal(type, settings = {}) {
+        if (!SignalGenerator.TYPES.includes(type)) {
+            throw new Error(`Unknown test signal "${type}" - use ${SignalGenerator.TYPES.join(', ')}.`);
+        }
+
+        const next = { ...this.settings, ...settings };
+        if (type === 'tone') {
+            SignalGenerator.noteToFrequency(next.note);
+        }
+        if (!(next.bpm >= 20 && next.bpm <= 300)) {
+            throw new Error('Click track tempo must be between 20 and 300 BPM.');
+        }
+        if (!(next.sweepStart > 0 && next.sweepEnd > next.sweepStart && next.sweepDuration > 1)) {
+            throw new Error('A sweep needs a start above 0 Hz, an end above the start and a duration over 1s.');
+        }
+
+        this.type = type;
+        this.settings = next;
+        console.log('🎛️', this.getDescription());
+
+        // Restart so the change is heard straight away
+        if (this.playing) {
+            this.stopNodes();
+            this.startNodes();
+        }
+        this.notifyCallbacks('change');
+    }
+
+    setMonitor(enabled) {
+        this.monitor = enabled;
+        if (this.monitorGain) {
+            this.monitorGain.gain.setTargetAtTime(enabled ? 1 : 0, this.audioContext.currentTime, 0.02);
+        }
+    }
+
+    // Transport controls
+    async play() {
+        if (!this.audioContext) {
+            throw new Error('The signal generator is not connected to an audio session.');
+        }
+        if (this.playing) return;
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        this.playing = true;
+        this.startNodes();
+        this.notifyCallbacks('play');
+    }
+
+    pause() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        this.stopNodes();
+        this.notifyCallbacks('pause');
+    }
+
+    async togglePlayback() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            await this.play();
+        }
+    }
+
+    startNodes() {
+        const startTime = this.audioContext.currentTime + 0.05;
+        this.startedAt = startTime;
+
+        switch (this.type) {
+            case 'sweep':
+                this.scheduleSweep(startTime);
+                break;
+            case 'pink-noise':
+                this.startBuffer(this.getPinkNoiseBuffer(), startTime);
+                break;
+            case 'clicks':
+                this.startBuffer(this.createClickBuffer(), startTime);
+                break;
+            case 'tone':
+                this.startTone(startTime);
+                break;
+        }
+    }
+
+    stopNodes() {
+        if (this.sweepTimer !== null) {
+            clearTimeout(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+
+        this.nodes.forEach(node => {
+            try {
+                node.stop();
+            } catch (error) {
+                // Already stopped
+            }
+            node.disconnect();
+        });
+        this.nodes = [];
+    }
+
+    startTone(startTime) {
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.type = this.settings.waveform;
+        oscillator.frequency.value = SignalGenerator.noteToFrequency(this.settings.note);
+        oscillator.connect(this.output);
+        oscillator.start(startTime);
+        this.nodes.push(oscillator);
+    }
+
+    // Exponential (equal time per octave) sweep, repeated. Each pass gets its own oscillator,
+    // scheduled a second before the previous one ends so there is no gap between passes
+    scheduleSweep(startTime) {
+        const { sweepStart, sweepEnd, sweepDuration } = this.settings;
+        const endTime = startTime + sweepDuration;
+
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.frequency.setValueAtTime(sweepStart, startTime);
+        oscillator.frequency.exponentialRampToValueAtTime(sweepEnd, endTime);
+        oscillator.connect(this.output);
+        oscillator.start(startTime);
+        oscillator.stop(endTime);
+        oscillator.onended = () => {
+            const index = this.nodes.indexOf(oscillator);
+            if (index > -1) {
+                this.nodes.splice(index, 1);
+                oscillator.disconnect();
+            }
+        };
+        this.nodes.push(oscillator);
+
+        const delay = (endTime - this.audioContext.currentTime - 1) * 1000;
+        this.sweepTimer = setTimeout(() => {
+            this.sweepTimer = null;
+            if (this.playing) {
+                this.scheduleSweep(endTime);
+            }
+        }, Math.max(0, delay));
+    }
+
+    startBuffer(buffer, startTime) {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(this.output);
+        source.start(startTime);
+        this.nodes.push(source);
+    }
+
+    // A few seconds of pink noise (equal energy per octave, so every band sees a similar level),
+    // from white noise through Paul Kellet's filter
+    getPinkNoiseBuffer() {
+        if (this.pinkNoiseBuffer) return this.pinkNoiseBuffer;
+
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, sampleRate * 4, sampleRate);
+        const data = buffer.getChannelData(0);
+        let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+        let peak = 0;
+
+        for (let i = 0; i < data.length; i++) {
+            const white = Math.random() * 2 - 1;
+            b0 = 0.99886 * b0 + white * 0.0555179;
+            b1 = 0.99332 * b1 + white * 0.0750759;
+            b2 = 0.96900 * b2 + white * 0.1538520;
+            b3 = 0.86650 * b3 + white * 0.3104856;
+            b4 = 0.55000 * b4 + white * 0.5329522;
+            b5 = -0.7616 * b5 - white * 0.0168980;
+            data[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+            b6 = white * 0.115926;
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+
+        for (let i = 0; i < data.length; i++) {
+            data[i] /= peak;
+        }
+
+        this.pinkNoiseBuffer = buffer;
+        return buffer;
+    }
+
+    // One bar of clicks, looped. Each click is a low thump (for the bass-driven beat detection)
+    // with a short noise burst on top (for the onset detectors); the first beat is accented
+    createClickBuffer() {
+        const { bpm, beatsPerBar } = this.settings;
+        const sampleRate = this.audioContext.sampleRate;
+        const beatLength = Math.round(sampleRate * 60 / bpm);
+        const buffer = this.audioContext.createBuffer(1, beatLength * beatsPerBar, sampleRate);
+        const data = buffer.getChannelData(0);
+        const thumpLength = Math.min(beatLength, Math.round(sampleRate * 0.12));
+        const burstLength = Math.round(sampleRate * 0.01);
+
+        for (let beat = 0; beat < beatsPerBar; beat++) {
+            const offset = beat * beatLength;
+            const accent = beat === 0 ? 1 : 0.7;
+
+            for (let i = 0; i < thumpLength; i++) {
+                const t = i / sampleRate;
+                const thump = Math.sin(2 * Math.PI * 60 * t) * Math.exp(-t / 0.04);
+                const burst = i < burstLength ? (Math.random() * 2 - 1) * Math.exp(-t / 0.002) * 0.5 : 0;
+                data[offset + i] = (thump + burst) * accent;
+            }
+        }
+
+        return buffer;
+    }
+
+    // What the analysis should report for the current signal, so the Audio Test can show it
+    getExpected() {
+        const expected = { type: this.type, description: this.getDescription(), frequency: 0, note: '', bpm: 0 };
+
+        if (this.type === 'tone') {
+            expected.frequency = SignalGenerator.noteToFrequency(this.settings.note);
+            expected.note = this.settings.note;
+        } else if (this.type === 'sweep') {
+            expected.frequency = this.getSweepFrequency();
+        } else if (this.type === 'clicks') {
+            expected.bpm = this.settings.bpm;
+        }
+
+        return expected;
+    }
+
+    // Frequency the sweep has reached right now (0 when not playing)
+    getSweepFrequency() {
+        if (!this.playing || !this.audioContext) return 0;
+
+        const { sweepStart, sweepEnd, sweepDuration } = this.settings;
+        const elapsed = this.audioContext.currentTime - this.startedAt;
+        if (elapsed < 0) return 0;
+
+        const progress = (elapsed % sweepDuration) / sweepDuration;
+        return sweepStart * Math.pow(sweepEnd / sweepStart, progress);
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    // A test signal has no timeline
+    getCurrentTime() {
+        return 0;
+    }
+
+    getDuration() {
+        return 0;
+    }
+
+    getDescription() {
+        const { note, waveform, bpm, sweepStart, sweepEnd, sweepDuration } = this.settings;
+
+        switch (this.type) {
+            case 'sweep':
+                return `Test signal: sweep ${sweepStart}-${sweepEnd} Hz over ${sweepDuration}s`;
+            case 'pink-noise':
+                return 'Test signal: pink noise';
+            case 'clicks':
+                return `Test signal: clicks at ${bpm} BPM`;
+            default:
+                return `Test signal: ${note} ${waveform} (${SignalGenerator.noteToFrequency(note).toFixed(1)} Hz)`;
+        }
+    }
+
+    addCallback(callback) {
+        this.callbacks.push(callback);
+    }
+
+    removeCallback(callback) {
+        const index = this.callbacks.indexOf(callback);
+        if (index > -1) {
+            this.callbacks.splice(index, 1);
+        }
+    }
+
+    notifyCallbacks(eventName) {
+        this.callbacks.forEach(callback => {
+            try {
+                callback(eventName, this);
+            } catch (error) {
+                console.error('Error in signal generator callback:', error);
+            }
+        });
+    }
+
+    // Equal-tempered frequency of a named note ('A4', 'F#3', 'Bb2'), A4 = 440 Hz
+    static noteToFrequency(name) {
+        const match = /^([A-Ga-g])([#b]?)(-?\d)$/.exec(String(name).trim());
+        if (!match) {
+            throw new Error(`Unknown note "${name}" - use a name like A4, F#3 or Bb2.`);
+        }
+
+        const semitone = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[match[1].toUpperCase()];
+        const accidental = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+        const midi = (parseInt(match[3], 10) + 1) * 12 + semitone + accidental;
+
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+}
+
+SignalGenerator.TYPES = ['sweep', 'pink-noise', 'clicks', 'tone'];
+
+// Export for use in other modules
+window.SignalGenerator = SignalGenerator;
@@ -0,0 +1,122 @@
+// Stereo image from per-channel analysis: where the sound sits (pan, overall and per band)
+// and how wide the mix is. Channels are spread evenly from left (-1) to right (+1), so a
+// stereo desk feed gives the usual pan and a multi-channel interface a rough stage position
+class StereoAnalyzer {
+    constructor(options = {}) {
+        // How quickly the published estimates follow the music (seconds)
+        this.timeConstant = options.timeConstant || 0.3;
+
+        // Below this RMS on every channel the room is treated as quiet
+        this.minRms = options.minRms || 0.001;
+
+        this.reset();
+    }
+
+    reset() {
+        this.pan = 0;
+        this.width = 0;
+        this.correlation = 1;
+        this.bandPan = {};
+        this.lastTime = 0;
+    }
+
+    // channels: [{ frequencyData (dB), timeDomainData }] in input order (left, right, ...)
+    process(time, channels, binWidth, bands) {
+        const deltaSeconds = this.lastTime > 0 ? Math.min(1, (time - this.lastTime) / 1000) : 0;
+        this.lastTime = time;
+
+        const positions = channels.map((_, i) => channels.length > 1 ? -1 + 2 * i / (channels.length - 1) : 0);
+        const rms = channels.map(channel => this.calculateRms(channel.timeDomainData));
+
+        // Quiet room or a mono source: drift back to the centre
+        const targets = { pan: 0, correlation: 1, bandPan: {} };
+        if (channels.length > 1 && Math.max(...rms) >= this.minRms) {
+            targets.pan = this.weightedPosition(rms, positions);
+            targets.correlation = this.calculateCorrelation(channels[0].timeDomainData, channels[1].timeDomainData);
+
+            Object.entries(bands).forEach(([name, band]) => {
+                const amplitudes = channels.map(channel => Math.sqrt(this.calculateBandPower(channel.frequencyData, binWidth, band)));
+                targets.bandPan[name] = this.weightedPosition(amplitudes, positions);
+            });
+        }
+
+        const blend = deltaSeconds > 0 ? 1 - Math.exp(-deltaSeconds / this.timeConstant) : 1;
+        this.pan += (targets.pan - this.pan) * blend;
+        this.correlation += (targets.correlation - this.correlation) * blend;
+
+        // 0 = mono, 0.5 = unrelated left and right, 1 = out of phase
+        this.width = Math.max(0, Math.min(1, (1 - this.correlation) / 2));
+
+        const bandPan = {};
+        Object.keys(bands).forEach(name => {
+            const current = this.bandPan[name] || 0;
+            bandPan[name] = current + ((targets.bandPan[name] || 0) - current) * blend;
+        });
+        this.bandPan = bandPan;
+
+        return this.getState();
+    }
+
+    // Average channel position weighted by level (-1 left to +1 right)
+    weightedPosition(levels, positions) {
+        let weighted = 0;
+        let total = 0;
+        levels.forEach((level, i) => {
+            weighted += level * positions[i];
+            total += level;
+        });
+        return total > 0 ? weighted / total : 0;
+    }
+
+    calculateRms(buffer) {
+        if (!buffer || buffer.length === 0) return 0;
+
+        let sumSquares = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            sumSquares += buffer[i] * buffer[i];
+        }
+        return Math.sqrt(sumSquares / buffer.length);
+    }
+
+    // Linear power in a frequency range from float (dB) frequency data
+    calculateBandPower(frequencyData, binWidth, band) {
+        const startBin = Math.floor(band.min / binWidth);
+        const endBin = Math.min(frequencyData.length - 1, Math.floor(band.max / binWidth));
+        let power = 0;
+
+        for (let bin = startBin; bin <= endBin; bin++) {
+            const value = Math.pow(10, frequencyData[bin] / 10);
+            if (isFinite(value)) power += value;
+        }
+
+        return power;
+    }
+
+    // Phase correlation as on a desk's correlation meter: +1 mono, 0 wide, -1 out of phase.
+    // A channel with nothing on it (a hard-panned source) counts as unrelated
+    calculateCorrelation(left, right) {
+        let product = 0;
+        let leftPower = 0;
+        let rightPower = 0;
+
+        for (let i = 0; i < left.length && i < right.length; i++) {
+            product += left[i] * right[i];
+            leftPower += left[i] * left[i];
+            rightPower += right[i] * right[i];
+        }
+
+        return leftPower > 0 && rightPower > 0 ? product / Math.sqrt(leftPower * rightPower) : 0;
+    }
+
+    getState() {
+        return {
+            pan: this.pan,
+            width: this.width,
+            correlation: this.correlation,
+            bandPan: { ...this.bandPan }
+        };
+    }
+}
+
+// Export for use in other modules
+window.StereoAnalyzer = StereoAnalyzer;
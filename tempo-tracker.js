@@ -0,0 +1,290 @@
+// Tempo (BPM) tracking with phase-locked beat prediction
+// Estimates tempo from the history of onsets (note attacks and drum hits) and keeps a
+// beat clock in step with the music, so visuals can land on the beat instead of after it
+class TempoTracker {
+    constructor(options = {}) {
+        // Tempo range - wide enough for slow airs and waltzes through to fast reels
+        this.minBpm = options.minBpm || 60;
+        this.maxBpm = options.maxBpm || 240;
+
+        // Most dance tunes sit around here; used to settle half/double tempo ambiguity
+        this.preferredBpm = options.preferredBpm || 120;
+
+        // Onset peak picking
+        this.onsetSettings = {
+            thresholdMultiplier: 1.5,  // Standard deviations above the recent mean
+            minStrength: 0.002,        // Ignore flux from background noise
+            minInterval: 80,           // ms between onsets (16th notes at 190 BPM)
+            windowLength: 1000         // ms of onset strength history for the threshold
+        };
+
+        // Tempo estimation
+        this.historyLength = 8000;     // ms of onsets kept for inter-onset intervals
+        this.histogramHalfLife = 4000; // ms for old tempo evidence to fade
+        this.minConfidence = 0.15;     // Below this the tempo is not published
+
+        // Beat phase locking
+        this.phaseCorrection = 0.25;   // How strongly each onset pulls the beat clock
+        this.silenceTimeout = 4000;    // ms without onsets before the lock is dropped
+
+        this.reset();
+    }
+
+    reset() {
+        this.strengthHistory = [];
+        this.wasAboveThreshold = false;
+        this.onsets = [];
+        this.lastOnsetTime = 0;
+
+        // One histogram bin per BPM
+        this.histogram = new Float32Array(this.maxBpm - this.minBpm + 1);
+        this.lastHistogramTime = 0;
+
+        this.bpm = 0;
+        this.confidence = 0;
+        this.candidateBpm = 0;
+        this.candidateCount = 0;
+
+        this.lastBeatTime = 0;
+        this.nextBeatTime = 0;
+    }
+
+    // Feed one analysis frame: time in ms and the onset strength (e.g. spectral flux)
+    process(time, onsetStrength) {
+        const onset = this.detectOnset(time, onsetStrength);
+
+        if (onset) {
+            this.addOnset(time, onsetStrength);
+        }
+
+        // Drop the lock after a long silence (e.g. between tunes)
+        if (this.bpm > 0 && time - this.lastOnsetTime > this.silenceTimeout) {
+            this.confidence *= 0.95;
+            if (this.confidence < this.minConfidence * 0.5) {
+                this.bpm = 0;
+                this.nextBeatTime = 0;
+            }
+        }
+
+        const beat = this.advanceBeatClock(time);
+
+        return this.getState(time, onset, beat);
+    }
+
+    detectOnset(time, strength) {
+        const settings = this.onsetSettings;
+
+        this.strengthHistory.push({ time, strength });
+        while (this.strengthHistory.length > 0 && time - this.strengthHistory[0].time > settings.windowLength) {
+            this.strengthHistory.shift();
+        }
+
+        // Adaptive threshold from the recent onset strength
+        let sum = 0;
+        let sumSquares = 0;
+        this.strengthHistory.forEach(entry => {
+            sum += entry.strength;
+            sumSquares += entry.strength * entry.strength;
+        });
+        const count = this.strengthHistory.length;
+        const mean = sum / count;
+        const deviation = Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+        const threshold = Math.max(settings.minStrength, mean + settings.thresholdMultiplier * deviation);
+
+        // Only fire when crossing the threshold, not on every frame above it
+        const isAbove = strength > threshold;
+        const isOnset = isAbove && !this.wasAboveThreshold &&
+                        time - this.lastOnsetTime > settings.minInterval;
+
+        this.wasAboveThreshold = isAbove;
+
+        return isOnset;
+    }
+
+    addOnset(time, strength) {
+        this.decayHistogram(time);
+
+        // Drop onsets that are too old to matter
+        while (this.onsets.length > 0 && time - this.onsets[0].time > this.historyLength) {
+            this.onsets.shift();
+        }
+
+        // Vote for every tempo the new onset is consistent with. Intervals can span
+        // several beats, so each one also votes (more weakly) for its subdivisions
+        const maxInterval = 4 * 60000 / this.minBpm;
+        this.onsets.forEach(previous => {
+            const interval = time - previous.time;
+            if (interval > maxInterval) return;
+
+            const weight = Math.sqrt(strength * previous.strength);
+            for (let beats = 1; beats <= 4; beats++) {
+                const bpm = 60000 / (interval / beats);
+                if (bpm < this.minBpm || bpm > this.maxBpm) continue;
+                this.addVote(bpm, weight / beats);
+            }
+        });
+
+        this.onsets.push({ time, strength });
+        this.lastOnsetTime = time;
+
+        this.updateTempoEstimate();
+        this.correctPhase(time);
+    }
+
+    addVote(bpm, weight) {
+        // Spread each vote over neighbouring bins to tolerate timing jitter
+        const center = bpm - this.minBpm;
+        const start = Math.max(0, Math.floor(center - 3));
+        const end = Math.min(this.histogram.length - 1, Math.ceil(center + 3));
+
+        for (let i = start; i <= end; i++) {
+            const distance = (i - center) / 1.5;
+            this.histogram[i] += weight * Math.exp(-0.5 * distance * distance);
+        }
+    }
+
+    decayHistogram(time) {
+        if (this.lastHistogramTime > 0) {
+            const decay = Math.pow(0.5, (time - this.lastHistogramTime) / this.histogramHalfLife);
+            for (let i = 0; i < this.histogram.length; i++) {
+                this.histogram[i] *= decay;
+            }
+        }
+        this.lastHistogramTime = time;
+    }
+
+    updateTempoEstimate() {
+        let bestIndex = -1;
+        let bestScore = 0;
+        let total = 0;
+
+        for (let i = 0; i < this.histogram.length; i++) {
+            // Gentle preference for the usual dance tempo (log-scale, so 60 and 240 weigh the same)
+            const bpm = i + this.minBpm;
+            const octaves = Math.log2(bpm / this.preferredBpm);
+            const score = this.histogram[i] * Math.exp(-0.5 * octaves * octaves);
+
+            total += this.histogram[i];
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = i;
+            }
+        }
+
+        if (bestIndex < 0 || total <= 0) return;
+
+        // Refine to a fractional BPM using the neighbouring bins
+        let estimate = bestIndex + this.minBpm;
+        if (bestIndex > 0 && bestIndex < this.histogram.length - 1) {
+            const left = this.histogram[bestIndex - 1];
+            const center = this.histogram[bestIndex];
+            const right = this.histogram[bestIndex + 1];
+            const denominator = left - 2 * center + right;
+            if (denominator !== 0) {
+                estimate += 0.5 * (left - right) / denominator;
+            }
+        }
+
+        // Confidence: how much of the evidence sits in the winning peak
+        let peakMass = 0;
+        for (let i = Math.max(0, bestIndex - 3); i <= Math.min(this.histogram.length - 1, bestIndex + 3); i++) {
+            peakMass += this.histogram[i];
+        }
+        const peakConfidence = Math.min(1, (peakMass / total) * 2.5);
+        const evidence = Math.min(1, this.onsets.length / 8);
+        this.confidence = peakConfidence * evidence;
+
+        if (this.bpm === 0) {
+            if (this.confidence >= this.minConfidence) {
+                this.bpm = estimate;
+            }
+            return;
+        }
+
+        // Small drift: follow smoothly. Big jump: wait until it has been seen a few times
+        if (Math.abs(estimate - this.bpm) / this.bpm < 0.06) {
+            this.bpm = this.bpm * 0.8 + estimate * 0.2;
+            this.candidateCount = 0;
+        } else if (this.candidateBpm && Math.abs(estimate - this.candidateBpm) / this.candidateBpm < 0.06) {
+            this.candidateCount++;
+            if (this.candidateCount >= 4) {
+                console.log(`🥁 Tempo change: ${this.bpm.toFixed(1)} → ${estimate.toFixed(1)} BPM`);
+                this.bpm = estimate;
+                this.candidateCount = 0;
+            }
+        } else {
+            this.candidateBpm = estimate;
+            this.candidateCount = 1;
+        }
+    }
+
+    correctPhase(time) {
+        if (this.bpm === 0) return;
+
+        const period = 60000 / this.bpm;
+
+        // Where in the beat cycle do the onsets fall? A strength-weighted circular mean
+        // favours the strong hits, so the clock locks to the beat rather than the off-beat
+        const origin = this.onsets[0].time;
+        let sin = 0;
+        let cos = 0;
+        this.onsets.forEach(onset => {
+            const recency = Math.pow(0.5, (time - onset.time) / this.histogramHalfLife);
+            const angle = 2 * Math.PI * ((onset.time - origin) % period) / period;
+            sin += onset.strength * recency * Math.sin(angle);
+            cos += onset.strength * recency * Math.cos(angle);
+        });
+        if (sin === 0 && cos === 0) return;
+
+        const offset = ((Math.atan2(sin, cos) / (2 * Math.PI)) * period + period) % period;
+        const anchor = origin + offset;
+        const targetNextBeat = anchor + Math.ceil((time - anchor) / period) * period;
+
+        // First lock: jump straight to the beat grid
+        if (this.nextBeatTime === 0) {
+            this.nextBeatTime = targetNextBeat;
+            this.lastBeatTime = targetNextBeat - period;
+            return;
+        }
+
+        // Afterwards nudge the clock gradually so the beat doesn't jitter
+        let error = (targetNextBeat - this.nextBeatTime) % period;
+        if (error > period / 2) error -= period;
+        if (error < -period / 2) error += period;
+
+        this.nextBeatTime += error * this.phaseCorrection;
+        this.lastBeatTime = this.nextBeatTime - period;
+    }
+
+    advanceBeatClock(time) {
+        if (this.bpm === 0 || this.nextBeatTime === 0) return false;
+
+        const period = 60000 / this.bpm;
+        let beat = false;
+
+        while (time >= this.nextBeatTime) {
+            this.lastBeatTime = this.nextBeatTime;
+            this.nextBeatTime += period;
+            beat = true;
+        }
+
+        return beat;
+    }
+
+    getState(time, onset = false, beat = false) {
+        const locked = this.bpm > 0 && this.nextBeatTime > 0 && this.confidence >= this.minConfidence;
+        const period = this.bpm > 0 ? 60000 / this.bpm : 0;
+
+        return {
+            bpm: locked ? this.bpm : 0,
+            confidence: this.confidence,
+            beatPhase: locked ? Math.max(0, Math.min(1, (time - this.lastBeatTime) / period)) % 1 : 0,
+            predictedNextBeat: locked ? this.nextBeatTime : 0,
+            beat: locked && beat,
+            onset: onset
+        };
+    }
+}
+
+// Export for use in other modules
+window.TempoTracker = TempoTracker;
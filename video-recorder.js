@@ -0,0 +1,192 @@
+// Records the visualization as a WebM video with the live audio, for posting clips of the night
+// Frames are copied from the display canvas into a canvas of the chosen size (cropped to fill
+// it, so square and portrait clips work), which is captured at the chosen frame rate and mixed
+// with the audio track by a MediaRecorder. The engine hands over each frame before or after
+// the debug overlay is drawn (see VisualizationEngine.setFrameCapture), and the countdown and
+// recording indicator are page elements, never drawn on the canvas - so neither is recorded
+class VideoRecorder {
+    constructor() {
+        this.state = 'idle';            // 'idle' | 'countdown' | 'recording'
+        this.options = null;
+        this.canvas = null;             // The canvas being recorded, at the output size
+        this.ctx = null;
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+        this.startedAt = 0;
+        this.lastFrameAt = 0;
+        this.countdownTimer = null;
+
+        // onStateChange(state); onCountdown(secondsLeft); onComplete(blob, seconds)
+        this.onStateChange = null;
+        this.onCountdown = null;
+        this.onComplete = null;
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    static getMimeType(withAudio) {
+        const types = withAudio ?
+            ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'] :
+            ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    // Output size for a resolution option; 'canvas' keeps the display's size (made even for the encoder)
+    static getSize(resolution, sourceWidth, sourceHeight) {
+        const option = VideoRecorder.RESOLUTIONS[resolution];
+        if (!option) {
+            throw new Error(`Unknown resolution "${resolution}" - use ${Object.keys(VideoRecorder.RESOLUTIONS).join(', ')}.`);
+        }
+        if (option.width) {
+            return { width: option.width, height: option.height };
+        }
+        return { width: Math.floor(sourceWidth / 2) * 2, height: Math.floor(sourceHeight / 2) * 2 };
+    }
+
+    // options: { resolution, frameRate, countdown (seconds), includeOverlay, sourceWidth,
+    // sourceHeight, audioStream (or null for a silent video) }
+    start(options) {
+        if (this.state !== 'idle') return;
+        if (!VideoRecorder.isSupported()) {
+            throw new Error('This browser cannot record video - try Chrome, Edge or Firefox.');
+        }
+        if (!VideoRecorder.FRAME_RATES.includes(options.frameRate)) {
+            throw new Error(`Frame rate must be one of ${VideoRecorder.FRAME_RATES.join(', ')}.`);
+        }
+
+        this.options = { ...options, ...VideoRecorder.getSize(options.resolution, options.sourceWidth, options.sourceHeight) };
+
+        const countdown = Math.max(0, Math.round(options.countdown || 0));
+        if (countdown === 0) {
+            this.begin();
+            return;
+        }
+
+        this.setState('countdown');
+        let secondsLeft = countdown;
+        if (this.onCountdown) this.onCountdown(secondsLeft);
+
+        this.countdownTimer = setInterval(() => {
+            secondsLeft--;
+            if (secondsLeft > 0) {
+                if (this.onCountdown) this.onCountdown(secondsLeft);
+                return;
+            }
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+            this.begin();
+        }, 1000);
+    }
+
+    begin() {
+        const { width, height, frameRate, audioStream } = this.options;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(0, 0, width, height);
+
+        this.stream = this.canvas.captureStream(frameRate);
+        const audioTracks = audioStream ? audioStream.getAudioTracks() : [];
+        audioTracks.forEach(track => this.stream.addTrack(track));
+
+        const mimeType = VideoRecorder.getMimeType(audioTracks.length > 0);
+        const videoBitsPerSecond = Math.round(Math.min(16e6, Math.max(2.5e6, width * height * frameRate * 0.08)));
+        this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType, videoBitsPerSecond } : { videoBitsPerSecond });
+
+        this.chunks = [];
+        this.recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+        this.recorder.onstop = () => this.finish();
+
+        this.recorder.start(1000);
+        this.startedAt = performance.now();
+        this.lastFrameAt = 0;
+        this.setState('recording');
+
+        console.log(`🎥 Recording video ${width}×${height} at ${frameRate} fps${audioTracks.length > 0 ? ' with audio' : ' (no audio)'}`);
+    }
+
+    // Called by the engine with the display canvas every animation frame
+    capture(source) {
+        if (this.state !== 'recording') return;
+
+        // Only as often as the output frame rate needs
+        const now = performance.now();
+        if (now - this.lastFrameAt < 1000 / this.options.frameRate - 2) return;
+        this.lastFrameAt = now;
+
+        // Crop the display to the output's shape, then scale it to fill the output
+        const { width, height } = this.canvas;
+        const scale = Math.max(width / source.width, height / source.height);
+        const cropWidth = width / scale;
+        const cropHeight = height / scale;
+        this.ctx.drawImage(source, (source.width - cropWidth) / 2, (source.height - cropHeight) / 2, cropWidth, cropHeight, 0, 0, width, height);
+    }
+
+    // Includes the debug overlay in the frames given to capture()?
+    get includeOverlay() {
+        return !!(this.options && this.options.includeOverlay);
+    }
+
+    stop() {
+        if (this.state === 'countdown') {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+            this.setState('idle');
+            console.log('🎥 Video recording cancelled');
+            return;
+        }
+
+        if (this.state === 'recording' && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+    }
+
+    finish() {
+        const seconds = (performance.now() - this.startedAt) / 1000;
+        const blob = new Blob(this.chunks, { type: (this.recorder.mimeType || 'video/webm').split(';')[0] });
+
+        // The audio tracks belong to the audio processor - only the canvas track ends here
+        this.stream.getVideoTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+        this.canvas = null;
+        this.ctx = null;
+        this.setState('idle');
+
+        console.log(`🎥 Video recorded: ${seconds.toFixed(1)}s, ${(blob.size / 1024 / 1024).toFixed(1)} MB`);
+        if (this.onComplete) this.onComplete(blob, seconds);
+    }
+
+    getElapsed() {
+        return this.state === 'recording' ? (performance.now() - this.startedAt) / 1000 : 0;
+    }
+
+    setState(state) {
+        this.state = state;
+        if (this.onStateChange) this.onStateChange(state);
+    }
+}
+
+VideoRecorder.RESOLUTIONS = {
+    canvas: { name: 'As Shown' },
+    '720p': { name: '1280×720', width: 1280, height: 720 },
+    '1080p': { name: '1920×1080', width: 1920, height: 1080 },
+    square: { name: 'Square 1080×1080', width: 1080, height: 1080 },
+    portrait: { name: 'Portrait 1080×1920', width: 1080, height: 1920 }
+};
+VideoRecorder.FRAME_RATES = [24, 30, 60];
+
+// Export for use in other modules
+window.VideoRecorder = VideoRecorder;
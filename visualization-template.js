@@ -2,12 +2,10 @@
  * VISUALIZATION TEMPLATE
  * 
  * Use this template to create new visualization types.
- * Copy this file and modify the renderNewVisualization function.
- * 
- * To integrate a new visualization:
- * 1. Add your visualization mode to index.html <select> options
- * 2. Add a new case in visualizations.js animate() method
- * 3. Copy your render function into the VisualizationEngine class
+ * Copy this file, modify the render functions and the class at the bottom, and add a
+ * <script> tag for your file after visualizations.js in index.html and audience.html (the
+ * second-screen window). That's all - the mode menu, debug toggle and console help come
+ * from VisualizationEngine.register().
  */
 
 // Example: New visualization that shows floating musical notes
@@ -31,7 +29,7 @@ function renderMusicalNotes(ctx, audioData, time, width, height, colors) {
     const midEnergy = audioData.midEnergy || 0;
     const trebleEnergy = audioData.trebleEnergy || 0;
     const dominantFreq = audioData.dominantFrequency || 440;
-    const dominantNote = audioData.dominantNote || 'C';
+    const dominantNote = audioData.dominantNote || '-';
     const beatDetected = audioData.beatDetected || false;
     
     // YOUR VISUALIZATION CODE HERE
@@ -163,63 +161,111 @@ function renderGeometricPatterns(ctx, audioData, time, width, height, colors) {
     ctx.fillText(`Volume: ${volume.toFixed(1)}%`, centerX, height - 40);
 }
 
+// The visualization class: render() is required, the rest of the lifecycle is optional
+class MusicalNotesVisualization {
+    // Called once, before the first render: { engine, canvas, ctx, width, height }
+    init(context) {
+        this.settings = { showInfo: true };
+    }
+    
+    // Called every animation frame - draw to ctx, which is an offscreen canvas during transitions
+    render(ctx, audioData, time, width, height, colors) {
+        renderMusicalNotes(ctx, audioData, time, width, height, colors);
+    }
+    
+    // Optional: debug text drawn over the finished frame - clean video recordings leave it out
+    // renderOverlay(ctx, audioData, time, width, height, colors) {
+    // }
+    
+    // Called when the canvas changes size (e.g. going fullscreen)
+    resize(width, height) {
+    }
+    
+    // Called when the visualization stops - release anything held
+    dispose() {
+    }
+    
+    // Plain-object settings, for liveMusicArtwork.getVisualizationSettings() / setVisualizationSettings()
+    getSettings() {
+        return { ...this.settings };
+    }
+    
+    setSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+    }
+    
+    // Optional: check settings from presets and links before they are applied
+    static checkSettings(settings) {
+        const checked = {};
+        if (settings.showInfo !== undefined) {
+            if (typeof settings.showInfo !== 'boolean') {
+                throw new Error('Musical Notes showInfo must be true or false.');
+            }
+            checked.showInfo = settings.showInfo;
+        }
+        return checked;
+    }
+}
+
+// Register the mode: the id is what setVisualizationMode() takes, name is the menu label
+VisualizationEngine.register('musicalnotes', MusicalNotesVisualization, {
+    name: 'Musical Notes',
+    description: 'Notes float with the bass, mid and treble energy',
+    debugInfo: false,   // true if the class has toggleDebugInfo(show) / getDebugInfoState()
+    diagnostic: false,  // true for test views that automatic transitions should skip
+    help: [],           // Console help lines: 'liveMusicArtwork.command() - what it does'
+    examples: []        // Extra lines printed with the console examples
+});
+
 /**
- * HOW TO INTEGRATE A NEW VISUALIZATION:
- * 
- * 1. In index.html, add your option to the select:
- *    <option value="mynewvis">My New Visualization</option>
- * 
- * 2. In visualizations.js, modify the animate() method:
- *    else if (this.currentMode === 'mynewvis') {
- *        this.renderMyNewVisualization();
- *    }
- * 
- * 3. Add your render method to the VisualizationEngine class:
- *    renderMyNewVisualization() {
- *        const colors = this.colorSchemes[this.currentColorScheme];
- *        const centerX = this.width / 2;
- *        const centerY = this.height / 2;
- *        
- *        // Call your template function or write inline
- *        renderMusicalNotes(this.ctx, this.audioData, this.time, this.width, this.height, colors);
- *    }
- * 
- * 4. Update app.js console help text to include your new mode
- * 
  * AVAILABLE AUDIO DATA:
  * - audioData.volume (0-100): Overall volume level
  * - audioData.bassEnergy (0-100): Low frequency energy (20-200 Hz)
  * - audioData.midEnergy (0-100): Mid frequency energy (200-2000 Hz)  
  * - audioData.trebleEnergy (0-100): High frequency energy (2000-8000 Hz)
  * - audioData.highEnergy (0-100): Very high frequency energy (8000+ Hz)
- * - audioData.dominantFrequency: The strongest frequency in Hz
- * - audioData.dominantNote: Musical note (e.g., "C", "F#", "Bb")
+ * - audioData.dominantFrequency: Fundamental pitch in Hz (loudest FFT bin when there is no clear pitch)
+ * - audioData.dominantNote: Musical note with octave (e.g., "D4", "F#5"), '' when there is no clear pitch
+ * - audioData.pitchConfidence (0-1): How clear the detected pitch is
+ * - audioData.pitchCents (-50 to +50): How far the pitch is from the named note
  * - audioData.beatDetected: Boolean - true when beat is detected
- * - audioData.rawFrequencyData: Uint8Array of FFT data (1024 samples)
+ * - audioData.injectedBeat: {velocity} on a beat from a MIDI pad rather than the audio (else absent)
+ * - audioData.chroma: Array of 12 values (0-1), energy per pitch class starting at C
+ * - audioData.chord: { name: 'G', root: 'G', quality: 'major'|'minor', confidence: 0-1 }
+ * - audioData.key: { name: 'D Mixolydian', tonic: 'D', mode: 'major'|'dorian'|'mixolydian'|'minor', confidence: 0-1 }
+ * - audioData.instruments: { fiddle, accordion, flute, bodhran, pipes } - how likely each is playing (0-1)
+ * - audioData.onsets: {bass, mid, treble, high} - true on the frame a note/hit starts in that band
+ * - audioData.onsetStrength: {bass, mid, treble, high} - spectral flux per band (0-1)
+ * - audioData.bpm: Tracked tempo in BPM (0 until the tracker has locked on)
+ * - audioData.tempoConfidence (0-1): How sure the tempo tracker is
+ * - audioData.beatPhase (0-1): Position within the current beat (0 = on the beat)
+ * - audioData.predictedNextBeat: Date.now() timestamp (ms) of the next predicted beat
+ * - audioData.bandEnergies: { bandName: 0-100 } for every configured band, including custom ones
+ * - audioData.rawFrequencyData: Uint8Array of FFT data (fftSize / 2 values)
+ * - audioData.fftSize / audioData.smoothing / audioData.sampleRate: Current analyser settings
+ * - audioData.channelCount: Number of input channels analysed (1 for a mono microphone)
+ * - audioData.channels: [{volume, bandEnergies}] per input channel (0-100, left first)
+ * - audioData.channelWaveforms: Float32Array waveform per input channel (-1 to 1, left first)
+ * - audioData.pan: Where the sound sits, -1 (left) to +1 (right)
+ * - audioData.bandPan: {bass, mid, treble, high} - pan of each band (-1 to +1)
+ * - audioData.stereoWidth: 0 (mono) to 1 (out of phase), ~0.5 for a wide mix
+ * - audioData.stereoCorrelation: Phase correlation between the first two channels (-1 to +1)
+ * - audioData.featureTrack: true while a pre-computed feature track replaces live analysis. Then also:
+ *   - audioData.upcomingBeats: Date.now() timestamps (ms) of the next beats
+ *   - audioData.section: {start, end, key, bpm, volume} - the tune playing now (times in seconds)
+ *   - audioData.nextSection: the next tune, with startsAt as a Date.now() timestamp (null at the end)
+ * - audioData.testSignal: {type, description, frequency, note, bpm} - what a generated test signal
+ *   should read as (null unless the input is the signal generator)
+ * - audioData.analysisMode: 'worklet' (fixed-rate frames from the audio thread) or 'animation-frame'
  * - audioData.sensitivity: Current sensitivity setting (1-10)
+ * - audioData.calibration: { phase: 'idle'|'noise'|'soundcheck', progress: 0-1, calibrated, autoGain }
  * 
- * AVAILABLE COLORS (this.colorSchemes[this.currentColorScheme]):
+ * AVAILABLE COLORS (the colors argument to render()):
  * - colors.primary[]: Main colors (usually 3 values)
  * - colors.secondary[]: Secondary colors (usually 3 values)
  * - colors.accent[]: Accent colors (usually 3 values)
  * 
- * ANIMATION VARIABLES:
- * - this.time: Continuously incrementing time value for smooth animations
- * - this.width/this.height: Canvas dimensions
- * 
- * EXAMPLE INTEGRATION:
- * 
- * // In visualizations.js, add to animate() method:
- * else if (this.currentMode === 'musicalnotes') {
- *     this.renderMusicalNotes();
- * }
- * 
- * // Then add the method to VisualizationEngine class:
- * renderMusicalNotes() {
- *     const colors = this.colorSchemes[this.currentColorScheme];
- *     renderMusicalNotes(this.ctx, this.audioData, this.time, this.width, this.height, colors);
- * }
- * 
- * // In index.html, add to the select:
- * <option value="musicalnotes">Musical Notes</option>
+ * ANIMATION VARIABLES (render() arguments):
+ * - time: Continuously incrementing time value for smooth animations
+ * - width/height: Canvas dimensions
  */ 
\ No newline at end of file
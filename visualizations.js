@@ -20,59 +20,170 @@ class VisualizationEngine {
         // Debug tracking
         this.maxVolumeDetected = 0;
         
-        // Current visualization reference
+        // Last onset time per band, so single-frame onsets stay visible for a moment
+        this.onsetFlashTimes = {};
+        
+        // Rolling volume/band/beat history for the Audio Test graph
+        this.audioHistory = new AudioHistory();
+        
+        // Oscilloscope / spectrogram / band meter panels that can replace the Audio Test overview
+        this.diagnosticPanels = new DiagnosticPanels();
+        
+        // Current visualization, and every one shown so far by mode id (see register())
         this.currentVisualization = null;
+        this.visualizations = new Map();
         
-        // Color schemes
-        this.colorSchemes = {
-            celtic: {
-                primary: ['#00ff87', '#60efff', '#88d8c0'],
-                secondary: ['#7209b7', '#560bad', '#480ca8'],
-                accent: ['#f72585', '#b5179e', '#7209b7']
-            },
-            fire: {
-                primary: ['#ff6b35', '#f7931e', '#ffd23f'],
-                secondary: ['#c1272d', '#a4161a', '#ba181b'],
-                accent: ['#e85d04', '#dc2f02', '#9d0208']
-            },
-            ocean: {
-                primary: ['#06ffa5', '#39a0ca', '#0077be'],
-                secondary: ['#004e89', '#1a508b', '#0f3460'],
-                accent: ['#7209b7', '#560bad', '#480ca8']
-            },
-            sunset: {
-                primary: ['#ffbe0b', '#fb8500', '#ff006e'],
-                secondary: ['#8338ec', '#3a86ff', '#06ffa5'],
-                accent: ['#fb8500', '#ffb3c6', '#ffccd5']
-            }
-        };
+        // Transitions between modes: both are drawn to offscreen canvases and blended
+        this.transitionSettings = { style: 'crossfade', duration: 1.5 }; // duration in seconds
+        this.transition = null;
+        this.transitionCanvases = null;
+        this.lastBeatTime = 0;
+        this.frameCapture = null;   // Video recording (see setFrameCapture)
         
+        // Color schemes
+        this.colorSchemes = VisualizationEngine.COLOR_SCHEMES;
         this.currentColorScheme = 'celtic';
-        this.currentMode = 'audiotest';
+        this.currentMode = null;
         
+        // Animation loop is now controlled by start() and stop() methods
+    }
 
+    // Add a visualization mode. The class is constructed the first time its mode is shown and
+    // follows the lifecycle below; everything except render() is optional:
+    //   init({ engine, canvas, ctx, width, height })  once, before the first render
+    //   render(ctx, audioData, time, width, height, colors)  every animation frame
+    //   renderOverlay(ctx, audioData, time, width, height, colors)  debug text over the finished
+    //     frame, after any transition - left out of clean video recordings
+    //   resize(width, height)  when the canvas changes size
+    //   dispose()  when the engine stops
+    //   getSettings() / setSettings(settings)  plain-object settings for the console
+    //   static checkSettings(settings)  a checked copy of settings for setSettings(); presets and
+    //     links go through it before anything is applied, so throw if they can't be used
+    // render() may be given an offscreen canvas's context during a transition, so draw to ctx.
+    // metadata: { name (menu label), description, debugInfo (has toggleDebugInfo/getDebugInfoState),
+    // diagnostic (a test view, skipped by automatic transitions),
+    // help: ['liveMusicArtwork.command() - what it does', ...], examples: [console lines] }
+    static register(id, VisualizationClass, metadata = {}) {
+        if (typeof VisualizationClass !== 'function' || typeof VisualizationClass.prototype.render !== 'function') {
+            throw new Error(`Visualization "${id}" needs a class with a render() method.`);
+        }
+        if (VisualizationEngine.registry.has(id)) {
+            console.warn(`⚠️ Visualization "${id}" registered twice - using the latest`);
+        }
         
-        // Initialize all visualizations
-        this.balloonFloatViz = new BalloonFloatVisualization();
-        
-        // Animation loop is now controlled by start() and stop() methods
+        VisualizationEngine.registry.set(id, {
+            VisualizationClass,
+            metadata: { name: id, description: '', debugInfo: false, diagnostic: false, help: [], examples: [], ...metadata }
+        });
     }
 
-    setMode(mode) {
+    // Registered modes in registration order: [{ id, name, description, debugInfo, diagnostic, help, examples }]
+    static getRegisteredModes() {
+        return Array.from(VisualizationEngine.registry.keys()).map(id => VisualizationEngine.getModeInfo(id));
+    }
+
+    static getModeInfo(id) {
+        const entry = VisualizationEngine.registry.get(id);
+        return entry ? { id, ...entry.metadata } : null;
+    }
+
+    // A copy of a mode's settings, checked by its class when it has checkSettings()
+    static checkSettings(id, settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error(`Settings for the "${id}" visualization must be an object.`);
+        }
+
+        const entry = VisualizationEngine.registry.get(id);
+        const copy = JSON.parse(JSON.stringify(settings));
+        return entry && entry.VisualizationClass.checkSettings ? entry.VisualizationClass.checkSettings(copy) : copy;
+    }
+
+    // Switch mode, with a transition while running. transition overrides the transition
+    // settings for this switch ({ style, duration })
+    setMode(mode, transition = {}) {
+        const previous = this.currentVisualization;
         this.currentMode = mode;
+        this.currentVisualization = this.getVisualization(mode);
         
-        // Set the current visualization reference
-        switch(mode) {
-            case 'balloon-float':
-                this.currentVisualization = this.balloonFloatViz;
-                break;
-            default:
-                this.currentVisualization = null;
+        if (!this.currentVisualization) {
+            console.warn(`⚠️ Unknown visualization mode: ${mode}`);
+            this.transition = null;
+            return;
+        }
+        
+        const settings = { ...this.transitionSettings, ...transition };
+        if (this.isRunning && previous && previous !== this.currentVisualization && settings.style !== 'none') {
+            this.startTransition(previous, settings);
+        } else {
+            this.transition = null;
         }
         
         console.log(`🎨 Visualization mode set to: ${mode}`);
     }
 
+    // { style: 'crossfade'|'wipe'|'beat-cut'|'none', duration: seconds }
+    setTransition(settings) {
+        const next = { ...this.transitionSettings, ...settings };
+        
+        if (!VisualizationEngine.TRANSITIONS[next.style]) {
+            throw new Error(`Unknown transition "${next.style}" - use ${Object.keys(VisualizationEngine.TRANSITIONS).join(', ')}.`);
+        }
+        if (!(next.duration > 0 && next.duration <= 10)) {
+            throw new Error('Transition duration must be more than 0 and at most 10 seconds.');
+        }
+        
+        this.transitionSettings = next;
+    }
+
+    startTransition(from, settings) {
+        const now = Date.now();
+        this.transition = {
+            from: from,
+            style: settings.style,
+            duration: settings.duration * 1000,
+            startedAt: now,
+            cutAt: null
+        };
+        
+        // Cut on the tracked beat if the tempo is known, otherwise on the next detected one
+        if (settings.style === 'beat-cut' && this.audioData && this.audioData.bpm > 0 && this.audioData.predictedNextBeat > now) {
+            this.transition.cutAt = this.audioData.predictedNextBeat;
+        }
+    }
+
+    isTransitioning() {
+        return this.transition !== null;
+    }
+
+    // The visualization for a mode, created and initialised on first use (null if unregistered)
+    getVisualization(mode) {
+        if (!this.visualizations.has(mode)) {
+            const entry = VisualizationEngine.registry.get(mode);
+            if (!entry) return null;
+            
+            const visualization = new entry.VisualizationClass();
+            if (visualization.init) {
+                visualization.init({ engine: this, canvas: this.canvas, ctx: this.ctx, width: this.width, height: this.height });
+            }
+            this.visualizations.set(mode, visualization);
+        }
+        
+        return this.visualizations.get(mode);
+    }
+
+    getSettings() {
+        const visualization = this.currentVisualization;
+        return visualization && visualization.getSettings ? visualization.getSettings() : {};
+    }
+
+    setSettings(settings) {
+        const visualization = this.currentVisualization;
+        if (!visualization || !visualization.setSettings) {
+            throw new Error(`The ${this.currentMode} visualization has no settings.`);
+        }
+        visualization.setSettings(settings);
+    }
+
     setColorScheme(scheme) {
         if (this.colorSchemes[scheme]) {
             this.currentColorScheme = scheme;
@@ -80,6 +191,23 @@ class VisualizationEngine {
         }
     }
 
+    // Seconds of history shown in the Audio Test graph
+    setHistoryWindow(seconds) {
+        this.audioHistory.setWindow(seconds);
+        console.log(`📈 Audio history window: ${this.audioHistory.windowSeconds}s`);
+    }
+
+    // Hold the history graph still while the input is paused
+    setHistoryPaused(paused) {
+        this.audioHistory.setPaused(paused);
+    }
+
+    // 'overview' (the usual Audio Test), 'oscilloscope', 'spectrogram', 'meters' or 'goniometer'
+    setDiagnosticPanel(panel) {
+        this.diagnosticPanels.setPanel(panel);
+        console.log(`🩺 Audio Test panel: ${this.diagnosticPanels.getTitle()}`);
+    }
+
     updateAudioData(data) {
         this.audioData = data;
         
@@ -87,6 +215,22 @@ class VisualizationEngine {
         if (data && data.volume > this.maxVolumeDetected) {
             this.maxVolumeDetected = data.volume;
         }
+        
+        this.audioHistory.record(data);
+        this.diagnosticPanels.update(data);
+        
+        if (data && data.beatDetected) {
+            this.lastBeatTime = Date.now();
+        }
+        
+        if (data && data.onsets) {
+            const now = Date.now();
+            Object.entries(data.onsets).forEach(([band, onset]) => {
+                if (onset) {
+                    this.onsetFlashTimes[band] = now;
+                }
+            });
+        }
     }
 
     animate() {
@@ -94,17 +238,101 @@ class VisualizationEngine {
         
         this.time += 0.016; // ~60fps
         
-        if (this.currentMode === 'audiotest') {
-            this.renderAudioTest();
-        } else if (this.currentMode === 'balloon-float') {
-            this.renderBalloonFloat();
+        const colors = this.colorSchemes[this.currentColorScheme];
+        if (this.transition) {
+            this.renderTransition(colors);
+        } else if (this.currentVisualization) {
+            this.currentVisualization.render(this.ctx, this.audioData, this.time, this.width, this.height, colors);
         } else {
             this.renderIdle();
         }
         
+        // Video recording gets the frame without the debug overlay, or with it if asked
+        const capture = this.frameCapture;
+        if (capture && !capture.includeOverlay) {
+            capture.capture(this.canvas);
+        }
+        if (this.currentVisualization && this.currentVisualization.renderOverlay) {
+            this.currentVisualization.renderOverlay(this.ctx, this.audioData, this.time, this.width, this.height, colors);
+        }
+        if (capture && capture.includeOverlay) {
+            capture.capture(this.canvas);
+        }
+        
         this.animationId = requestAnimationFrame(() => this.animate());
     }
 
+    // capture: { capture(canvas), includeOverlay } given every frame (null to stop)
+    setFrameCapture(capture) {
+        this.frameCapture = capture;
+    }
+
+    renderTransition(colors) {
+        const transition = this.transition;
+        const incoming = this.currentVisualization;
+        const now = Date.now();
+        
+        // Beat cut: keep showing the old mode until the beat, then switch in one frame
+        if (transition.style === 'beat-cut') {
+            const onBeat = (transition.cutAt !== null && now >= transition.cutAt) || this.lastBeatTime > transition.startedAt;
+            const waitedTooLong = now - transition.startedAt > VisualizationEngine.MAX_BEAT_WAIT;
+            
+            if (onBeat || waitedTooLong) {
+                this.transition = null;
+                incoming.render(this.ctx, this.audioData, this.time, this.width, this.height, colors);
+            } else {
+                transition.from.render(this.ctx, this.audioData, this.time, this.width, this.height, colors);
+            }
+            return;
+        }
+        
+        const progress = Math.min(1, (now - transition.startedAt) / transition.duration);
+        if (progress >= 1) {
+            this.transition = null;
+            incoming.render(this.ctx, this.audioData, this.time, this.width, this.height, colors);
+            return;
+        }
+        
+        // Both modes keep animating while they are blended
+        const [fromCanvas, toCanvas] = this.getTransitionCanvases();
+        transition.from.render(fromCanvas.getContext('2d'), this.audioData, this.time, this.width, this.height, colors);
+        incoming.render(toCanvas.getContext('2d'), this.audioData, this.time, this.width, this.height, colors);
+        
+        const eased = progress * progress * (3 - 2 * progress);
+        this.ctx.save();
+        this.ctx.drawImage(fromCanvas, 0, 0);
+        
+        if (transition.style === 'wipe') {
+            // Left to right, with a bright leading edge
+            const edgeX = this.width * eased;
+            this.ctx.beginPath();
+            this.ctx.rect(0, 0, edgeX, this.height);
+            this.ctx.clip();
+            this.ctx.drawImage(toCanvas, 0, 0);
+            this.ctx.restore();
+            this.ctx.fillStyle = 'rgba(255,255,255,0.6)';
+            this.ctx.fillRect(edgeX - 1, 0, 2, this.height);
+            return;
+        }
+        
+        this.ctx.globalAlpha = eased;
+        this.ctx.drawImage(toCanvas, 0, 0);
+        this.ctx.restore();
+    }
+
+    // Two offscreen canvases the size of the display (recreated when it changes size)
+    getTransitionCanvases() {
+        if (!this.transitionCanvases || this.transitionCanvases[0].width !== this.width || this.transitionCanvases[0].height !== this.height) {
+            this.transitionCanvases = [0, 1].map(() => {
+                const canvas = document.createElement('canvas');
+                canvas.width = this.width;
+                canvas.height = this.height;
+                return canvas;
+            });
+        }
+        return this.transitionCanvases;
+    }
+
     start() {
         if (!this.isRunning) {
             this.isRunning = true;
@@ -119,6 +347,16 @@ class VisualizationEngine {
             this.animationId = null;
         }
         
+        this.visualizations.forEach(visualization => {
+            if (visualization.dispose) {
+                visualization.dispose();
+            }
+        });
+        this.visualizations.clear();
+        this.currentVisualization = null;
+        this.transition = null;
+        this.transitionCanvases = null;
+        
         // Clear the canvas
         this.ctx.fillStyle = '#1a1a2e';
         this.ctx.fillRect(0, 0, this.width, this.height);
@@ -137,6 +375,12 @@ class VisualizationEngine {
         this.ctx.fillStyle = 'rgba(26, 26, 46, 1)';
         this.ctx.fillRect(0, 0, this.width, this.height);
         
+        // A diagnostic panel shows the room as it is, quiet or not
+        if (!this.diagnosticPanels.isOverview()) {
+            this.renderDiagnosticPanel(colors);
+            return;
+        }
+        
         if (!this.audioData || this.audioData.volume < 1) {
             // No audio detected
             this.ctx.font = 'bold 32px Arial';
@@ -148,9 +392,11 @@ class VisualizationEngine {
             this.ctx.fillStyle = colors.accent[0];
             this.ctx.fillText('Check microphone and permissions', centerX, centerY - 10);
             this.ctx.fillText('Speak or play music near the microphone', centerX, centerY + 20);
+            this.drawTestSignalExpectation(centerX, centerY + 60, colors);
             
             // Status indicators
             this.drawStatusIndicators(centerX, this.height - 40, colors);
+            this.drawCalibrationStatus(centerX, 22, colors);
             
             // Debug panel
             this.drawDebugPanel(20, 80, colors);
@@ -206,10 +452,10 @@ class VisualizationEngine {
         const barBaseY = 320;
         
         const energies = [
-            { label: 'Bass', value: bassEnergy, color: colors.primary[0] },
-            { label: 'Mid', value: midEnergy, color: colors.primary[1] },
-            { label: 'Treble', value: trebleEnergy, color: colors.primary[2] },
-            { label: 'High', value: highEnergy, color: colors.secondary[0] }
+            { label: 'Bass', band: 'bass', value: bassEnergy, color: colors.primary[0] },
+            { label: 'Mid', band: 'mid', value: midEnergy, color: colors.primary[1] },
+            { label: 'Treble', band: 'treble', value: trebleEnergy, color: colors.primary[2] },
+            { label: 'High', band: 'high', value: highEnergy, color: colors.secondary[0] }
         ];
         
         energies.forEach((energy, index) => {
@@ -224,6 +470,17 @@ class VisualizationEngine {
             this.ctx.fillStyle = energy.color;
             this.ctx.fillRect(x, barBaseY - barHeight, barWidth, barHeight);
             
+            // Onset flash above the bar
+            const sinceOnset = Date.now() - (this.onsetFlashTimes[energy.band] || 0);
+            if (sinceOnset < 150) {
+                this.ctx.beginPath();
+                this.ctx.arc(x + barWidth/2, barBaseY - barMaxHeight - 12, 6, 0, Math.PI * 2);
+                this.ctx.fillStyle = '#ffffff';
+                this.ctx.globalAlpha = 1 - sinceOnset / 150;
+                this.ctx.fill();
+                this.ctx.globalAlpha = 1;
+            }
+            
             // Label
             this.ctx.font = '14px Arial';
             this.ctx.fillStyle = colors.accent[0];
@@ -239,6 +496,9 @@ class VisualizationEngine {
         this.ctx.fillText(`Dominant Frequency: ${dominantFreq.toFixed(1)} Hz`, centerX, 380);
         this.ctx.fillText(`Musical Note: ${dominantNote}`, centerX, 400);
         
+        // Pitch tuner (cents deviation from the named note)
+        this.drawPitchIndicator(centerX - 220, 150, colors);
+        
         // Beat detection indicator
         if (beatDetected) {
             this.ctx.font = 'bold 20px Arial';
@@ -246,19 +506,216 @@ class VisualizationEngine {
             this.ctx.fillText('♪ BEAT DETECTED ♪', centerX, 430);
         }
         
+        // Tempo and beat phase
+        this.drawTempoIndicator(centerX + 220, 150, colors);
+        
+        // Chroma, chord and key
+        this.drawHarmonyIndicator(centerX + 220, 250, colors);
+        
+        // Instrument presence
+        this.drawInstrumentIndicator(centerX - 220, 250, colors);
+        
+        // Pan and stereo width
+        this.drawStereoIndicator(centerX + 220, 390, colors);
+        
+        // What a generated test signal should read as
+        this.drawTestSignalExpectation(centerX, 447, colors);
+        
         // Mini frequency spectrum
         this.drawMiniSpectrum(centerX - 150, 460, 300, 40, colors);
         
         // Audio history graph
-        this.drawAudioHistory(centerX - 150, 520, 300, 60, colors);
+        this.drawAudioHistory(centerX - 200, 520, 400, 60, colors);
         
         // Status indicators
         this.drawStatusIndicators(centerX, this.height - 40, colors);
+        this.drawCalibrationStatus(centerX, 22, colors);
         
         // Debug panel
         this.drawDebugPanel(20, 80, colors);
     }
 
+    renderDiagnosticPanel(colors) {
+        const centerX = this.width / 2;
+        
+        this.ctx.font = 'bold 36px Arial';
+        this.ctx.fillStyle = colors.primary[0];
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(this.diagnosticPanels.getTitle().toUpperCase(), centerX, 60);
+        
+        this.diagnosticPanels.render(this.ctx, 40, 90, this.width - 80, this.height - 160, this.audioData, colors);
+        
+        this.drawStatusIndicators(centerX, this.height - 40, colors);
+        this.drawCalibrationStatus(centerX, 22, colors);
+    }
+
+    drawPitchIndicator(x, y, colors) {
+        const note = this.audioData.dominantNote || '';
+        const cents = this.audioData.pitchCents || 0;
+        const confidence = this.audioData.pitchConfidence || 0;
+        const meterWidth = 100;
+        
+        // Note name
+        this.ctx.font = 'bold 28px Arial';
+        this.ctx.fillStyle = note ? '#ffffff' : 'rgba(255,255,255,0.3)';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(note || '--', x, y);
+        
+        // Cents meter: centre line is in tune, each end is a quarter tone out
+        this.ctx.fillStyle = 'rgba(255,255,255,0.2)';
+        this.ctx.fillRect(x - meterWidth/2, y + 15, meterWidth, 6);
+        this.ctx.fillRect(x - 1, y + 10, 2, 16);
+        
+        if (note) {
+            const needleX = x + (cents / 50) * (meterWidth / 2);
+            this.ctx.fillStyle = Math.abs(cents) <= 10 ? colors.primary[0] : colors.accent[0];
+            this.ctx.fillRect(needleX - 3, y + 8, 6, 20);
+        }
+        
+        this.ctx.font = '12px Arial';
+        this.ctx.fillStyle = colors.accent[0];
+        this.ctx.fillText(note ? `${cents > 0 ? '+' : ''}${cents} cents` : 'no clear pitch', x, y + 45);
+        this.ctx.fillText(`Pitch confidence: ${(confidence * 100).toFixed(0)}%`, x, y + 65);
+    }
+
+    drawInstrumentIndicator(x, y, colors) {
+        const instruments = this.audioData.instruments || {};
+        const labels = {
+            fiddle: 'Fiddle',
+            accordion: 'Accordion',
+            flute: 'Flute',
+            bodhran: 'Bodhrán',
+            pipes: 'Pipes'
+        };
+        const barWidth = 70;
+        
+        Object.entries(labels).forEach(([instrument, label], index) => {
+            const rowY = y + index * 20;
+            const likelihood = instruments[instrument] || 0;
+            
+            this.ctx.font = '12px Arial';
+            this.ctx.fillStyle = colors.accent[0];
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(label, x - 5, rowY + 10);
+            
+            this.ctx.fillStyle = 'rgba(255,255,255,0.1)';
+            this.ctx.fillRect(x, rowY, barWidth, 12);
+            this.ctx.fillStyle = colors.primary[index % colors.primary.length];
+            this.ctx.fillRect(x, rowY, likelihood * barWidth, 12);
+        });
+        
+        this.ctx.textAlign = 'center';
+    }
+
+    drawHarmonyIndicator(x, y, colors) {
+        const chroma = this.audioData.chroma || [];
+        const chord = this.audioData.chord || {};
+        const key = this.audioData.key || {};
+        const noteNames = ['C', '', 'D', '', 'E', 'F', '', 'G', '', 'A', '', 'B'];
+        const barWidth = 9;
+        const barMaxHeight = 50;
+        const startX = x - (12 * (barWidth + 1)) / 2;
+        
+        // One bar per pitch class
+        for (let i = 0; i < 12; i++) {
+            const barX = startX + i * (barWidth + 1);
+            const barHeight = (chroma[i] || 0) * barMaxHeight;
+            
+            this.ctx.fillStyle = 'rgba(255,255,255,0.1)';
+            this.ctx.fillRect(barX, y, barWidth, barMaxHeight);
+            this.ctx.fillStyle = colors.primary[i % colors.primary.length];
+            this.ctx.fillRect(barX, y + barMaxHeight - barHeight, barWidth, barHeight);
+            
+            this.ctx.font = '9px Arial';
+            this.ctx.fillStyle = colors.accent[0];
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(noteNames[i], barX + barWidth/2, y + barMaxHeight + 11);
+        }
+        
+        this.ctx.font = '14px Arial';
+        this.ctx.fillStyle = colors.secondary[0];
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`Chord: ${chord.name || '--'}`, x, y + barMaxHeight + 32);
+        this.ctx.fillText(`Key: ${key.name || '--'}`, x, y + barMaxHeight + 50);
+    }
+
+    drawStereoIndicator(x, y, colors) {
+        const channelCount = this.audioData.channelCount || 0;
+        const pan = this.audioData.pan || 0;
+        const width = this.audioData.stereoWidth || 0;
+        const bandPan = this.audioData.bandPan || {};
+        const halfWidth = 60;
+        
+        // Left-to-right stage, shaded over the stereo spread around the pan position
+        this.ctx.fillStyle = 'rgba(255,255,255,0.1)';
+        this.ctx.fillRect(x - halfWidth, y, halfWidth * 2, 10);
+        this.ctx.fillStyle = 'rgba(255,255,255,0.3)';
+        this.ctx.fillRect(x - 1, y - 3, 2, 16);
+        
+        if (channelCount > 1) {
+            const spreadStart = Math.max(-1, pan - width);
+            const spreadEnd = Math.min(1, pan + width);
+            this.ctx.fillStyle = colors.primary[0] + '66';
+            this.ctx.fillRect(x + spreadStart * halfWidth, y, (spreadEnd - spreadStart) * halfWidth, 10);
+            
+            // Where each band sits
+            Object.values(bandPan).forEach((value, index) => {
+                this.ctx.beginPath();
+                this.ctx.arc(x + value * halfWidth, y + 18, 3, 0, Math.PI * 2);
+                this.ctx.fillStyle = colors.primary[index % colors.primary.length];
+                this.ctx.fill();
+            });
+            
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillRect(x + pan * halfWidth - 2, y - 4, 4, 18);
+        }
+        
+        this.ctx.font = '12px Arial';
+        this.ctx.fillStyle = colors.accent[0];
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('L', x - halfWidth - 6, y + 10);
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText('R', x + halfWidth + 6, y + 10);
+        
+        this.ctx.textAlign = 'center';
+        if (channelCount > 1) {
+            const side = Math.abs(pan) < 0.05 ? 'centre' : `${(Math.abs(pan) * 100).toFixed(0)}% ${pan < 0 ? 'L' : 'R'}`;
+            this.ctx.fillText(`Pan: ${side}  Width: ${(width * 100).toFixed(0)}%`, x, y + 40);
+        } else {
+            this.ctx.fillText(channelCount === 1 ? 'Mono input' : 'No channel data', x, y + 40);
+        }
+    }
+
+    drawTempoIndicator(x, y, colors) {
+        const bpm = this.audioData.bpm || 0;
+        const beatPhase = this.audioData.beatPhase || 0;
+        const radius = 40;
+        
+        // Ring that fills over each beat period
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this.ctx.strokeStyle = 'rgba(255,255,255,0.2)';
+        this.ctx.lineWidth = 6;
+        this.ctx.stroke();
+        
+        if (bpm > 0) {
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, -Math.PI / 2, -Math.PI / 2 + beatPhase * Math.PI * 2);
+            this.ctx.strokeStyle = colors.primary[1];
+            this.ctx.stroke();
+        }
+        
+        this.ctx.font = 'bold 20px Arial';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(bpm > 0 ? bpm.toFixed(0) : '--', x, y + 4);
+        
+        this.ctx.font = '12px Arial';
+        this.ctx.fillStyle = colors.accent[0];
+        this.ctx.fillText('BPM', x, y + 20);
+        this.ctx.fillText(`Tempo confidence: ${((this.audioData.tempoConfidence || 0) * 100).toFixed(0)}%`, x, y + radius + 25);
+    }
+
     drawMiniSpectrum(x, y, width, height, colors) {
         if (!this.audioData || !this.audioData.rawFrequencyData) return;
         
@@ -283,32 +740,86 @@ class VisualizationEngine {
     }
 
     drawAudioHistory(x, y, width, height, colors) {
-        // Simple placeholder for audio history
-        this.ctx.strokeStyle = colors.primary[1];
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
+        const history = this.audioHistory;
+        const windowSeconds = history.windowSeconds;
+        const toX = age => x + width - (age / windowSeconds) * width;
+        const toY = value => y + height - (Math.min(100, Math.max(0, value)) / 100) * height;
         
-        for (let i = 0; i < width; i += 2) {
-            const historyValue = Math.sin((this.time + i * 0.02) * 3) * 0.3 + 0.5;
-            const plotY = y + height - (historyValue * height);
-            
-            if (i === 0) {
-                this.ctx.moveTo(x + i, plotY);
-            } else {
-                this.ctx.lineTo(x + i, plotY);
-            }
+        this.ctx.fillStyle = 'rgba(255,255,255,0.05)';
+        this.ctx.fillRect(x, y, width, height);
+        
+        // Bass energy a beat needs at the current sensitivity (see detectBeat)
+        const sensitivity = this.audioData?.sensitivity || 5;
+        const beatThreshold = 30 * (sensitivity / 5);
+        if (beatThreshold < 100) {
+            this.ctx.strokeStyle = colors.primary[0] + '88';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, toY(beatThreshold));
+            this.ctx.lineTo(x + width, toY(beatThreshold));
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
         }
         
-        this.ctx.stroke();
+        // Beat ticks along the top
+        this.ctx.fillStyle = '#ff6b6b';
+        history.forEachInWindow((index, age) => {
+            if (history.beats[index]) {
+                this.ctx.fillRect(toX(age) - 1, y, 2, 8);
+            }
+        });
+        
+        // Bands that are still configured, then volume on top
+        const bandColors = { bass: colors.primary[0], mid: colors.primary[1], treble: colors.primary[2], high: colors.secondary[0] };
+        const bandNames = Object.keys(this.audioData?.bandEnergies || {}).filter(name => history.bands[name]);
+        const series = bandNames.map((name, i) => ({
+            label: name,
+            values: history.bands[name],
+            color: bandColors[name] || colors.accent[i % colors.accent.length],
+            lineWidth: 1
+        }));
+        series.push({ label: 'volume', values: history.volume, color: '#ffffff', lineWidth: 2 });
+        
+        series.forEach(line => {
+            this.ctx.strokeStyle = line.color;
+            this.ctx.lineWidth = line.lineWidth;
+            this.ctx.beginPath();
+            let first = true;
+            history.forEachInWindow((index, age) => {
+                const plotX = toX(age);
+                const plotY = toY(line.values[index]);
+                if (first) {
+                    this.ctx.moveTo(plotX, plotY);
+                    first = false;
+                } else {
+                    this.ctx.lineTo(plotX, plotY);
+                }
+            });
+            this.ctx.stroke();
+        });
         
         this.ctx.font = '12px Arial';
         this.ctx.fillStyle = colors.accent[0];
         this.ctx.textAlign = 'left';
-        this.ctx.fillText('Audio History', x, y - 5);
+        this.ctx.fillText(`Audio History (${windowSeconds}s)${history.paused ? ' - paused' : ''}`, x, y - 5);
+        
+        // Legend, right-aligned above the graph
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'right';
+        let legendX = x + width;
+        series.slice().reverse().forEach(line => {
+            this.ctx.fillStyle = line.color;
+            this.ctx.fillText(line.label, legendX, y - 5);
+            legendX -= this.ctx.measureText(line.label).width + 8;
+        });
     }
 
     drawStatusIndicators(centerX, y, colors) {
         const sensitivity = this.audioData?.sensitivity || 5;
+        const sampleRate = this.audioData?.sampleRate;
+        const fftSize = this.audioData?.fftSize;
+        const analysisMode = this.audioData?.analysisMode === 'worklet' ? ' (worklet)' : '';
         
         this.ctx.font = '14px Arial';
         this.ctx.textAlign = 'center';
@@ -316,8 +827,8 @@ class VisualizationEngine {
         
         const status = [
             `Sensitivity: ${sensitivity}/10`,
-            `Sample Rate: 44.1kHz`,
-            `FFT Size: 1024`,
+            `Sample Rate: ${sampleRate ? (sampleRate / 1000).toFixed(1) + 'kHz' : '--'}`,
+            `FFT Size: ${fftSize || '--'}${analysisMode}`,
             `Status: ${this.audioData && this.audioData.volume > 1 ? 'DETECTING AUDIO' : 'NO AUDIO'}`
         ];
         
@@ -331,6 +842,68 @@ class VisualizationEngine {
         });
     }
 
+    // Expected vs measured for the signal generator: ✓ when a tone reads within 50 cents of its
+    // note, or the click track's tempo within 2 BPM
+    drawTestSignalExpectation(centerX, y, colors) {
+        const expected = this.audioData?.testSignal;
+        if (!expected) return;
+        
+        let text = `${expected.description} · `;
+        let matches = null;
+        
+        if (expected.type === 'tone') {
+            const measured = this.audioData.dominantFrequency || 0;
+            const cents = measured > 0 ? 1200 * Math.log2(measured / expected.frequency) : Infinity;
+            text += `expect ${expected.frequency.toFixed(1)} Hz (${expected.note}), measured ${measured.toFixed(1)} Hz`;
+            matches = Math.abs(cents) < 50;
+        } else if (expected.type === 'sweep') {
+            text += `now at ${expected.frequency.toFixed(0)} Hz, measured ${(this.audioData.dominantFrequency || 0).toFixed(0)} Hz`;
+        } else if (expected.type === 'clicks') {
+            const measured = this.audioData.bpm || 0;
+            text += `expect ${expected.bpm} BPM, measured ${measured > 0 ? measured.toFixed(1) : '--'} BPM`;
+            matches = Math.abs(measured - expected.bpm) < 2;
+        } else {
+            text += 'expect a similar level in every band';
+        }
+        
+        if (matches !== null) {
+            text += matches ? ' ✓' : ' ✗';
+        }
+        
+        this.ctx.font = '13px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = matches === false ? '#ff6b6b' : colors.accent[0];
+        this.ctx.fillText(text, centerX, y);
+    }
+
+    drawCalibrationStatus(centerX, y, colors) {
+        const calibration = this.audioData?.calibration;
+        if (!calibration) return;
+        
+        this.ctx.font = '14px Arial';
+        this.ctx.textAlign = 'center';
+        
+        if (calibration.phase === 'idle') {
+            this.ctx.fillStyle = colors.accent[0];
+            const label = calibration.calibrated ? 
+                `Calibrated${calibration.autoGain ? ' · Auto Gain on' : ''}` : 'Not calibrated';
+            this.ctx.fillText(label, centerX, y);
+            return;
+        }
+        
+        // Calibration in progress: what to do and how long is left
+        const message = calibration.phase === 'noise' ? 
+            'CALIBRATING - stay quiet (room tone)' : 'SOUND CHECK - play a tune at full volume';
+        const barWidth = 240;
+        
+        this.ctx.fillStyle = '#ffd23f';
+        this.ctx.fillText(message, centerX, y);
+        this.ctx.fillStyle = 'rgba(255,255,255,0.2)';
+        this.ctx.fillRect(centerX - barWidth/2, y + 6, barWidth, 4);
+        this.ctx.fillStyle = '#ffd23f';
+        this.ctx.fillRect(centerX - barWidth/2, y + 6, barWidth * calibration.progress, 4);
+    }
+
     drawDebugPanel(x, y, colors) {
         const debugInfo = this.getDebugInfo();
         const panelWidth = 350;
@@ -392,6 +965,11 @@ class VisualizationEngine {
                 value: audioProcessor && audioProcessor.isActive ? '✅ Yes' : '❌ No',
                 color: audioProcessor && audioProcessor.isActive ? '#00ff87' : '#ff6b6b'
             },
+            {
+                label: 'Input Source:',
+                value: audioProcessor ? audioProcessor.getInputDescription().slice(0, 24) : 'None',
+                color: audioProcessor && (audioProcessor.microphone || audioProcessor.inputSource) ? '#00ff87' : '#ff6b6b'
+            },
             {
                 label: 'Microphone Connected:',
                 value: audioProcessor && audioProcessor.microphone ? '✅ Yes' : '❌ No',
@@ -459,93 +1037,60 @@ class VisualizationEngine {
 
 
 
-    renderBalloonFloat() {
-        // Use the balloon float visualization
-        this.balloonFloatViz.render(this.ctx, this.audioData, this.time, this.width, this.height);
-    }
-
-
-
-
-
-
-
     // Methods to control balloon float settings
     setBalloonSettings(settings) {
-        if (this.balloonFloatViz) {
-            this.balloonFloatViz.setBalloonSettings(settings);
-        }
+        this.getVisualization('balloon-float').setBalloonSettings(settings);
     }
 
     setBalloonBeatResponse(settings) {
-        if (this.balloonFloatViz) {
-            this.balloonFloatViz.setBeatResponse(settings);
-        }
+        this.getVisualization('balloon-float').setBeatResponse(settings);
     }
 
     setBalloonColors(settings) {
-        if (this.balloonFloatViz) {
-            this.balloonFloatViz.setColorInfluence(settings);
-        }
+        this.getVisualization('balloon-float').setColorInfluence(settings);
     }
     
     getBalloonMusicSpeed() {
-        if (this.balloonFloatViz) {
-            return this.balloonFloatViz.getCurrentMusicSpeed();
-        }
-        return 0;
+        return this.getVisualization('balloon-float').getCurrentMusicSpeed();
     }
 
     toggleBalloonBeatResponse(enabled) {
-        if (this.balloonFloatViz) {
-            this.balloonFloatViz.toggleBeatResponse(enabled);
-        }
+        this.getVisualization('balloon-float').toggleBeatResponse(enabled);
     }
 
     resetBalloons() {
-        if (this.balloonFloatViz) {
-            this.balloonFloatViz.resetBalloons();
-        }
+        this.getVisualization('balloon-float').resetBalloons();
+    }
+
+    popAllBalloons() {
+        this.getVisualization('balloon-float').popAllBalloons();
     }
     
     setSpikeSettings(settings) {
-        if (this.balloonFloatViz) {
-            this.balloonFloatViz.setSpikeSettings(settings);
-        }
+        this.getVisualization('balloon-float').setSpikeSettings(settings);
     }
     
     getSpikeSettings() {
-        if (this.balloonFloatViz) {
-            return this.balloonFloatViz.getSpikeSettings();
-        }
-        return null;
+        return this.getVisualization('balloon-float').getSpikeSettings();
     }
     
     toggleSpikeDetection(enabled) {
-        if (this.balloonFloatViz) {
-            this.balloonFloatViz.toggleSpikeDetection(enabled);
-        }
+        this.getVisualization('balloon-float').toggleSpikeDetection(enabled);
     }
 
-
-
-    // Methods to control debug information display
+    // Methods to control debug information display (visualizations registered with debugInfo)
     toggleDebugInfo(show) {
-        // Apply to balloon visualization
-        if (this.balloonFloatViz) {
-            this.balloonFloatViz.toggleDebugInfo(show);
-        }
-        
-        // Could be extended to other visualizations in the future
-        // if (this.leafPileViz) {
-        //     this.leafPileViz.toggleDebugInfo(show);
-        // }
+        this.visualizations.forEach(visualization => {
+            if (visualization.toggleDebugInfo) {
+                visualization.toggleDebugInfo(show);
+            }
+        });
     }
     
     getDebugInfoState() {
-        // Get state from balloon visualization (or could be a global setting)
-        if (this.balloonFloatViz) {
-            return this.balloonFloatViz.getDebugInfoState();
+        const visualization = this.currentVisualization;
+        if (visualization && visualization.getDebugInfoState) {
+            return visualization.getDebugInfoState();
         }
         return true; // Default to showing debug info
     }
@@ -555,9 +1100,113 @@ class VisualizationEngine {
         this.width = width;
         this.height = height;
         
-        // Update bounds for all visualizations that support it
-        if (this.balloonFloatViz && this.balloonFloatViz.updateBounds) {
-            this.balloonFloatViz.updateBounds(width, height);
+        this.visualizations.forEach(visualization => {
+            if (visualization.resize) {
+                visualization.resize(width, height);
+            }
+        });
+    }
+}
+
+// Registered visualization classes by mode id
+VisualizationEngine.registry = new Map();
+
+// Color schemes by name
+VisualizationEngine.COLOR_SCHEMES = {
+    celtic: {
+        primary: ['#00ff87', '#60efff', '#88d8c0'],
+        secondary: ['#7209b7', '#560bad', '#480ca8'],
+        accent: ['#f72585', '#b5179e', '#7209b7']
+    },
+    fire: {
+        primary: ['#ff6b35', '#f7931e', '#ffd23f'],
+        secondary: ['#c1272d', '#a4161a', '#ba181b'],
+        accent: ['#e85d04', '#dc2f02', '#9d0208']
+    },
+    ocean: {
+        primary: ['#06ffa5', '#39a0ca', '#0077be'],
+        secondary: ['#004e89', '#1a508b', '#0f3460'],
+        accent: ['#7209b7', '#560bad', '#480ca8']
+    },
+    sunset: {
+        primary: ['#ffbe0b', '#fb8500', '#ff006e'],
+        secondary: ['#8338ec', '#3a86ff', '#06ffa5'],
+        accent: ['#fb8500', '#ffb3c6', '#ffccd5']
+    }
+};
+
+// Transition styles and their labels
+VisualizationEngine.TRANSITIONS = {
+    crossfade: 'Crossfade',
+    wipe: 'Wipe',
+    'beat-cut': 'Cut on the Beat',
+    none: 'Instant'
+};
+
+// Longest a beat cut waits for a beat before cutting anyway (ms)
+VisualizationEngine.MAX_BEAT_WAIT = 2000;
+
+// The Audio Test is drawn by the engine itself, as it shares the engine's history and
+// diagnostic panels
+class AudioTestVisualization {
+    init(context) {
+        this.engine = context.engine;
+    }
+
+    // The engine draws to its own context, so point it at ctx (an offscreen canvas mid-transition)
+    render(ctx) {
+        const engineCtx = this.engine.ctx;
+        this.engine.ctx = ctx;
+        try {
+            this.engine.renderAudioTest();
+        } finally {
+            this.engine.ctx = engineCtx;
         }
     }
-} 
\ No newline at end of file
+
+    getSettings() {
+        return {
+            historyWindow: this.engine.audioHistory.windowSeconds,
+            diagnosticPanel: this.engine.diagnosticPanels.panel
+        };
+    }
+
+    static checkSettings(settings) {
+        const checked = {};
+        if (settings.historyWindow !== undefined) {
+            if (!(settings.historyWindow >= 1 && settings.historyWindow <= 60)) {
+                throw new Error('Audio Test history window must be 1-60 seconds.');
+            }
+            checked.historyWindow = settings.historyWindow;
+        }
+        if (settings.diagnosticPanel !== undefined) {
+            if (!DiagnosticPanels.PANELS[settings.diagnosticPanel]) {
+                throw new Error(`Unknown Audio Test panel "${settings.diagnosticPanel}".`);
+            }
+            checked.diagnosticPanel = settings.diagnosticPanel;
+        }
+        return checked;
+    }
+
+    setSettings(settings) {
+        if (settings.historyWindow !== undefined) {
+            this.engine.setHistoryWindow(settings.historyWindow);
+        }
+        if (settings.diagnosticPanel !== undefined) {
+            this.engine.setDiagnosticPanel(settings.diagnosticPanel);
+        }
+    }
+}
+
+VisualizationEngine.register('audiotest', AudioTestVisualization, {
+    name: 'Audio Test',
+    description: 'Levels, bands, pitch, tempo, harmony and diagnostics for checking the input',
+    diagnostic: true,
+    help: [
+        "liveMusicArtwork.setDiagnosticPanel(panel) - Audio Test panel: 'overview', 'oscilloscope', 'spectrogram', 'meters' or 'goniometer'",
+        'liveMusicArtwork.setHistoryWindow(seconds) - Length of the Audio Test history graph (1-60s)'
+    ]
+});
+
+// Export for use in other modules
+window.VisualizationEngine = VisualizationEngine;